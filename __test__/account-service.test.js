@@ -0,0 +1,715 @@
+const { AccountService } = require('../src/account-service.js');
+const {
+    BankError,
+    ValidationError,
+    NotFoundError,
+    AccountStatusError,
+    InsufficientFundsError,
+    AuthenticationError,
+    PermissionError,
+    LockError,
+} = require('../src/errors.js');
+
+const makeAccount = (overrides = {}) => ({
+    id: 'ACC-1234',
+    holderName: 'John Doe',
+    balance: 100000,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    transactions: [],
+    ...overrides,
+});
+
+describe('AccountService', () => {
+    let service;
+    let onChange;
+
+    beforeEach(() => {
+        onChange = jest.fn();
+        service = new AccountService({
+            data: {
+                accounts: [
+                    makeAccount(),
+                    makeAccount({ id: 'ACC-5678', holderName: 'Jane Smith', balance: 200000 }),
+                ],
+            },
+            onChange,
+        });
+    });
+
+    test('should default to its own empty data set', () => {
+        const standalone = new AccountService();
+
+        expect(standalone.listAccounts()).toEqual([]);
+        const { account } = standalone.createAccount({ holderName: 'Solo Saver', initialDeposit: '10' });
+        expect(standalone.findAccount(account.id)).toBe(account);
+    });
+
+    test('createAccount should return the account and its opening transaction', () => {
+        const { account, transaction } = service.createAccount({ holderName: 'Alice Green', initialDeposit: '250.25' });
+
+        expect(account.id).toMatch(/^ACC-\d{4}$/);
+        expect(account.balance).toBe(25025);
+        expect(transaction).toMatchObject({ type: 'DEPOSIT', amount: 25025, description: 'Initial deposit' });
+        expect(service.listAccounts()).toHaveLength(3);
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        ['', '10', 'HOLDER_NAME_REQUIRED'],
+        ['A'.repeat(51), '10', 'HOLDER_NAME_TOO_LONG'],
+        ['John 2', '10', 'HOLDER_NAME_INVALID'],
+        ['John Doe', '10', 'HOLDER_NAME_DUPLICATE'],
+        ['New Person', '', 'AMOUNT_REQUIRED'],
+        ['New Person', 'abc', 'AMOUNT_INVALID'],
+        ['New Person', '1.234', 'AMOUNT_PRECISION'],
+        ['New Person', '-1', 'AMOUNT_NEGATIVE'],
+        ['New Person', '1000001', 'AMOUNT_TOO_LARGE'],
+    ])('createAccount(%p, %p) should throw %s', (holderName, initialDeposit, code) => {
+        expect(() => service.createAccount({ holderName, initialDeposit })).toThrow(
+            expect.objectContaining({ name: 'ValidationError', code })
+        );
+        expect(service.listAccounts()).toHaveLength(2);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('importAccounts should report every bad row and import nothing', () => {
+        const records = [
+            { line: 2, holdername: 'Alice Green', initialdeposit: '100.50' },
+            { line: 3, holdername: 'John Doe', initialdeposit: '10' },
+            { line: 4, holdername: 'Bob Brown', initialdeposit: '-5' },
+            { line: 5, holdername: 'Alice Green', initialdeposit: '1' },
+        ];
+
+        const report = service.importAccounts(records);
+
+        expect(report).toMatchObject({ valid: 1, invalid: 3, imported: 0 });
+        expect(report.rows.map((row) => row.code)).toEqual([undefined, 'HOLDER_NAME_DUPLICATE', 'AMOUNT_NEGATIVE', 'HOLDER_NAME_DUPLICATE']);
+        expect(service.listAccounts()).toHaveLength(2);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('importAccounts should open accounts with their opening balances unless dry-running', () => {
+        const records = [
+            { line: 2, holder: 'Alice Green', balance: '100.50' },
+            { line: 3, holder: 'Bob Brown', balance: '0' },
+        ];
+
+        expect(service.importAccounts(records, { dryRun: true })).toMatchObject({ dryRun: true, valid: 2, imported: 0 });
+        expect(service.listAccounts()).toHaveLength(2);
+
+        const report = service.importAccounts(records);
+
+        expect(report.imported).toBe(2);
+        const alice = service.findAccount(report.rows[0].accountId);
+        expect(alice).toMatchObject({ holderName: 'Alice Green', balance: 10050 });
+        expect(alice.transactions[0]).toMatchObject({ type: 'DEPOSIT', amount: 10050, description: 'Initial deposit' });
+        expect(service.audit.readEntries().pop()).toMatchObject({ action: 'ACCOUNTS_IMPORTED', details: { count: 2 } });
+    });
+
+    test('deposit and withdraw should return the updated account and transaction', () => {
+        const deposit = service.deposit('ACC-1234', 50000);
+        expect(deposit.account.balance).toBe(150000);
+        expect(deposit.transaction).toMatchObject({ type: 'DEPOSIT', amount: 50000, balanceAfter: 150000 });
+
+        const withdrawal = service.withdraw('ACC-1234', 20000);
+        expect(withdrawal.account.balance).toBe(130000);
+        expect(withdrawal.transaction).toMatchObject({ type: 'WITHDRAWAL', amount: 20000, balanceAfter: 130000 });
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    test('postings should reject amounts that are not integer cents', () => {
+        expect(() => service.deposit('ACC-1234', 10.5)).toThrow(expect.objectContaining({ code: 'AMOUNT_INVALID' }));
+        expect(() => service.withdraw('ACC-1234', NaN)).toThrow(ValidationError);
+        expect(service.findAccount('ACC-1234').balance).toBe(100000);
+    });
+
+    test('operations on unknown accounts should throw NotFoundError', () => {
+        expect(() => service.deposit('ACC-0000', 5)).toThrow(NotFoundError);
+        expect(() => service.withdraw('ACC-0000', 5)).toThrow(NotFoundError);
+        expect(() => service.getHistory('ACC-0000')).toThrow(NotFoundError);
+        expect(() => service.closeAccount('ACC-0000')).toThrow(NotFoundError);
+        expect(() => service.transfer('ACC-0000', 'ACC-1234', 5)).toThrow('Source account not found.');
+    });
+
+    test('deposits, withdrawals and transfers should reject zero, negative and oversized amounts', () => {
+        expect(() => service.deposit('ACC-1234', -50000)).toThrow(expect.objectContaining({ code: 'AMOUNT_NEGATIVE' }));
+        expect(() => service.withdraw('ACC-1234', 0)).toThrow(expect.objectContaining({ code: 'AMOUNT_ZERO' }));
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', -1)).toThrow(expect.objectContaining({ code: 'AMOUNT_NEGATIVE' }));
+        expect(() => service.deposit('ACC-1234', 100000001)).toThrow(expect.objectContaining({ code: 'AMOUNT_TOO_LARGE' }));
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('amount limits should come from the service config', () => {
+        const limited = new AccountService({
+            data: { accounts: [makeAccount()] },
+            config: { maxInitialDeposit: 100, maxDeposit: 50, maxWithdrawal: 20, maxTransfer: 10 },
+        });
+
+        expect(() => limited.deposit('ACC-1234', 5001)).toThrow('Amount must be less than or equal to 50.');
+        expect(() => limited.withdraw('ACC-1234', 2001)).toThrow(expect.objectContaining({ code: 'AMOUNT_TOO_LARGE' }));
+        expect(() => limited.createAccount({ holderName: 'Big Spender', initialDeposit: '101' })).toThrow(
+            'Initial deposit amount must be less than or equal to 100.'
+        );
+        expect(limited.parseAmount('transfer', '10')).toBe(1000);
+        expect(() => limited.parseAmount('transfer', '10.01')).toThrow(expect.objectContaining({ code: 'AMOUNT_TOO_LARGE' }));
+    });
+
+    test('transfer should reject self-transfers and unknown destinations', () => {
+        expect(() => service.transfer('ACC-1234', 'ACC-1234', 100)).toThrow(
+            expect.objectContaining({ name: 'ValidationError', code: 'TRANSFER_SAME_ACCOUNT' })
+        );
+        expect(() => service.transfer('ACC-1234', 'ACC-0000', 100)).toThrow('Destination account not found.');
+
+        expect(service.listAccounts()).toHaveLength(2);
+        expect(service.findAccount('ACC-1234').transactions).toEqual([]);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('payExternal should post to the clearing account, never to a new customer account', () => {
+        const { reference, beneficiary, debit, credit } = service.payExternal(
+            'ACC-1234',
+            { name: ' Mary Major ', account: 'DE89 3704' },
+            30000
+        );
+
+        expect(beneficiary).toEqual({ name: 'Mary Major', account: 'DE89 3704' });
+        expect(debit).toMatchObject({ type: 'EXTERNAL_PAYMENT', amount: 30000, balanceAfter: 70000, reference });
+        expect(credit).toMatchObject({ type: 'CLEARING_IN', amount: 30000, balanceAfter: 30000, beneficiary });
+        expect(service.listAccounts()).toHaveLength(2);
+        expect(service.clearingAccount().balance).toBe(30000);
+        expect(service.getTransfer(reference).credit.accountId).toBe('CLEARING');
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+        [{ name: '', account: 'DE89' }, 'BENEFICIARY_NAME_REQUIRED'],
+        [{ name: 'A'.repeat(51), account: 'DE89' }, 'BENEFICIARY_NAME_TOO_LONG'],
+        [{ name: 'Mary Major', account: ' ' }, 'BENEFICIARY_ACCOUNT_REQUIRED'],
+        [{ name: 'Mary Major', account: 'DE89;DROP' }, 'BENEFICIARY_ACCOUNT_INVALID'],
+        [{ name: 'Jane Smith', account: 'ACC-5678' }, 'BENEFICIARY_IS_INTERNAL'],
+    ])('payExternal(%p) should throw %s', (beneficiary, code) => {
+        expect(() => service.payExternal('ACC-1234', beneficiary, 100)).toThrow(expect.objectContaining({ code }));
+        expect(service.findAccount('ACC-1234').balance).toBe(100000);
+    });
+
+    test('payExternal should respect the available balance', () => {
+        expect(() => service.payExternal('ACC-1234', { name: 'Mary Major', account: 'DE89' }, 100001)).toThrow(
+            expect.objectContaining({ code: 'INSUFFICIENT_FUNDS' })
+        );
+        expect(service.clearingAccount().transactions).toEqual([]);
+    });
+
+    test('transfer should post both legs', () => {
+        const { from, to, debit, credit } = service.transfer('ACC-1234', 'ACC-5678', 40000);
+
+        expect(from.balance).toBe(60000);
+        expect(to.balance).toBe(240000);
+        expect(debit).toMatchObject({ type: 'TRANSFER_OUT', amount: 40000, description: 'To ACC-5678' });
+        expect(credit).toMatchObject({ type: 'TRANSFER_IN', amount: 40000, description: 'From ACC-1234' });
+    });
+
+    test('transfer should stamp both legs with one unique reference', () => {
+        const first = service.transfer('ACC-1234', 'ACC-5678', 100);
+        const second = service.transfer('ACC-1234', 'ACC-5678', 100);
+
+        expect(first.reference).toMatch(/^TRF-[0-9A-F]{12}$/);
+        expect(first.debit.reference).toBe(first.reference);
+        expect(first.credit.reference).toBe(first.reference);
+        expect(second.reference).not.toBe(first.reference);
+    });
+
+    test('getTransfer should return both legs by reference', () => {
+        const { reference } = service.transfer('ACC-1234', 'ACC-5678', 2500);
+
+        const transfer = service.getTransfer(reference);
+
+        expect(transfer.debit).toMatchObject({ accountId: 'ACC-1234', transaction: { type: 'TRANSFER_OUT', amount: 2500 } });
+        expect(transfer.credit).toMatchObject({ accountId: 'ACC-5678', transaction: { type: 'TRANSFER_IN', amount: 2500 } });
+        expect(() => service.getTransfer('TRF-000000000000')).toThrow(
+            expect.objectContaining({ code: 'TRANSFER_NOT_FOUND' })
+        );
+    });
+
+    test('transfer should leave both accounts untouched when a leg cannot be posted', () => {
+        const to = service.findAccount('ACC-5678');
+        to.transactions = null; // malformed record: the credit leg will fail
+
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', 100)).toThrow();
+
+        const from = service.findAccount('ACC-1234');
+        expect(from.balance).toBe(100000);
+        expect(from.transactions).toEqual([]);
+        expect(to.balance).toBe(200000);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('debits beyond the available balance should throw InsufficientFundsError', () => {
+        expect(() => service.withdraw('ACC-1234', 100001)).toThrow(
+            expect.objectContaining({ name: 'InsufficientFundsError', code: 'INSUFFICIENT_FUNDS' })
+        );
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', 100001)).toThrow(InsufficientFundsError);
+
+        expect(service.findAccount('ACC-1234').balance).toBe(100000);
+        expect(service.findAccount('ACC-5678').balance).toBe(200000);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('an overdraft limit should allow a negative balance up to the limit', () => {
+        service.setOverdraft('ACC-1234', { limit: 50000 });
+        const account = service.findAccount('ACC-1234');
+        expect(service.availableBalance(account)).toBe(150000);
+
+        const { transaction, fee } = service.withdraw('ACC-1234', 130000);
+
+        expect(transaction.balanceAfter).toBe(-30000);
+        expect(fee).toBeUndefined();
+        expect(service.availableBalance(account)).toBe(20000);
+        expect(() => service.withdraw('ACC-1234', 20001)).toThrow(expect.objectContaining({ code: 'INSUFFICIENT_FUNDS' }));
+    });
+
+    test('going overdrawn should post one overdraft fee to the debited account', () => {
+        service.setOverdraft('ACC-1234', { limit: 50000, fee: 2500 });
+
+        expect(service.withdraw('ACC-1234', 90000).fee).toBeUndefined();
+        const { debit, credit, fee } = service.transfer('ACC-1234', 'ACC-5678', 20000);
+
+        expect(debit.balanceAfter).toBe(-10000);
+        expect(credit.balanceAfter).toBe(220000);
+        expect(fee).toMatchObject({ type: 'FEE', amount: 2500, balanceAfter: -12500, description: 'Overdraft fee' });
+        expect(service.findAccount('ACC-5678').transactions).toHaveLength(1);
+    });
+
+    test('the overdraft fee should count against the overdraft limit', () => {
+        service.setOverdraft('ACC-1234', { limit: 50000, fee: 2500 });
+        const account = service.findAccount('ACC-1234');
+
+        expect(() => service.withdraw('ACC-1234', 150000)).toThrow(/once the \$25\.00 overdraft fee is added/);
+        expect(account.balance).toBe(100000);
+        expect(account.transactions).toHaveLength(0);
+
+        const { transaction, fee } = service.withdraw('ACC-1234', 147500);
+        expect(transaction.balanceAfter).toBe(-47500);
+        expect(fee.balanceAfter).toBe(-50000);
+    });
+
+    test('setOverdraft should reject negative or fractional amounts', () => {
+        expect(() => service.setOverdraft('ACC-1234', { limit: -1 })).toThrow(ValidationError);
+        expect(() => service.setOverdraft('ACC-1234', { limit: 100, fee: 0.5 })).toThrow(ValidationError);
+        expect(() => service.setOverdraft('ACC-0000', { limit: 100 })).toThrow(NotFoundError);
+        expect(service.overdraftLimitOf(service.findAccount('ACC-1234'))).toBe(0);
+    });
+
+    test('a change that cannot be logged to the audit trail should not be applied', () => {
+        service.audit = { append: jest.fn(() => { throw new LockError('Another session is writing.'); }) };
+        const account = service.findAccount('ACC-1234');
+
+        expect(() => service.deposit('ACC-1234', 500)).toThrow(LockError);
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', 500)).toThrow(LockError);
+        expect(() => service.createAccount({ holderName: 'Alice Green', initialDeposit: '10' })).toThrow(LockError);
+        expect(() => service.setOverdraft('ACC-1234', { limit: 50000 })).toThrow(LockError);
+
+        expect(account).toMatchObject({ balance: 100000, transactions: [] });
+        expect(service.findAccount('ACC-5678').transactions).toHaveLength(0);
+        expect(service.listAccounts()).toHaveLength(2);
+        expect(service.overdraftLimitOf(account)).toBe(0);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    describe('reversals', () => {
+        test('every posting should get a unique transaction ID', () => {
+            const { transaction } = service.deposit('ACC-1234', 100);
+            const { debit, credit } = service.transfer('ACC-1234', 'ACC-5678', 100);
+
+            expect(transaction.id).toMatch(/^TXN-[0-9A-F]{12}$/);
+            expect(new Set([transaction.id, debit.id, credit.id]).size).toBe(3);
+            expect(service.findTransaction(credit.id).account.id).toBe('ACC-5678');
+        });
+
+        test('reverseTransaction should undo a withdrawal', () => {
+            const { transaction } = service.withdraw('ACC-1234', 2500);
+
+            const { reversals } = service.reverseTransaction(transaction.id, { reason: 'wrong amount' });
+
+            expect(reversals).toHaveLength(1);
+            expect(reversals[0]).toMatchObject({ type: 'REVERSAL', amount: 2500, balanceAfter: 100000, reverses: transaction.id });
+            expect(transaction.reversedBy).toBe(reversals[0].id);
+            expect(service.audit.readEntries().pop()).toMatchObject({
+                action: 'TRANSACTION_REVERSED',
+                details: { transactionId: transaction.id, reason: 'wrong amount' },
+            });
+        });
+
+        test('reverseTransaction should undo both legs of a transfer whichever leg is picked', () => {
+            const { debit, credit } = service.transfer('ACC-1234', 'ACC-5678', 40000);
+
+            const { reversals } = service.reverseTransaction(debit.id);
+
+            expect(reversals.map((reversal) => reversal.reverses)).toEqual([debit.id, credit.id]);
+            expect(service.findAccount('ACC-1234').balance).toBe(100000);
+            expect(service.findAccount('ACC-5678').balance).toBe(200000);
+            expect(() => service.reverseTransaction(credit.id)).toThrow(expect.objectContaining({ code: 'ALREADY_REVERSED' }));
+        });
+
+        test('reverseTransaction should take back the overdraft fee a posting charged', () => {
+            service.setOverdraft('ACC-1234', { limit: 50000, fee: 2500 });
+            const { debit, fee } = service.transfer('ACC-1234', 'ACC-5678', 110000);
+            expect(fee.feeFor).toBe(debit.id);
+
+            const { reversals } = service.reverseTransaction(debit.id);
+
+            expect(reversals.map((reversal) => reversal.reverses)).toEqual([debit.id, expect.any(String), fee.id]);
+            expect(reversals[2]).toMatchObject({ amount: 2500 });
+            expect(fee.reversedBy).toBe(reversals[2].id);
+            expect(service.findAccount('ACC-1234').balance).toBe(100000);
+            expect(service.findAccount('ACC-5678').balance).toBe(200000);
+        });
+
+        test('a fee reversed on its own should not block reversing its posting', () => {
+            service.setOverdraft('ACC-1234', { limit: 50000, fee: 2500 });
+            const { transaction, fee } = service.withdraw('ACC-1234', 110000);
+            service.reverseTransaction(fee.id);
+
+            const { reversals } = service.reverseTransaction(transaction.id);
+
+            expect(reversals.map((reversal) => reversal.reverses)).toEqual([transaction.id]);
+            expect(service.findAccount('ACC-1234').balance).toBe(100000);
+        });
+
+        test('reverseTransaction should return an external payment from clearing', () => {
+            const { debit } = service.payExternal('ACC-1234', { name: 'Mary Major', account: 'DE89' }, 1000);
+
+            service.reverseTransaction(debit.id);
+
+            expect(service.findAccount('ACC-1234').balance).toBe(100000);
+            expect(service.clearingAccount().balance).toBe(0);
+        });
+
+        test('reverseTransaction should refuse reversals, unknown IDs and spent deposits', () => {
+            const { transaction } = service.deposit('ACC-1234', 100);
+            const [reversal] = service.reverseTransaction(transaction.id).reversals;
+
+            expect(() => service.reverseTransaction(reversal.id)).toThrow(expect.objectContaining({ code: 'REVERSAL_NOT_REVERSIBLE' }));
+            expect(() => service.reverseTransaction('TXN-000000000000')).toThrow(
+                expect.objectContaining({ code: 'TRANSACTION_NOT_FOUND' })
+            );
+
+            const spent = service.deposit('ACC-1234', 5000).transaction;
+            service.withdraw('ACC-1234', 105000);
+            expect(() => service.reverseTransaction(spent.id)).toThrow(InsufficientFundsError);
+            expect(spent.reversedBy).toBeUndefined();
+        });
+
+        test('assignTransactionIds should only fill in missing IDs', () => {
+            const account = service.findAccount('ACC-1234');
+            account.transactions.push({ type: 'DEPOSIT', amount: 1, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 1 });
+            service.deposit('ACC-1234', 100);
+            const existing = account.transactions[1].id;
+
+            expect(service.assignTransactionIds()).toBe(1);
+            expect(account.transactions[0].id).toMatch(/^TXN-/);
+            expect(account.transactions[1].id).toBe(existing);
+        });
+    });
+
+    describe('standing orders', () => {
+        const order = (overrides = {}) => service.createStandingOrder({
+            fromId: 'ACC-1234',
+            toId: 'ACC-5678',
+            amount: 2500,
+            frequency: 'monthly',
+            startDate: '2024-01-31',
+            now: new Date('2024-01-15T12:00:00.000Z'),
+            ...overrides,
+        }).order;
+
+        test('createStandingOrder should validate and store the schedule', () => {
+            const created = order();
+
+            expect(created).toMatchObject({
+                id: expect.stringMatching(/^SO-[0-9A-F]{8}$/),
+                frequency: 'MONTHLY',
+                dayOfMonth: 31,
+                nextRunDate: '2024-01-31',
+                status: 'ACTIVE',
+            });
+            expect(service.listStandingOrders('ACC-5678')).toEqual([created]);
+            expect(service.audit.readEntries().pop()).toMatchObject({ action: 'STANDING_ORDER_CREATED' });
+
+            expect(() => order({ toId: 'ACC-1234' })).toThrow(expect.objectContaining({ code: 'TRANSFER_SAME_ACCOUNT' }));
+            expect(() => order({ toId: 'ACC-0000' })).toThrow(NotFoundError);
+            expect(() => order({ amount: 0 })).toThrow(expect.objectContaining({ code: 'AMOUNT_ZERO' }));
+            expect(() => order({ frequency: 'hourly' })).toThrow(expect.objectContaining({ code: 'FREQUENCY_INVALID' }));
+            expect(() => order({ endDate: '2024-01-01' })).toThrow(expect.objectContaining({ code: 'DATE_RANGE_INVALID' }));
+            expect(() => order({ startDate: '2024-01-14' })).toThrow(expect.objectContaining({ code: 'START_DATE_PAST' }));
+            expect(order({ startDate: undefined }).startDate).toBe('2024-01-15');
+        });
+
+        test('runStandingOrders should pay the due run and advance to the next date', () => {
+            const created = order();
+
+            const runs = service.runStandingOrders({ now: new Date('2024-01-31T09:00:00.000Z') });
+
+            expect(runs).toEqual([expect.objectContaining({ orderId: created.id, dueDate: '2024-01-31', outcome: 'SUCCEEDED' })]);
+            expect(service.findAccount('ACC-1234').balance).toBe(97500);
+            expect(service.findAccount('ACC-5678').transactions[0].description).toBe(`From ACC-1234 (Standing order ${created.id})`);
+            expect(created.nextRunDate).toBe('2024-02-29');
+            expect(service.runStandingOrders({ now: new Date('2024-02-01T00:00:00.000Z') })).toEqual([]);
+        });
+
+        test('runStandingOrders should skip missed runs and pay only the latest', () => {
+            const created = order();
+
+            const runs = service.runStandingOrders({ now: new Date('2024-04-15T00:00:00.000Z') });
+
+            expect(runs.map((run) => [run.dueDate, run.outcome])).toEqual([
+                ['2024-01-31', 'SKIPPED'],
+                ['2024-02-29', 'SKIPPED'],
+                ['2024-03-31', 'SUCCEEDED'],
+            ]);
+            expect(service.findAccount('ACC-1234').balance).toBe(97500);
+            expect(created.runs).toHaveLength(3);
+            expect(created.nextRunDate).toBe('2024-04-30');
+        });
+
+        test('runStandingOrders should record failures and complete one-off orders', () => {
+            const created = order({ fromId: 'ACC-5678', toId: 'ACC-1234', amount: 500000, frequency: 'once' });
+            const frozen = order({ frequency: 'daily' });
+            service.freeze('ACC-1234');
+
+            const runs = service.runStandingOrders({ now: new Date('2024-01-31T00:00:00.000Z') });
+
+            expect(runs[0]).toMatchObject({ orderId: created.id, outcome: 'FAILED', reason: expect.stringMatching(/Insufficient/) });
+            expect(runs[1]).toMatchObject({ orderId: frozen.id, outcome: 'SKIPPED' });
+            expect(created.status).toBe('COMPLETED');
+            expect(frozen.status).toBe('ACTIVE');
+            expect(service.findAccount('ACC-1234').balance).toBe(100000);
+            expect(service.findAccount('ACC-5678').balance).toBe(200000);
+        });
+
+        test('cancelStandingOrder should stop future runs', () => {
+            const created = order();
+
+            service.cancelStandingOrder(created.id);
+
+            expect(created.status).toBe('CANCELLED');
+            expect(service.runStandingOrders({ now: new Date('2024-06-01T00:00:00.000Z') })).toEqual([]);
+            expect(() => service.cancelStandingOrder(created.id)).toThrow(expect.objectContaining({ code: 'STANDING_ORDER_INACTIVE' }));
+            expect(() => service.cancelStandingOrder('SO-00000000')).toThrow(
+                expect.objectContaining({ code: 'STANDING_ORDER_NOT_FOUND' })
+            );
+        });
+    });
+
+    describe('PINs', () => {
+        test('verifyPin should pass accounts without a PIN', () => {
+            expect(service.verifyPin('ACC-1234')).toBe(service.findAccount('ACC-1234'));
+        });
+
+        test('setPin should hash the PIN and require it afterwards', () => {
+            service.setPin('ACC-1234', 'correct horse');
+            const account = service.findAccount('ACC-1234');
+
+            expect(service.hasPin(account)).toBe(true);
+            expect(account.pin.hash).not.toContain('correct horse');
+            expect(() => service.verifyPin('ACC-1234')).toThrow(expect.objectContaining({ code: 'PIN_REQUIRED' }));
+            expect(() => service.verifyPin('ACC-1234', 'wrong')).toThrow(AuthenticationError);
+            expect(service.verifyPin('ACC-1234', 'correct horse')).toBe(account);
+            expect(account.failedPinAttempts).toBe(0);
+        });
+
+        test('setPin should validate length and need the current PIN to change it', () => {
+            expect(() => service.setPin('ACC-1234', '123')).toThrow(expect.objectContaining({ code: 'PIN_TOO_SHORT' }));
+            expect(() => service.setPin('ACC-1234', '1'.repeat(65))).toThrow(expect.objectContaining({ code: 'PIN_TOO_LONG' }));
+
+            service.setPin('ACC-1234', '4821');
+            expect(() => service.setPin('ACC-1234', '9999')).toThrow(expect.objectContaining({ code: 'PIN_REQUIRED' }));
+            service.setPin('ACC-1234', '9999', '4821');
+            expect(service.verifyPin('ACC-1234', '9999').id).toBe('ACC-1234');
+
+            service.removePin('ACC-1234', '9999');
+            expect(service.hasPin(service.findAccount('ACC-1234'))).toBe(false);
+        });
+
+        test('repeated wrong PINs should lock the account until the lockout expires', () => {
+            service = new AccountService({
+                data: { accounts: [makeAccount()] },
+                onChange,
+                config: { maxPinAttempts: 2, pinLockoutMinutes: 10 },
+            });
+            service.setPin('ACC-1234', '4821');
+            const now = new Date('2024-01-01T12:00:00.000Z');
+
+            expect(() => service.verifyPin('ACC-1234', '0000', now)).toThrow(expect.objectContaining({ code: 'PIN_INCORRECT' }));
+            expect(() => service.verifyPin('ACC-1234', '0000', now)).toThrow(expect.objectContaining({ code: 'PIN_LOCKED' }));
+            expect(service.findAccount('ACC-1234').pinLockedUntil).toBe('2024-01-01T12:10:00.000Z');
+            // even the right PIN is refused while locked
+            expect(() => service.verifyPin('ACC-1234', '4821', new Date('2024-01-01T12:09:00.000Z'))).toThrow(
+                'Try again after 2024-01-01 12:10 UTC.'
+            );
+
+            const account = service.verifyPin('ACC-1234', '4821', new Date('2024-01-01T12:10:00.000Z'));
+            expect(account.pinLockedUntil).toBeUndefined();
+            expect(account.failedPinAttempts).toBe(0);
+        });
+    });
+
+    describe('operators', () => {
+        const addAdmin = () => service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+
+        test('without operators every action is allowed', () => {
+            expect(service.can('account:close')).toBe(true);
+            expect(() => service.authorize('account:close')).not.toThrow();
+        });
+
+        test('addOperator should validate the new login', () => {
+            expect(() => service.addOperator({ username: 'tina', role: 'teller', password: 'teller-pass' })).toThrow(
+                expect.objectContaining({ code: 'FIRST_OPERATOR_ADMIN' })
+            );
+            addAdmin();
+            service.login('root', 'secret-pass');
+
+            expect(() => service.addOperator({ username: 'x', role: 'teller', password: 'teller-pass' })).toThrow(
+                expect.objectContaining({ code: 'USERNAME_INVALID' })
+            );
+            expect(() => service.addOperator({ username: 'ROOT', role: 'teller', password: 'teller-pass' })).toThrow(
+                expect.objectContaining({ code: 'USERNAME_DUPLICATE' })
+            );
+            expect(() => service.addOperator({ username: 'tina', role: 'manager', password: 'teller-pass' })).toThrow(
+                expect.objectContaining({ code: 'ROLE_INVALID' })
+            );
+            expect(() => service.addOperator({ username: 'tina', role: 'teller', password: 'short' })).toThrow(
+                expect.objectContaining({ code: 'PASSWORD_TOO_SHORT' })
+            );
+            expect(service.addOperator({ username: 'tina', role: 'teller', password: 'teller-pass' }).operator.role).toBe('TELLER');
+        });
+
+        test('once operators exist, actions need a login with the right role', () => {
+            addAdmin();
+            expect(() => service.deposit('ACC-1234', 100)).toThrow(expect.objectContaining({ code: 'LOGIN_REQUIRED' }));
+            expect(() => service.login('root', 'wrong')).toThrow(expect.objectContaining({ code: 'LOGIN_FAILED' }));
+
+            service.login('root', 'secret-pass');
+            service.addOperator({ username: 'tina', role: 'teller', password: 'teller-pass' });
+            service.login('tina', 'teller-pass');
+
+            expect(service.deposit('ACC-1234', 100).transaction.operator).toBe('tina');
+            expect(service.transfer('ACC-1234', 'ACC-5678', 100).debit.operator).toBe('tina');
+            expect(() => service.closeAccount('ACC-1234')).toThrow(PermissionError);
+            expect(() => service.freeze('ACC-1234')).toThrow(expect.objectContaining({ code: 'PERMISSION_DENIED' }));
+            expect(() => service.setOverdraft('ACC-1234', { limit: 100 })).toThrow(PermissionError);
+            expect(() => service.addOperator({ username: 'eve', role: 'admin', password: 'evil-pass' })).toThrow(PermissionError);
+        });
+
+        test('signing in should be audited without changing the data', () => {
+            addAdmin();
+            onChange.mockClear();
+
+            expect(() => service.login('root', 'wrong')).toThrow(AuthenticationError);
+            service.login('root', 'secret-pass');
+
+            expect(onChange).not.toHaveBeenCalled();
+            expect(service.audit.readEntries().map((entry) => entry.action)).toEqual(['OPERATOR_ADDED', 'LOGIN_FAILED', 'LOGIN']);
+        });
+
+        test('record should log the operator and action', () => {
+            addAdmin();
+            service.login('root', 'secret-pass');
+            service.freeze('ACC-1234');
+
+            const log = service.audit.readEntries();
+            expect(log.map((entry) => entry.action)).toEqual(['OPERATOR_ADDED', 'LOGIN', 'STATUS_CHANGED']);
+            expect(log[0].operator).toBeNull();
+            expect(log[2]).toMatchObject({ operator: 'root', details: { accountId: 'ACC-1234', from: 'ACTIVE', to: 'FROZEN' } });
+            expect(service.audit.verify()).toEqual({ ok: true, count: 3 });
+        });
+    });
+
+    test('closeAccount should keep the record and history but block postings', () => {
+        service.deposit('ACC-5678', 100);
+        service.withdraw('ACC-5678', 200100);
+
+        const { account, previousStatus } = service.closeAccount('ACC-5678');
+
+        expect(previousStatus).toBe('ACTIVE');
+        expect(account.status).toBe('CLOSED');
+        expect(service.findAccount('ACC-5678').transactions).toHaveLength(2);
+        expect(() => service.deposit('ACC-5678', 100)).toThrow(expect.objectContaining({ code: 'ACCOUNT_CLOSED' }));
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', 100)).toThrow(expect.objectContaining({ code: 'ACCOUNT_CLOSED' }));
+        expect(() => service.closeAccount('ACC-5678')).toThrow(expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' }));
+        expect(service.findAccount('ACC-1234').balance).toBe(100000);
+    });
+
+    test('closeAccount should refuse an account that holds or owes money', () => {
+        expect(() => service.closeAccount('ACC-1234')).toThrow(expect.objectContaining({
+            code: 'ACCOUNT_NOT_EMPTY',
+            message: 'Account ACC-1234 still holds $1,000.00. Bring the balance to zero before closing it.',
+        }));
+
+        service.setOverdraft('ACC-1234', { limit: 5000 });
+        service.withdraw('ACC-1234', 102500);
+        expect(() => service.closeAccount('ACC-1234')).toThrow(/owes \$25\.00/);
+        expect(service.statusOf(service.findAccount('ACC-1234'))).toBe('ACTIVE');
+    });
+
+    test('closeAccount should cancel the standing orders to and from the account', () => {
+        const order = (fromId, toId) => service.createStandingOrder({
+            fromId, toId, amount: 100, frequency: 'monthly',
+        }).order;
+        const outgoing = order('ACC-1234', 'ACC-5678');
+        const incoming = order('ACC-5678', 'ACC-1234');
+        service.createAccount({ holderName: 'Alice Green', initialDeposit: '0' });
+        const unrelated = order('ACC-5678', service.listAccounts()[2].id);
+        service.withdraw('ACC-1234', 100000);
+
+        const { cancelledOrders } = service.closeAccount('ACC-1234');
+
+        expect(cancelledOrders).toEqual([outgoing, incoming]);
+        expect([outgoing.status, incoming.status, unrelated.status]).toEqual(['CANCELLED', 'CANCELLED', 'ACTIVE']);
+        expect(outgoing.nextRunDate).toBeNull();
+        expect(service.audit.readEntries().map((entry) => entry.action).slice(-3)).toEqual([
+            'STANDING_ORDER_CANCELLED', 'STANDING_ORDER_CANCELLED', 'ACCOUNT_CLOSED',
+        ]);
+    });
+
+    test('frozen accounts should reject debits but accept credits', () => {
+        service.freeze('ACC-1234');
+
+        expect(() => service.withdraw('ACC-1234', 100)).toThrow(AccountStatusError);
+        expect(() => service.transfer('ACC-1234', 'ACC-5678', 100)).toThrow(expect.objectContaining({ code: 'ACCOUNT_FROZEN' }));
+        expect(service.deposit('ACC-1234', 100).account.balance).toBe(100100);
+        service.transfer('ACC-5678', 'ACC-1234', 100);
+
+        service.unfreeze('ACC-1234');
+        expect(service.withdraw('ACC-1234', 100).account.balance).toBe(100100);
+    });
+
+    test('markDormantAccounts should only mark active accounts idle for longer than the limit', () => {
+        const now = new Date('2024-06-01T00:00:00.000Z');
+        service.findAccount('ACC-5678').transactions.push({ type: 'DEPOSIT', amount: 1, timestamp: '2024-05-20T00:00:00.000Z', balanceAfter: 1 });
+
+        const marked = service.markDormantAccounts({ days: 30, now });
+
+        expect(marked.map((account) => account.id)).toEqual(['ACC-1234']);
+        expect(service.statusOf(service.findAccount('ACC-1234'))).toBe('DORMANT');
+        expect(service.statusOf(service.findAccount('ACC-5678'))).toBe('ACTIVE');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(service.markDormantAccounts({ days: 30, now })).toEqual([]);
+    });
+
+    test('dormant accounts should accept credits, reject debits until reactivated', () => {
+        service.markDormantAccounts({ days: 0, now: new Date(Date.now() + 1000) });
+
+        expect(() => service.withdraw('ACC-1234', 100)).toThrow(expect.objectContaining({ code: 'ACCOUNT_DORMANT' }));
+        service.deposit('ACC-1234', 100);
+
+        service.reactivate('ACC-1234');
+        expect(service.withdraw('ACC-1234', 100).account.status).toBe('ACTIVE');
+        // reactivation counts as activity
+        expect(service.markDormantAccounts({ days: 1 })).toEqual([]);
+    });
+
+    test('typed errors should share the BankError base', () => {
+        expect(new ValidationError('bad', 'X')).toBeInstanceOf(BankError);
+        expect(new NotFoundError()).toMatchObject({ code: 'ACCOUNT_NOT_FOUND', message: 'Account not found.' });
+    });
+});
@@ -0,0 +1,105 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, MemoryAuditLog, GENESIS_HASH, verifyEntries } = require('../src/audit.js');
+
+describe('audit', () => {
+    let tmpDir;
+    let logPath;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-audit-'));
+        logPath = path.join(tmpDir, 'audit.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('append should chain each entry to the one before it', () => {
+        const log = new AuditLog(logPath);
+
+        const first = log.append({ operator: 'root', action: 'DEPOSIT', details: { amount: 100 } });
+        const second = log.append({ action: 'WITHDRAWAL', details: { amount: 50 } });
+
+        expect(first).toMatchObject({ seq: 1, prevHash: GENESIS_HASH, operator: 'root' });
+        expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(second).toMatchObject({ seq: 2, prevHash: first.hash, operator: null });
+        expect(fs.readFileSync(logPath, 'utf8').trim().split('\n')).toHaveLength(2);
+        expect(log.verify()).toEqual({ ok: true, count: 2 });
+    });
+
+    test('append should continue a chain written by another session', () => {
+        new AuditLog(logPath).append({ action: 'DEPOSIT' });
+        const log = new AuditLog(logPath);
+        log.append({ action: 'DEPOSIT' });
+        new AuditLog(logPath).append({ action: 'DEPOSIT' });
+
+        expect(log.append({ action: 'DEPOSIT' }).seq).toBe(4);
+        expect(log.verify().ok).toBe(true);
+    });
+
+    test.each([
+        ['an edited entry', (lines) => { lines[1] = lines[1].replace('"amount":2', '"amount":20'); }, 2, 'contents do not match'],
+        ['a removed entry', (lines) => { lines.splice(1, 1); }, 2, 'expected sequence number 2'],
+        ['swapped entries', (lines) => { lines.reverse(); }, 1, 'expected sequence number 1'],
+        ['a garbled line', (lines) => { lines[2] = '{oops'; }, 3, 'not valid JSON'],
+    ])('verify should detect %s', (label, tamper, seq, reason) => {
+        const log = new AuditLog(logPath);
+        [1, 2, 3].forEach((amount) => log.append({ action: 'DEPOSIT', details: { amount } }));
+
+        const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        tamper(lines);
+        fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+
+        const result = log.verify();
+        expect(result).toMatchObject({ ok: false, seq });
+        expect(result.reason).toContain(reason);
+    });
+
+    test('verify should detect entries removed from the end against the saved anchor', () => {
+        const log = new AuditLog(logPath);
+        const entries = [1, 2, 3, 4].map((amount) => log.append({ action: 'DEPOSIT', details: { amount } }));
+        const anchor = { seq: entries[3].seq, hash: entries[3].hash };
+        expect(log.verify(anchor)).toEqual({ ok: true, count: 4 });
+
+        const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        fs.writeFileSync(logPath, `${lines.slice(0, 2).join('\n')}\n`);
+
+        expect(log.verify()).toEqual({ ok: true, count: 2 });
+        expect(log.verify(anchor)).toMatchObject({ ok: false, count: 2, seq: 4, reason: expect.stringContaining('missing') });
+    });
+
+    test('verify should detect a rehashed entry whose successor still points at the old hash', () => {
+        const log = new MemoryAuditLog();
+        log.append({ action: 'DEPOSIT', details: { amount: 1 } });
+        log.append({ action: 'DEPOSIT', details: { amount: 2 } });
+
+        const forged = new MemoryAuditLog();
+        forged.append({ action: 'DEPOSIT', details: { amount: 999 } });
+
+        expect(verifyEntries([forged.entries[0], log.entries[1]])).toMatchObject({ ok: false, seq: 2 });
+    });
+
+    test('writers in separate processes should not break the chain', async () => {
+        const script = [
+            `const { AuditLog } = require(${JSON.stringify(path.resolve(__dirname, '../src/audit.js'))});`,
+            `const log = new AuditLog(${JSON.stringify(logPath)});`,
+            'for (let i = 0; i < 40; i++) log.append({ action: \'LOGIN\', details: { i } });',
+        ].join('\n');
+        const writer = () => new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+            child.on('error', reject);
+            child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`writer exited with ${code}`))));
+        });
+
+        await Promise.all([writer(), writer()]);
+
+        expect(new AuditLog(logPath).verify()).toEqual({ ok: true, count: 80 });
+    }, 30000);
+
+    test('a missing file should verify as an empty log', () => {
+        expect(new AuditLog(logPath).verify()).toEqual({ ok: true, count: 0 });
+    });
+});
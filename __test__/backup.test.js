@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_KEEP,
+    backupDir,
+    readBackup,
+    listBackups,
+    newestValidBackup,
+    createBackup,
+    quarantineFile,
+} = require('../src/backup.js');
+
+describe('backup', () => {
+    let tmpDir;
+    let dataPath;
+
+    const writeData = (accounts) => {
+        fs.writeFileSync(dataPath, JSON.stringify({ schemaVersion: 2, amountUnit: 'cents', accounts }));
+    };
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-backup-'));
+        dataPath = path.join(tmpDir, 'bank-data.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('backups should live in a folder named after the data file', () => {
+        expect(backupDir(dataPath)).toBe(path.join(tmpDir, 'bank-data-backups'));
+    });
+
+    test('listBackups should be empty before the first backup', () => {
+        expect(listBackups(dataPath)).toEqual([]);
+        expect(newestValidBackup(dataPath)).toBeNull();
+    });
+
+    test('createBackup should copy the file under a timestamped name', async () => {
+        writeData([{ id: 'ACC-1' }]);
+
+        const backupPath = await createBackup(dataPath, { revision: 7, now: new Date('2024-01-31T09:05:00.123Z') });
+
+        expect(path.basename(backupPath)).toBe('2024-01-31T09-05-00-123Z-r7.json');
+        expect(fs.readFileSync(backupPath, 'utf8')).toBe(fs.readFileSync(dataPath, 'utf8'));
+        expect(listBackups(dataPath)).toEqual([{
+            file: '2024-01-31T09-05-00-123Z-r7.json',
+            path: backupPath,
+            savedAt: '2024-01-31T09:05:00.123Z',
+            revision: 7,
+            size: fs.statSync(dataPath).size,
+            encrypted: false,
+            valid: true,
+            accounts: 1,
+        }]);
+    });
+
+    test('createBackup should keep only the newest copies', async () => {
+        writeData([]);
+        for (let i = 0; i < DEFAULT_KEEP + 2; i++) {
+            await createBackup(dataPath, { revision: i, now: new Date(Date.UTC(2024, 0, 1 + i)) });
+        }
+
+        const backups = listBackups(dataPath);
+        expect(backups).toHaveLength(DEFAULT_KEEP);
+        expect(backups[0].revision).toBe(DEFAULT_KEEP + 1);
+        expect(backups[backups.length - 1].revision).toBe(2);
+
+        await createBackup(dataPath, { revision: 99, keep: 3 });
+        expect(listBackups(dataPath).map((backup) => backup.revision)).toEqual([99, DEFAULT_KEEP + 1, DEFAULT_KEEP]);
+    });
+
+    test('newestValidBackup should skip copies that no longer read', async () => {
+        writeData([{ id: 'ACC-1' }, { id: 'ACC-2' }]);
+        await createBackup(dataPath, { revision: 1, now: new Date('2024-01-01T00:00:00.000Z') });
+        const damaged = await createBackup(dataPath, { revision: 2, now: new Date('2024-01-02T00:00:00.000Z') });
+        fs.writeFileSync(damaged, '{"accounts": [');
+        fs.writeFileSync(path.join(backupDir(dataPath), 'notes.txt'), 'not a backup');
+
+        const backups = listBackups(dataPath);
+        expect(backups.map((backup) => [backup.revision, backup.valid, backup.accounts])).toEqual([
+            [2, false, null],
+            [1, true, 2],
+        ]);
+        expect(newestValidBackup(dataPath).revision).toBe(1);
+    });
+
+    test('readBackup should refuse files of the wrong shape or from a newer version', () => {
+        const file = path.join(tmpDir, 'other.json');
+        fs.writeFileSync(file, '{"foo":"bar"}');
+        expect(readBackup(file)).toBeNull();
+        fs.writeFileSync(file, '{"schemaVersion":99,"accounts":[]}');
+        expect(readBackup(file)).toBeNull();
+        expect(readBackup(path.join(tmpDir, 'missing.json'))).toBeNull();
+        fs.writeFileSync(file, '{"accounts":[]}');
+        expect(readBackup(file)).toEqual({ accounts: [] });
+    });
+
+    test('quarantineFile should move the damaged file aside', () => {
+        fs.writeFileSync(dataPath, 'garbage');
+
+        const moved = quarantineFile(dataPath, new Date('2024-01-31T09:05:00.123Z'));
+
+        expect(moved).toBe(path.join(tmpDir, 'bank-data.corrupt-2024-01-31T09-05-00-123Z.json'));
+        expect(fs.existsSync(dataPath)).toBe(false);
+        expect(fs.readFileSync(moved, 'utf8')).toBe('garbage');
+        expect(quarantineFile(dataPath)).toBeNull();
+    });
+
+    test('quarantineFile should keep the file extension', () => {
+        const logPath = path.join(tmpDir, 'bank-data.jsonl');
+        fs.writeFileSync(logPath, '{"revision":');
+
+        expect(quarantineFile(logPath, new Date('2024-01-31T09:05:00.123Z'))).toBe(
+            path.join(tmpDir, 'bank-data.corrupt-2024-01-31T09-05-00-123Z.jsonl')
+        );
+    });
+});
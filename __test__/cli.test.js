@@ -0,0 +1,520 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bank = require('../src/index.js');
+const { run, parseArgs, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require('../src/cli.js');
+const { SCHEMA_VERSION } = require('../src/migrations.js');
+
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+global.console.clear = jest.fn();
+
+const baseAccounts = () => ([
+    {
+        id: 'ACC-1234',
+        holderName: 'John Doe',
+        balance: 100000,
+        createdAt: '2023-01-01T00:00:00.000Z',
+        transactions: [],
+    },
+    {
+        id: 'ACC-5678',
+        holderName: 'Jane Smith',
+        balance: 200000,
+        createdAt: '2023-02-01T00:00:00.000Z',
+        transactions: [],
+    },
+]);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-cli-'));
+bank.__setDataPath(path.join(tmpDir, 'bank-data.json'));
+
+afterAll(async () => {
+    await bank.flushSaves();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('cli', () => {
+    let askSpy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        bank.__setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: baseAccounts() });
+        jest.spyOn(bank, 'loadData').mockImplementation(() => undefined);
+        askSpy = jest.fn(() => Promise.resolve(''));
+        bank.__setAsk(askSpy);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parseArgs should split positionals and flags', () => {
+        expect(parseArgs(['ACC-1', '--name', 'Jane Doe', '--deposit=250', '--json'])).toEqual({
+            positional: ['ACC-1'],
+            flags: { name: 'Jane Doe', deposit: '250', json: true },
+        });
+    });
+
+    test('create should open an account and never pause', async () => {
+        const code = await run(['create', '--name', 'Alice Green', '--deposit', '250']);
+
+        expect(code).toBe(EXIT_OK);
+        const created = bank.service.listAccounts().find((acc) => acc.holderName === 'Alice Green');
+        expect(created.balance).toBe(25000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`Account created successfully. ID: ${created.id}`));
+        expect(askSpy).not.toHaveBeenCalled();
+    });
+
+    test('create should apply the same validation as the menu', async () => {
+        const code = await run(['create', '--name', 'Bob', '--deposit', '100.999']);
+
+        expect(code).toBe(EXIT_FAILURE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('must have up to 2 decimal places'));
+        expect(bank.service.listAccounts()).toHaveLength(2);
+    });
+
+    test('deposit and withdraw should update the balance', async () => {
+        expect(await run(['deposit', 'ACC-1234', '100'])).toBe(EXIT_OK);
+        expect(await run(['withdraw', 'ACC-1234', '50'])).toBe(EXIT_OK);
+
+        expect(bank.findAccountById('ACC-1234').balance).toBe(105000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('New balance: $1,050.00'));
+    });
+
+    test('deposit should fail for unknown accounts and bad amounts', async () => {
+        expect(await run(['deposit', 'ACC-0000', '100'])).toBe(EXIT_FAILURE);
+        expect(await run(['deposit', 'ACC-1234', 'abc'])).toBe(EXIT_FAILURE);
+        expect(await run(['deposit', 'ACC-1234', '1e9'])).toBe(EXIT_FAILURE);
+        expect(await run(['deposit', 'ACC-1234', '-500'])).toBe(EXIT_FAILURE);
+        expect(await run(['transfer', 'ACC-1234', 'ACC-0000', '10'])).toBe(EXIT_FAILURE);
+        expect(await run(['transfer', 'ACC-1234', 'ACC-1234', '10'])).toBe(EXIT_FAILURE);
+        expect(bank.findAccountById('ACC-1234').balance).toBe(100000);
+    });
+
+    test('transfer should move funds between accounts', async () => {
+        const code = await run(['transfer', 'ACC-1234', 'ACC-5678', '50']);
+
+        expect(code).toBe(EXIT_OK);
+        expect(bank.findAccountById('ACC-1234').balance).toBe(95000);
+        expect(bank.findAccountById('ACC-5678').balance).toBe(205000);
+    });
+
+    test('trace should show both legs of a transfer', async () => {
+        await run(['transfer', 'ACC-1234', 'ACC-5678', '50', '--json']);
+        const { reference } = JSON.parse(global.console.log.mock.calls[0][0]);
+        global.console.log.mockClear();
+
+        expect(await run(['trace', reference, '--json'])).toBe(EXIT_OK);
+
+        const printed = JSON.parse(global.console.log.mock.calls[0][0]);
+        expect(printed.debit.accountId).toBe('ACC-1234');
+        expect(printed.credit.accountId).toBe('ACC-5678');
+        expect(await run(['trace', 'TRF-UNKNOWN'])).toBe(EXIT_FAILURE);
+    });
+
+    test('transfer should fail when the source account is missing', async () => {
+        expect(await run(['transfer', 'ACC-0000', 'ACC-5678', '50'])).toBe(EXIT_FAILURE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('Source account not found'));
+    });
+
+    test('pay-external should send money to clearing and clearing should list it', async () => {
+        expect(await run(['pay-external', 'ACC-1234', '75', '--name', 'Mary Major', '--account', 'DE89 3704'])).toBe(EXIT_OK);
+        expect(await run(['pay-external', 'ACC-1234', '75', '--name', 'Mary Major'])).toBe(EXIT_FAILURE);
+        global.console.log.mockClear();
+
+        expect(await run(['clearing', '--json'])).toBe(EXIT_OK);
+
+        const printed = JSON.parse(global.console.log.mock.calls[0][0]);
+        expect(printed.balance).toBe(7500);
+        expect(printed.transactions[0].beneficiary).toEqual({ name: 'Mary Major', account: 'DE89 3704' });
+        expect(bank.findAccountById('ACC-1234').balance).toBe(92500);
+        expect(bank.service.listAccounts()).toHaveLength(2);
+    });
+
+    test('reverse should undo a transaction by ID', async () => {
+        await run(['withdraw', 'ACC-1234', '100']);
+        const { id } = bank.findAccountById('ACC-1234').transactions[0];
+
+        expect(await run(['reverse', id, '--reason', 'duplicate'])).toBe(EXIT_OK);
+        expect(await run(['reverse', id])).toBe(EXIT_FAILURE);
+        expect(await run(['reverse'])).toBe(EXIT_USAGE);
+
+        expect(bank.findAccountById('ACC-1234').balance).toBe(100000);
+    });
+
+    test('schedule, schedules, run-scheduled and unschedule should manage standing orders', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        expect(await run(['schedule', 'ACC-1234', 'ACC-5678', '10', '--every', 'daily', '--start', '2024-01-01'])).toBe(EXIT_FAILURE);
+        expect(await run(['schedule', 'ACC-1234', 'ACC-5678', '10', '--every', 'daily', '--start', today, '--end', today])).toBe(EXIT_OK);
+        expect(await run(['schedule', 'ACC-1234', 'ACC-5678', '10', '--every', 'monthly', '--start', '2099-01-01'])).toBe(EXIT_OK);
+        expect(await run(['schedule', 'ACC-1234', 'ACC-5678', '10', '--every', 'fortnightly'])).toBe(EXIT_FAILURE);
+        expect(await run(['schedule', 'ACC-1234', 'ACC-5678'])).toBe(EXIT_USAGE);
+
+        global.console.log.mockClear();
+        expect(await run(['run-scheduled', '--json'])).toBe(EXIT_OK);
+        const runs = JSON.parse(global.console.log.mock.calls[0][0]);
+        expect(runs.map((entry) => entry.outcome)).toEqual(['SUCCEEDED']);
+        expect(bank.findAccountById('ACC-5678').balance).toBe(201000);
+
+        const [finished, future] = bank.service.listStandingOrders('ACC-1234');
+        expect(finished.status).toBe('COMPLETED');
+        expect(await run(['unschedule', future.id])).toBe(EXIT_OK);
+        expect(await run(['unschedule', future.id])).toBe(EXIT_FAILURE);
+        expect(await run(['schedules', '--account', 'ACC-5678'])).toBe(EXIT_OK);
+    });
+
+    test('statement should print or write the period statement', async () => {
+        await run(['create', '--name', 'Alice Green', '--deposit', '250']);
+        const { id } = bank.service.listAccounts()[2];
+        await run(['withdraw', id, '100']);
+        const today = new Date().toISOString().slice(0, 10);
+        const outPath = path.join(tmpDir, 'statement.md');
+
+        global.console.log.mockClear();
+        expect(await run(['statement', id, '--from', today, '--to', today, '--json'])).toBe(EXIT_OK);
+        expect(JSON.parse(global.console.log.mock.calls[0][0])).toMatchObject({
+            openingBalance: 0,
+            totalIn: 25000,
+            totalOut: 10000,
+            closingBalance: 15000,
+        });
+
+        expect(await run(['statement', id, '--from', today, '--to', today, '--format', 'markdown', '--out', outPath])).toBe(EXIT_OK);
+        expect(fs.readFileSync(outPath, 'utf8')).toContain(`# Statement for ${id}`);
+        expect(await run(['statement', id, '--format', 'pdf'])).toBe(EXIT_FAILURE);
+    });
+
+    test('export should write CSV, OFX and QIF to stdout or a file', async () => {
+        const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        await run(['deposit', 'ACC-1234', '100']);
+
+        expect(await run(['export', 'accounts'])).toBe(EXIT_OK);
+        expect(write.mock.calls[0][0]).toContain('ACC-5678,Jane Smith,2000.00,ACTIVE,');
+
+        const outPath = path.join(tmpDir, 'transactions.csv');
+        expect(await run(['export', 'transactions', '--account', 'ACC-1234', '--out', outPath])).toBe(EXIT_OK);
+        expect(fs.readFileSync(outPath, 'utf8').split('\r\n')[1]).toMatch(/^ACC-1234,TXN-[0-9A-F]{12},.*,DEPOSIT,100\.00,1100\.00,/);
+        expect(await run(['export', 'operators'])).toBe(EXIT_USAGE);
+
+        write.mockClear();
+        expect(await run(['export', 'ofx', 'ACC-1234', '--ofx-version', '2'])).toBe(EXIT_OK);
+        expect(write.mock.calls[0][0]).toContain('<TRNAMT>100.00</TRNAMT>');
+        expect(await run(['export', 'qif', 'ACC-1234', '--out', path.join(tmpDir, 'ACC-1234.qif')])).toBe(EXIT_OK);
+        expect(fs.readFileSync(path.join(tmpDir, 'ACC-1234.qif'), 'utf8')).toContain('T100.00\n');
+        expect(await run(['export', 'ofx'])).toBe(EXIT_USAGE);
+    });
+
+    test('import should dry-run, refuse bad files and open accounts', async () => {
+        const goodPath = path.join(tmpDir, 'good.csv');
+        const badPath = path.join(tmpDir, 'bad.csv');
+        fs.writeFileSync(goodPath, 'holderName,initialDeposit\r\nAlice Green,25\r\nBob Brown,0\r\n');
+        fs.writeFileSync(badPath, 'holderName,initialDeposit\nAlice Green,25\nJane Smith,abc\n');
+
+        expect(await run(['import', goodPath, '--dry-run'])).toBe(EXIT_OK);
+        expect(await run(['import', badPath])).toBe(EXIT_FAILURE);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Line 3: Jane Smith: Account holder name already exists.'));
+        expect(bank.service.listAccounts()).toHaveLength(2);
+
+        expect(await run(['import', goodPath])).toBe(EXIT_OK);
+        expect(bank.service.listAccounts().map((account) => account.holderName)).toEqual(['John Doe', 'Jane Smith', 'Alice Green', 'Bob Brown']);
+        expect(await run(['import', path.join(tmpDir, 'missing.csv')])).toBe(EXIT_USAGE);
+    });
+
+    test('history should print transactions as JSON when requested', async () => {
+        await run(['deposit', 'ACC-1234', '100']);
+        global.console.log.mockClear();
+
+        const code = await run(['history', 'ACC-1234', '--json']);
+
+        expect(code).toBe(EXIT_OK);
+        const printed = JSON.parse(global.console.log.mock.calls[0][0]);
+        expect(printed.transactions).toHaveLength(1);
+        expect(printed.transactions[0]).toMatchObject({ type: 'DEPOSIT', amount: 10000 });
+        expect(printed.totals).toEqual({ count: 1, moneyIn: 10000, moneyOut: 0, net: 10000 });
+    });
+
+    test('history should filter, sort and page', async () => {
+        await run(['deposit', 'ACC-1234', '100']);
+        await run(['deposit', 'ACC-1234', '250']);
+        await run(['withdraw', 'ACC-1234', '50']);
+        const json = async (args) => {
+            global.console.log.mockClear();
+            expect(await run(['history', 'ACC-1234', ...args, '--json'])).toBe(EXIT_OK);
+            return JSON.parse(global.console.log.mock.calls[0][0]);
+        };
+
+        expect((await json(['--type', 'deposit', '--min', '200'])).transactions.map((t) => t.amount)).toEqual([25000]);
+        expect((await json(['--sort', 'amount-asc'])).transactions.map((t) => t.amount)).toEqual([5000, 10000, 25000]);
+        expect(await json(['--page', '2', '--page-size', '2'])).toMatchObject({
+            page: 2,
+            pageCount: 2,
+            total: 3,
+            totals: { moneyIn: 35000, moneyOut: 5000, net: 30000 },
+        });
+        expect(await run(['history', 'ACC-1234', '--type', 'bonus'])).toBe(EXIT_FAILURE);
+    });
+
+    test('list should search, filter, sort and page', async () => {
+        const json = async (args) => {
+            global.console.log.mockClear();
+            expect(await run(['list', ...args, '--json'])).toBe(EXIT_OK);
+            return JSON.parse(global.console.log.mock.calls[0][0]).map((account) => account.id);
+        };
+
+        expect(await json(['--search', 'jnae'])).toEqual(['ACC-5678']);
+        expect(await json(['--search', '1234'])).toEqual(['ACC-1234']);
+        expect(await json(['--sort', 'balance-desc'])).toEqual(['ACC-5678', 'ACC-1234']);
+        expect(await json(['--min-balance', '1500'])).toEqual(['ACC-5678']);
+        expect(await json(['--page', '2', '--page-size', '1'])).toEqual(['ACC-5678']);
+        await run(['freeze', 'ACC-1234']);
+        expect(await json(['--status', 'frozen'])).toEqual(['ACC-1234']);
+        expect(await run(['list', '--status', 'open'])).toBe(EXIT_FAILURE);
+    });
+
+    test('list, show and delete should work without prompting', async () => {
+        expect(await run(['list'])).toBe(EXIT_OK);
+        expect(await run(['show', 'ACC-5678'])).toBe(EXIT_OK);
+        expect(await run(['delete', 'ACC-5678'])).toBe(EXIT_FAILURE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('still holds $2,000.00'));
+        expect(await run(['withdraw', 'ACC-5678', '2000'])).toBe(EXIT_OK);
+        expect(await run(['delete', 'ACC-5678'])).toBe(EXIT_OK);
+        expect(await run(['close', 'ACC-5678'])).toBe(EXIT_FAILURE);
+        expect(await run(['close', 'ACC-0000'])).toBe(EXIT_FAILURE);
+
+        expect(bank.service.listAccounts()).toHaveLength(2);
+        expect(bank.findAccountById('ACC-5678').status).toBe('CLOSED');
+        expect(askSpy).not.toHaveBeenCalled();
+    });
+
+    test('freeze, unfreeze and mark-dormant should change account status', async () => {
+        expect(await run(['freeze', 'ACC-1234'])).toBe(EXIT_OK);
+        expect(await run(['withdraw', 'ACC-1234', '10'])).toBe(EXIT_FAILURE);
+        expect(await run(['unfreeze', 'ACC-1234'])).toBe(EXIT_OK);
+        expect(await run(['withdraw', 'ACC-1234', '10'])).toBe(EXIT_OK);
+
+        expect(await run(['mark-dormant', '--days', '0', '--json'])).toBe(EXIT_OK);
+        expect(bank.findAccountById('ACC-5678').status).toBe('DORMANT');
+        expect(await run(['reactivate', 'ACC-5678'])).toBe(EXIT_OK);
+        expect(await run(['mark-dormant', '--days', 'soon'])).toBe(EXIT_USAGE);
+    });
+
+    test('set-overdraft should let withdrawals go below zero up to the limit', async () => {
+        expect(await run(['withdraw', 'ACC-1234', '1200'])).toBe(EXIT_FAILURE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('Insufficient funds'));
+
+        expect(await run(['set-overdraft', 'ACC-1234', '500', '--fee', '25'])).toBe(EXIT_OK);
+        expect(await run(['withdraw', 'ACC-1234', '1200'])).toBe(EXIT_OK);
+
+        expect(bank.findAccountById('ACC-1234').balance).toBe(-22500);
+        expect(await run(['set-overdraft', 'ACC-1234', '-5'])).toBe(EXIT_FAILURE);
+        expect(await run(['set-overdraft', 'ACC-1234'])).toBe(EXIT_USAGE);
+    });
+
+    test('accounts with a PIN should need --pin or BANKCLI_PIN', async () => {
+        expect(await run(['set-pin', 'ACC-1234', '--new-pin', '4821'])).toBe(EXIT_OK);
+
+        expect(await run(['withdraw', 'ACC-1234', '10'])).toBe(EXIT_FAILURE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('requires a PIN'));
+        expect(await run(['withdraw', 'ACC-1234', '10', '--pin', '0000'])).toBe(EXIT_FAILURE);
+        expect(await run(['withdraw', 'ACC-1234', '10', '--pin', '4821'])).toBe(EXIT_OK);
+        expect(await run(['history', 'ACC-1234'])).toBe(EXIT_FAILURE);
+        expect(await run(['export', 'transactions', '--account', 'ACC-1234'])).toBe(EXIT_FAILURE);
+        expect(await run(['history', 'ACC-1234', '--pin', '4821'])).toBe(EXIT_OK);
+
+        const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        expect(await run(['export', 'transactions'])).toBe(EXIT_OK);
+        const csv = write.mock.calls.map(([chunk]) => chunk).join('');
+        write.mockRestore();
+        expect(csv).toMatch(/^accountId,/);
+        expect(csv).not.toContain('ACC-1234');
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining('Left out 1 PIN-protected account(s)'));
+
+        process.env.BANKCLI_PIN = '4821';
+        try {
+            expect(await run(['show', 'ACC-1234'])).toBe(EXIT_OK);
+            expect(await run(['set-pin', 'ACC-1234', '--remove'])).toBe(EXIT_OK);
+        } finally {
+            delete process.env.BANKCLI_PIN;
+        }
+        expect(await run(['withdraw', 'ACC-1234', '990'])).toBe(EXIT_OK);
+        expect(await run(['close', 'ACC-1234'])).toBe(EXIT_OK);
+        expect(await run(['set-pin', 'ACC-5678'])).toBe(EXIT_USAGE);
+    });
+
+    test('backup, backups and restore should round-trip the data file', async () => {
+        expect(await run(['deposit', 'ACC-1234', '10'])).toBe(EXIT_OK);
+        expect(await run(['backup', '--json'])).toBe(EXIT_OK);
+        const { file } = JSON.parse(console.log.mock.calls[console.log.mock.calls.length - 1][0]);
+
+        expect(await run(['backups'])).toBe(EXIT_OK);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`${file}  revision`));
+
+        expect(await run(['withdraw', 'ACC-1234', '500'])).toBe(EXIT_OK);
+        expect(await run(['restore', file])).toBe(EXIT_OK);
+        expect(console.log).toHaveBeenCalledWith(`Restored 2 account(s) from ${file}.`);
+        expect(bank.findAccountById('ACC-1234').balance).toBe(101000);
+
+        expect(await run(['restore', path.join(tmpDir, 'missing.json')])).toBe(EXIT_FAILURE);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('missing.json is not a readable backup.'));
+    });
+
+    test('a damaged data file should only allow restore until recovered', async () => {
+        const dataFile = path.join(tmpDir, 'bank-data.json');
+        expect(await run(['deposit', 'ACC-1234', '10'])).toBe(EXIT_OK);
+        fs.writeFileSync(dataFile, 'garbage');
+        bank.loadData.mockRestore();
+
+        expect(await run(['list'])).toBe(EXIT_FAILURE);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('bankcli restore'));
+
+        fs.writeFileSync(dataFile, 'garbage');
+        expect(await run(['restore'])).toBe(EXIT_OK);
+        expect(JSON.parse(fs.readFileSync(dataFile, 'utf8')).accounts.find((account) => account.id === 'ACC-1234').balance).toBe(101000);
+        expect(await run(['list'])).toBe(EXIT_OK);
+    });
+
+    test('encrypt, rotate-passphrase and decrypt should manage an encrypted data file', async () => {
+        const dataFile = path.join(tmpDir, 'bank-data.json');
+        expect(await run(['deposit', 'ACC-1234', '10'])).toBe(EXIT_OK);
+        expect(await run(['encrypt', '--new-passphrase', 'short'])).toBe(EXIT_FAILURE);
+        expect(await run(['encrypt', '--new-passphrase', 'correct horse battery'])).toBe(EXIT_OK);
+        expect(fs.readFileSync(dataFile, 'utf8')).not.toContain('John Doe');
+        bank.loadData.mockRestore();
+
+        expect(await run(['list'])).toBe(EXIT_FAILURE);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('needs its passphrase'));
+        expect(await run(['list', '--passphrase', 'correct horse battery'])).toBe(EXIT_OK);
+
+        process.env.BANKCLI_NEW_PASSPHRASE = 'staple tuna paperclip';
+        try {
+            expect(await run(['rotate-passphrase', '--passphrase', 'correct horse battery'])).toBe(EXIT_OK);
+        } finally {
+            delete process.env.BANKCLI_NEW_PASSPHRASE;
+        }
+        expect(await run(['show', 'ACC-1234', '--passphrase', 'correct horse battery'])).toBe(EXIT_FAILURE);
+
+        const out = path.join(tmpDir, 'plain.json');
+        expect(await run(['decrypt', '--out', out, '--passphrase', 'staple tuna paperclip'])).toBe(EXIT_OK);
+        expect(JSON.parse(fs.readFileSync(out, 'utf8')).accounts[0]).toMatchObject({ holderName: 'John Doe', balance: 101000 });
+        expect(fs.readFileSync(dataFile, 'utf8')).not.toContain('John Doe');
+
+        fs.rmSync(dataFile);
+        fs.rmSync(path.join(tmpDir, 'bank-data-backups'), { recursive: true, force: true });
+        bank.usePassphrase(null);
+        bank.loadData();
+    });
+
+    test('a data file from a newer version should be refused', async () => {
+        const newer = JSON.stringify({ schemaVersion: 99, amountUnit: 'cents', accounts: [] });
+        fs.writeFileSync(path.join(tmpDir, 'bank-data.json'), newer);
+        bank.loadData.mockRestore();
+
+        expect(await run(['list'])).toBe(EXIT_FAILURE);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('schema version 99'));
+        expect(fs.readFileSync(path.join(tmpDir, 'bank-data.json'), 'utf8')).toBe(newer);
+        fs.rmSync(path.join(tmpDir, 'bank-data.json'));
+    });
+
+    test('--store and --data should pick the storage backend for the run', async () => {
+        const logFile = path.join(tmpDir, 'ledger.jsonl');
+        bank.__setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+        bank.loadData.mockRestore();
+        try {
+            expect(await run(['create', '--name', 'Alice Green', '--deposit', '250', '--store', 'eventlog', '--data', logFile])).toBe(EXIT_OK);
+            expect(await run(['list', '--json', '--store', 'eventlog', '--data', logFile])).toBe(EXIT_OK);
+            expect(JSON.parse(console.log.mock.calls.pop()[0]).map((acc) => acc.holderName)).toEqual(['Alice Green']);
+            expect(fs.readFileSync(logFile, 'utf8').trim().split('\n')).toHaveLength(2);
+            expect(fs.existsSync(path.join(tmpDir, 'ledger-audit.jsonl'))).toBe(true);
+
+            process.env.BANKCLI_STORE = 'memory';
+            expect(await run(['deposit', bank.service.listAccounts()[0].id, '10', '--data', logFile])).toBe(EXIT_OK);
+            expect(fs.readFileSync(logFile, 'utf8').trim().split('\n')).toHaveLength(2);
+            expect(await run(['backup'])).toBe(EXIT_FAILURE);
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('not available with the memory store'));
+
+            expect(await run(['list', '--store', 'sqlite'])).toBe(EXIT_FAILURE);
+        } finally {
+            delete process.env.BANKCLI_STORE;
+            bank.__setDataPath(path.join(tmpDir, 'bank-data.json'));
+            bank.loadData();
+        }
+    });
+
+    test('once operators exist commands should need an operator login', async () => {
+        expect(await run(['add-operator', 'root', '--role', 'admin', '--password', 'secret-pass'])).toBe(EXIT_OK);
+
+        expect(await run(['deposit', 'ACC-1234', '10'])).toBe(EXIT_USAGE);
+        expect(await run(['deposit', 'ACC-1234', '10', '--operator', 'root', '--password', 'wrong-pass'])).toBe(EXIT_FAILURE);
+
+        process.env.BANKCLI_OPERATOR_PASSWORD = 'secret-pass';
+        try {
+            expect(await run(['add-operator', 'tina', '--role', 'teller', '--password', 'teller-pass', '--operator', 'root'])).toBe(EXIT_OK);
+        } finally {
+            delete process.env.BANKCLI_OPERATOR_PASSWORD;
+        }
+        expect(await run(['deposit', 'ACC-1234', '10', '--operator', 'tina', '--password', 'teller-pass'])).toBe(EXIT_OK);
+        const revision = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'bank-data.json'), 'utf8')).revision;
+        const before = revision();
+        expect(await run(['list', '--operator', 'tina', '--password', 'teller-pass'])).toBe(EXIT_OK);
+        expect(revision()).toBe(before);
+        expect(await run(['close', 'ACC-1234', '--operator', 'tina', '--password', 'teller-pass'])).toBe(EXIT_FAILURE);
+        expect(await run(['mark-dormant', '--operator', 'tina', '--password', 'teller-pass'])).toBe(EXIT_FAILURE);
+
+        const account = bank.findAccountById('ACC-1234');
+        expect(account.balance).toBe(101000);
+        expect(account.transactions[0].operator).toBe('tina');
+        expect(bank.service.operator).toBeNull();
+    });
+
+    test('verify-audit should fail once the audit log has been edited', async () => {
+        await run(['deposit', 'ACC-1234', '10']);
+        expect(await run(['verify-audit'])).toBe(EXIT_OK);
+
+        const logPath = bank.auditLog.getPath();
+        const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        lines[0] = lines[0].replace('"operator":null', '"operator":"mallory"');
+        fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+
+        expect(await run(['verify-audit'])).toBe(EXIT_FAILURE);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Audit log broken at entry 1'));
+        fs.unlinkSync(logPath);
+    });
+
+    test('verify-audit should fail once entries have been cut from the end of the log', async () => {
+        await run(['deposit', 'ACC-1234', '10']);
+        await run(['deposit', 'ACC-1234', '10']);
+        expect(await run(['verify-audit'])).toBe(EXIT_OK);
+
+        const logPath = bank.auditLog.getPath();
+        const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        fs.writeFileSync(logPath, `${lines.slice(0, 1).join('\n')}\n`);
+
+        expect(await run(['verify-audit'])).toBe(EXIT_FAILURE);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('missing or were replaced'));
+        fs.unlinkSync(logPath);
+    });
+
+    test('should report failure when the change could not be saved', async () => {
+        jest.spyOn(fs.promises, 'open').mockRejectedValue(new Error('disk full'));
+
+        expect(await run(['deposit', 'ACC-1234', '100'])).toBe(EXIT_FAILURE);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Failed to save data'));
+
+        fs.promises.open.mockRestore();
+        expect(await run(['deposit', 'ACC-1234', '100'])).toBe(EXIT_OK);
+    });
+
+    test('should return usage exit code for unknown commands and missing arguments', async () => {
+        expect(await run(['explode'])).toBe(EXIT_USAGE);
+        expect(await run(['deposit', 'ACC-1234'])).toBe(EXIT_USAGE);
+        expect(await run(['serve', '--port', 'http'])).toBe(EXIT_USAGE);
+        const missingDir = path.join(tmpDir, 'missing', 'out.txt');
+        expect(await run(['statement', 'ACC-1234', '--out', missingDir])).toBe(EXIT_USAGE);
+        expect(await run(['export', 'accounts', '--out', missingDir])).toBe(EXIT_USAGE);
+        expect(await run(['decrypt', '--out', missingDir])).toBe(EXIT_USAGE);
+        expect(global.console.error).toHaveBeenCalledWith(expect.stringContaining(`Cannot write ${missingDir}`));
+        expect(await run([])).toBe(EXIT_USAGE);
+        expect(await run(['help'])).toBe(EXIT_OK);
+    });
+});
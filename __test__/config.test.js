@@ -0,0 +1,41 @@
+const { loadConfig, DEFAULTS } = require('../src/config.js');
+
+describe('loadConfig', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    test('should fall back to the defaults', () => {
+        Object.keys(process.env)
+            .filter((name) => name.startsWith('BANKCLI_'))
+            .forEach((name) => delete process.env[name]);
+
+        expect(loadConfig()).toEqual(DEFAULTS);
+    });
+
+    test('should read overrides from the environment', () => {
+        process.env.BANKCLI_DORMANT_DAYS = '90';
+
+        expect(loadConfig().dormantAfterDays).toBe(90);
+    });
+
+    test('should read amount limits from the environment', () => {
+        process.env.BANKCLI_MAX_WITHDRAWAL = '2500.50';
+
+        expect(loadConfig()).toMatchObject({ maxWithdrawal: 2500.5, maxDeposit: DEFAULTS.maxDeposit });
+    });
+
+    test('should ignore invalid environment values', () => {
+        process.env.BANKCLI_DORMANT_DAYS = 'soon';
+
+        expect(loadConfig().dormantAfterDays).toBe(DEFAULTS.dormantAfterDays);
+    });
+
+    test('should let explicit overrides win', () => {
+        process.env.BANKCLI_DORMANT_DAYS = '90';
+
+        expect(loadConfig({ dormantAfterDays: 7 }).dormantAfterDays).toBe(7);
+    });
+});
@@ -0,0 +1,21 @@
+const { hashSecret, verifySecret } = require('../src/credentials.js');
+
+describe('credentials', () => {
+    test('hashSecret should salt every hash', () => {
+        const first = hashSecret('4821');
+        const second = hashSecret('4821');
+
+        expect(first).toMatchObject({ algorithm: 'scrypt', N: 16384, r: 8, p: 1 });
+        expect(first.salt).not.toBe(second.salt);
+        expect(first.hash).not.toBe(second.hash);
+    });
+
+    test('verifySecret should accept only the original secret', () => {
+        const record = hashSecret('correct horse');
+
+        expect(verifySecret('correct horse', record)).toBe(true);
+        expect(verifySecret('correct horse ', record)).toBe(false);
+        expect(verifySecret('correct horse', undefined)).toBe(false);
+        expect(verifySecret('correct horse', { ...record, algorithm: 'md5' })).toBe(false);
+    });
+});
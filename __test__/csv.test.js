@@ -0,0 +1,52 @@
+const { formatCsv, parseCsv, parseRecords, accountsToCsv, transactionsToCsv } = require('../src/csv.js');
+
+describe('csv', () => {
+    test('formatCsv should quote only fields that need it', () => {
+        const text = formatCsv(['a', 'b'], [{ a: 'plain', b: 'has, comma' }, { a: 'say "hi"', b: null }]);
+
+        expect(text).toBe('a,b\r\nplain,"has, comma"\r\n"say ""hi""",\r\n');
+    });
+
+    test('parseCsv should read quoted fields, line breaks and CRLF', () => {
+        const rows = parseCsv('﻿name,note\r\n"Doe, John","line one\nline two"\r\n\r\nplain,""\n');
+
+        expect(rows).toEqual([
+            { line: 1, fields: ['name', 'note'] },
+            { line: 2, fields: ['Doe, John', 'line one\nline two'] },
+            { line: 5, fields: ['plain', ''] },
+        ]);
+    });
+
+    test('parseCsv should round-trip formatCsv output', () => {
+        const rows = [{ a: 'x,"y"', b: 'multi\r\nline' }];
+
+        expect(parseCsv(formatCsv(['a', 'b'], rows))[1].fields).toEqual(['x,"y"', 'multi\r\nline']);
+    });
+
+    test('parseRecords should key rows by lower-cased header names', () => {
+        expect(parseRecords('HolderName,InitialDeposit\nJane Doe,10\nJohn Roe\n')).toEqual([
+            { line: 2, holdername: 'Jane Doe', initialdeposit: '10' },
+            { line: 3, holdername: 'John Roe', initialdeposit: '' },
+        ]);
+        expect(parseRecords('')).toEqual([]);
+    });
+
+    test('accountsToCsv and transactionsToCsv should write amounts as plain dollars', () => {
+        const accounts = [{
+            id: 'ACC-1234',
+            holderName: 'John Doe',
+            balance: -2550,
+            createdAt: '2024-01-01T00:00:00.000Z',
+            transactions: [
+                { id: 'TXN-1', type: 'DEPOSIT', amount: 100005, timestamp: '2024-01-01T00:00:00.000Z', balanceAfter: 100005, description: 'Initial deposit' },
+            ],
+        }];
+
+        expect(accountsToCsv(accounts, () => 'ACTIVE').split('\r\n')[1]).toBe('ACC-1234,John Doe,-25.50,ACTIVE,2024-01-01T00:00:00.000Z');
+        expect(transactionsToCsv(accounts).split('\r\n')).toEqual([
+            'accountId,id,timestamp,type,amount,balanceAfter,description,reference',
+            'ACC-1234,TXN-1,2024-01-01T00:00:00.000Z,DEPOSIT,1000.05,1000.05,Initial deposit,',
+            '',
+        ]);
+    });
+});
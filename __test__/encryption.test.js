@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    FORMAT,
+    MIN_PASSPHRASE_LENGTH,
+    isEncrypted,
+    isEncryptedFile,
+    checkNewPassphrase,
+    DataCipher,
+} = require('../src/encryption.js');
+const { AuthenticationError, ValidationError } = require('../src/errors.js');
+
+describe('encryption', () => {
+    const passphrase = 'correct horse battery';
+    const record = { revision: 4, accounts: [{ id: 'ACC-1234', holderName: 'John Doe', balance: 100000 }] };
+
+    test('seal should hide the data but keep the revision readable', () => {
+        const cipher = new DataCipher(passphrase);
+
+        const text = cipher.seal(record);
+        const envelope = JSON.parse(text);
+
+        expect(text).not.toContain('John Doe');
+        expect(isEncrypted(envelope)).toBe(true);
+        expect(envelope).toMatchObject({ format: FORMAT, version: 1, revision: 4, cipher: 'aes-256-gcm' });
+        expect(envelope.kdf).toMatchObject({ algorithm: 'scrypt', N: 32768, r: 8, p: 1 });
+        expect(JSON.parse(new DataCipher(passphrase, envelope.kdf).decrypt(envelope))).toEqual(record);
+    });
+
+    test('every envelope should get a fresh IV', () => {
+        const cipher = new DataCipher(passphrase);
+        const first = cipher.encrypt('same', { revision: 1 });
+        const second = cipher.encrypt('same', { revision: 1 });
+
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.data).not.toBe(second.data);
+        expect(first.kdf.salt).toBe(second.kdf.salt);
+    });
+
+    test('a wrong passphrase or an edited envelope should fail to decrypt', () => {
+        const envelope = new DataCipher(passphrase).encrypt(JSON.stringify(record), { revision: 4 });
+        const attempt = (edited, secret = passphrase) => () => new DataCipher(secret, edited.kdf).decrypt(edited);
+
+        expect(attempt(envelope, 'wrong passphrase!')).toThrow(expect.objectContaining({ code: 'PASSPHRASE_INVALID' }));
+        expect(attempt({ ...envelope, revision: 5 })).toThrow(AuthenticationError);
+        expect(attempt({ ...envelope, data: Buffer.from('tampered').toString('base64') })).toThrow(AuthenticationError);
+        expect(attempt({ ...envelope, version: 2 })).toThrow(expect.objectContaining({ code: 'ENCRYPTION_UNSUPPORTED' }));
+    });
+
+    test('a cipher should open envelopes written under another salt', () => {
+        const older = new DataCipher(passphrase).encrypt('older', { revision: 1 });
+        const cipher = new DataCipher(passphrase);
+
+        expect(cipher.decrypt(older)).toBe('older');
+        expect(cipher.keys.size).toBe(1);
+    });
+
+    test('an encrypted file cannot be opened without a passphrase', () => {
+        expect(() => new DataCipher('')).toThrow(expect.objectContaining({ code: 'PASSPHRASE_REQUIRED' }));
+        expect(() => new DataCipher(undefined)).toThrow(AuthenticationError);
+    });
+
+    test('new passphrases should have a minimum length', () => {
+        expect(() => checkNewPassphrase('a'.repeat(MIN_PASSPHRASE_LENGTH - 1))).toThrow(ValidationError);
+        expect(() => checkNewPassphrase(undefined)).toThrow(expect.objectContaining({ code: 'PASSPHRASE_TOO_SHORT' }));
+        expect(() => checkNewPassphrase('a'.repeat(MIN_PASSPHRASE_LENGTH))).not.toThrow();
+    });
+
+    test('isEncryptedFile should recognise envelopes on disk', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-encryption-'));
+        const file = path.join(tmpDir, 'data.json');
+        try {
+            expect(isEncryptedFile(file)).toBe(false);
+            fs.writeFileSync(file, JSON.stringify(record));
+            expect(isEncryptedFile(file)).toBe(false);
+            fs.writeFileSync(file, new DataCipher(passphrase).seal(record));
+            expect(isEncryptedFile(file)).toBe(true);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,80 @@
+const { ofxDate, toOfx, toQif, exportHistory } = require('../src/finance-export.js');
+const { signedAmount } = require('../src/transaction-types.js');
+
+const account = {
+    id: 'ACC-1234',
+    holderName: 'John Doe',
+    balance: 97500,
+    createdAt: '2024-01-01T09:00:00.000Z',
+    transactions: [
+        { id: 'TXN-000000000001', type: 'DEPOSIT', amount: 100000, timestamp: '2024-01-01T09:00:00.000Z', balanceAfter: 100000, description: 'Initial deposit' },
+        { id: 'TXN-000000000002', type: 'TRANSFER_OUT', amount: 5000, timestamp: '2024-01-02T10:30:00.000Z', balanceAfter: 95000, description: 'To ACC-5678', reference: 'TRF-1' },
+        { id: 'TXN-000000000003', type: 'TRANSFER_IN', amount: 2500, timestamp: '2024-01-03T00:00:00.000Z', balanceAfter: 97500, description: 'From ACC-5678 & co' },
+        { id: 'TXN-000000000004', type: 'WITHDRAWAL', amount: 1000, timestamp: '2024-01-04T00:00:00.000Z', balanceAfter: 96500, description: 'Withdrawal' },
+        { id: 'TXN-000000000005', type: 'REVERSAL', amount: 1000, timestamp: '2024-01-05T00:00:00.000Z', balanceAfter: 97500, reverses: 'TXN-000000000004', description: 'Reversal of TXN-000000000004' },
+    ],
+};
+
+const now = new Date('2024-02-01T00:00:00.000Z');
+
+describe('finance export', () => {
+    test('signedAmount should make debits negative and reversals undo the original', () => {
+        expect(account.transactions.map((transaction) => signedAmount(transaction, account))).toEqual([100000, -5000, 2500, -1000, 1000]);
+    });
+
+    test('ofxDate should use the OFX datetime form in GMT', () => {
+        expect(ofxDate('2024-01-02T10:30:00.000Z')).toBe('20240102103000.000[0:GMT]');
+    });
+
+    test('toOfx should write an SGML 1.0.2 bank statement', () => {
+        const ofx = toOfx(account, { now });
+        const lines = ofx.split('\r\n');
+
+        expect(lines.slice(0, 3)).toEqual(['OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102']);
+        expect(lines[9]).toBe('');
+        expect(lines[10]).toBe('<OFX>');
+        expect(ofx).toContain('<ACCTID>ACC-1234\r\n');
+        expect(ofx.match(/<STMTTRN>/g)).toHaveLength(5);
+        expect(ofx).toContain('<TRNTYPE>DEP\r\n');
+        expect(ofx).toContain('<TRNTYPE>CASH\r\n');
+        expect(ofx.match(/<TRNTYPE>XFER/g)).toHaveLength(2);
+        expect(ofx).toContain('<TRNAMT>-50.00\r\n');
+        expect(ofx).toContain('<FITID>TXN-000000000002\r\n');
+        expect(ofx).toContain('<NAME>From ACC-5678 &amp; co\r\n');
+        expect(ofx).toMatch(/<LEDGERBAL>\s*<BALAMT>975\.00\s*<DTASOF>20240105000000\.000\[0:GMT\]\s*<\/LEDGERBAL>/);
+        expect(ofx).not.toContain('</TRNAMT>');
+    });
+
+    test('toOfx version 2 should be well-formed XML with every element closed', () => {
+        const ofx = toOfx(account, { version: 2, now });
+
+        expect(ofx).toMatch(/^<\?xml version="1\.0"/);
+        expect(ofx).toContain('<?OFX OFXHEADER="200" VERSION="220"');
+        expect(ofx).toContain('<TRNAMT>-50.00</TRNAMT>');
+        const opened = (ofx.match(/<[A-Z][A-Z0-9.]*>/g) || []).length;
+        const closed = (ofx.match(/<\/[A-Z][A-Z0-9.]*>/g) || []).length;
+        expect(opened).toBe(closed);
+        expect(() => toOfx(account, { version: 3 })).toThrow(expect.objectContaining({ code: 'OFX_VERSION_INVALID' }));
+    });
+
+    test('toQif should write one bank record per transaction', () => {
+        const records = toQif(account).split('^\n');
+
+        expect(records[0]).toBe([
+            '!Type:Bank',
+            'D01/01/2024',
+            'T1000.00',
+            'NTXN-000000000001',
+            'PInitial deposit',
+            'MDEPOSIT; balance after 1000.00',
+            '',
+        ].join('\n'));
+        expect(records[1]).toContain('T-50.00\n');
+        expect(records).toHaveLength(6);
+    });
+
+    test('exportHistory should name the file after the account', () => {
+        expect(exportHistory(account, 'QIF').fileName).toBe('ACC-1234.qif');
+        expect(() => exportHistory(account, 'csv')).toThrow(expect.objectContaining({ code: 'EXPORT_FORMAT_INVALID' }));
+    });
+});
@@ -1,5 +1,7 @@
 const chalk = require('chalk');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
     createAccount,   
     viewAccountDetails,
@@ -7,8 +9,34 @@ const {
     depositFunds,
     withdrawFunds,
     transferFunds,
+    payExternalBeneficiary,
     viewTransactionHistory,
+    accountStatement,
+    importExportCsv,
+    exportFinanceFile,
     deleteAccount,
+    changeAccountStatus,
+    setOverdraftLimit,
+    setAccountPin,
+    reverseTransaction,
+    manageStandingOrders,
+    backupAndRestore,
+    offerRecovery,
+    recoveryState,
+    listDataBackups,
+    dataEncryption,
+    usePassphrase,
+    isDataEncrypted,
+    encryptDataFile,
+    addOperator,
+    signIn,
+    verifyAuditLog,
+    auditLog,
+    useStore,
+    currentStore,
+    backUpNow,
+    menuItems,
+    service,
     __setData,
     __setAsk,
     __getData,
@@ -19,9 +47,21 @@ const {
     saveData,
     renderMenu,
     exitApp,
-    __setSaving,
-    __getSaving,
+    flushSaves,
+    __setDataPath,
 } = require('../src/index.js');
+const { SCHEMA_VERSION } = require('../src/migrations.js');
+const { MemoryStore, EventLogStore } = require('../src/stores.js');
+
+// Keep every save made by these tests out of the working directory.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-test-'));
+const tmpDataPath = path.join(tmpDir, 'bank-data.json');
+__setDataPath(tmpDataPath);
+
+afterAll(async () => {
+    await flushSaves();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
 
 // Mock console methods
 global.console.log = jest.fn();
@@ -49,7 +89,7 @@ describe('createAccount', () => {
         const accounts = __getData().accounts;
         expect(accounts.length).toBe(1);
         expect(accounts[0].holderName).toBe('John Doe');
-        expect(accounts[0].balance).toBe(1000);
+        expect(accounts[0].balance).toBe(100000);
         expect(accounts[0].transactions.length).toBe(1);
         expect(accounts[0].transactions[0].type).toBe('DEPOSIT');
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account created successfully'));
@@ -98,7 +138,7 @@ describe('createAccount', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -174,7 +214,7 @@ describe('createAccount', () => {
 
         const accounts = __getData().accounts;
         expect(accounts.length).toBe(1);
-        expect(accounts[0].balance).toBe(500.5);
+        expect(accounts[0].balance).toBe(50050);
     });
 
     test('should accept initial deposit amount with 2 decimal places', async () => {
@@ -184,7 +224,7 @@ describe('createAccount', () => {
 
         const accounts = __getData().accounts;
         expect(accounts.length).toBe(1);
-        expect(accounts[0].balance).toBe(500.55);
+        expect(accounts[0].balance).toBe(50055);
     });
 
     test('should accept account holder name with hyphens', async () => {
@@ -214,7 +254,7 @@ describe('createAccount', () => {
 
         const accounts = __getData().accounts;
         expect(accounts.length).toBe(1);
-        expect(accounts[0].balance).toBe(1000000);
+        expect(accounts[0].balance).toBe(100000000);
     });
 
     test('should store generated account metadata and initial transaction details', async () => {
@@ -229,8 +269,8 @@ describe('createAccount', () => {
         expect(account.transactions).toHaveLength(1);
         expect(account.transactions[0]).toMatchObject({
             type: 'DEPOSIT',
-            amount: 250.25,
-            balanceAfter: 250.25,
+            amount: 25025,
+            balanceAfter: 25025,
             description: 'Initial deposit',
         });
         expect(account.transactions[0].timestamp).toBe(account.createdAt);
@@ -242,7 +282,7 @@ describe('createAccount', () => {
                 {
                     id: 'ACC-1000',
                     holderName: 'Existing User',
-                    balance: 100,
+                    balance: 10000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -282,7 +322,7 @@ describe('viewAccountDetails', () => {
         const testAccount = {
             id: 'ACC-1234',
             holderName: 'John Doe',
-            balance: 1000,
+            balance: 100000,
             createdAt: '2023-01-01T00:00:00.000Z',
             transactions: [],
         };
@@ -315,7 +355,7 @@ describe('viewAccountDetails', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -355,14 +395,14 @@ describe('listAllAccounts', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
                 {
                     id: 'ACC-5678',
                     holderName: 'Jane Smith',
-                    balance: 2000,
+                    balance: 200000,
                     createdAt: '2023-02-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -382,6 +422,93 @@ describe('listAllAccounts', () => {
 
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('No accounts found'));
     });
+
+    describe('with many accounts', () => {
+        const names = ['John Smith', 'Jane Smithers', 'Mary Jones', 'Peter Parker', 'Bruce Wayne'];
+
+        beforeEach(() => {
+            __setData({
+                accounts: Array.from({ length: 25 }, (_, i) => ({
+                    id: `ACC-${1000 + i}`,
+                    holderName: i < names.length ? names[i] : `Customer ${'abcdefghijklmnopqrst'[i - names.length]}`,
+                    balance: i * 1000,
+                    createdAt: `2023-01-${String(i + 1).padStart(2, '0')}T00:00:00.000Z`,
+                    transactions: [],
+                    status: i === 3 ? 'FROZEN' : 'ACTIVE',
+                })),
+            });
+        });
+
+        const printed = () => global.console.log.mock.calls.map((call) => String(call[0])).join('\n');
+
+        test('should page through the accounts', async () => {
+            global.__setMockInputs(['n', '']);
+
+            await listAllAccounts();
+
+            expect(printed()).toContain('Page 1 of 2');
+            expect(printed()).toContain('Page 2 of 2');
+            expect(printed()).toContain('ACC-1024');
+        });
+
+        test('should find accounts by name with a typo and filter by status and balance', async () => {
+            global.__setMockInputs(['f', 'smiht', '', '', '', 'f', '', 'frozen', '', '', 'f', '', '', '20', '', 's', 'balance-desc', '']);
+
+            await listAllAccounts();
+
+            const output = printed();
+            expect(output).toContain('Showing: matching "smiht"');
+            expect(output).toContain('Showing: status frozen');
+            expect(global.console.log).toHaveBeenCalledWith('Total accounts: 23');
+            expect(output).toContain('Showing: balance $20.00 to ..., sorted balance-desc');
+        });
+
+        test('should report an unknown status', async () => {
+            global.__setMockInputs(['f', '', 'open', '', '', '', '']);
+
+            await listAllAccounts();
+
+            expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Status must be one of'));
+        });
+    });
+});
+
+describe('viewAccountDetails search', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                { id: 'ACC-1234', holderName: 'John Smith', balance: 100000, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] },
+                { id: 'ACC-5678', holderName: 'Jane Smithers', balance: 200000, createdAt: '2023-02-01T00:00:00.000Z', transactions: [] },
+            ],
+        });
+    });
+
+    test('should open the only account matching a name', async () => {
+        global.__setMockInputs(['jane', '']);
+
+        await viewAccountDetails();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account: ACC-5678'));
+    });
+
+    test('should let the operator pick between several matches', async () => {
+        global.__setMockInputs(['smith', '2', '']);
+
+        await viewAccountDetails();
+
+        expect(global.console.log).toHaveBeenCalledWith('1. ACC-1234  John Smith');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account: ACC-5678'));
+    });
+
+    test('should reject an invalid pick', async () => {
+        global.__setMockInputs(['smith', '7', '']);
+
+        await viewAccountDetails();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Invalid selection.'));
+    });
 });
 
 //depositFunds
@@ -403,7 +530,7 @@ describe('depositFunds', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -429,13 +556,13 @@ describe('depositFunds', () => {
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account not found'));
     });
 
-    test('should accept negative deposit amount', async () => {
+    test('should reject negative deposit amount', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -448,17 +575,17 @@ describe('depositFunds', () => {
         await depositFunds();
 
         const updatedAccount = __getData().accounts.find(acc => acc.id === 'ACC-1234');
-        expect(updatedAccount.balance).toBe(500);
-        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Deposit complete'));
+        expect(updatedAccount.balance).toBe(100000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Amount must be greater than 0.'));
     });
 
-    test('should accept non-numeric deposit amount as NaN', async () => {
+    test('should reject non-numeric deposit amount', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -471,16 +598,41 @@ describe('depositFunds', () => {
         await depositFunds();
 
         const updatedAccount = __getData().accounts.find(acc => acc.id === 'ACC-1234');
-        expect(isNaN(updatedAccount.balance)).toBe(true);
+        expect(updatedAccount.balance).toBe(100000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Amount must be a valid number'));
+    });
+
+    test('should keep repeated fractional deposits exact in cents', async () => {
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 0,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+
+        global.__setMockInputs(['ACC-1234', '0.1', '', 'ACC-1234', '0.2', '']);
+
+        await depositFunds();
+        await depositFunds();
+
+        const updatedAccount = __getData().accounts.find(acc => acc.id === 'ACC-1234');
+        expect(updatedAccount.balance).toBe(30);
+        expect(updatedAccount.transactions.map((t) => t.balanceAfter)).toEqual([10, 30]);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('New balance: $0.30'));
     });
 
-    test('should accept zero deposit amount', async () => {
+    test('should reject zero deposit amount', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -493,8 +645,30 @@ describe('depositFunds', () => {
         await depositFunds();
 
         const updatedAccount = __getData().accounts.find(acc => acc.id === 'ACC-1234');
-        expect(updatedAccount.balance).toBe(1000);
-        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Deposit complete'))
+        expect(updatedAccount.balance).toBe(100000);
+        expect(updatedAccount.transactions).toHaveLength(0);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Amount must be greater than 0.'));
+    });
+
+    test('should reject deposits above the configured limit', async () => {
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+
+        global.__setMockInputs(['ACC-1234', '1000000.01', '']);
+
+        await depositFunds();
+
+        expect(__getData().accounts[0].balance).toBe(100000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Amount must be less than or equal to 1000000.'));
     });
 });
 
@@ -517,7 +691,7 @@ describe('withdrawFunds', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -562,14 +736,14 @@ describe('transferFunds', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
                 {
                     id: 'ACC-5678',
                     holderName: 'Jane Smith',
-                    balance: 2000,
+                    balance: 200000,
                     createdAt: '2023-02-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -584,15 +758,18 @@ describe('transferFunds', () => {
         const sourceAccount = __getData().accounts.find(acc => acc.id === 'ACC-1234');
         const destAccount = __getData().accounts.find(acc => acc.id === 'ACC-5678');
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Transfer completed.'));
+        expect(sourceAccount.transactions[0].reference).toBeDefined();
+        expect(destAccount.transactions[0].reference).toBe(sourceAccount.transactions[0].reference);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`Reference: ${sourceAccount.transactions[0].reference}`));
     });
 
-    test('should create destination account when it does not exist (line 362-379 path)', async () => {
+    test('should reject transfers to an unknown destination', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -604,34 +781,29 @@ describe('transferFunds', () => {
         await transferFunds();
 
         const accounts = __getData().accounts;
-        const sourceAccount = accounts.find((acc) => acc.id === 'ACC-1234');
-        const createdDestination = accounts.find((acc) => acc.id === 'ACC-8888');
-
-        expect(accounts).toHaveLength(2);
-        expect(sourceAccount.balance).toBe(600);
-        expect(createdDestination).toBeDefined();
-        expect(createdDestination.holderName).toBe('');
-        expect(createdDestination.balance).toBe(400);
-        expect(createdDestination.createdAt).toBeTruthy();
-        expect(createdDestination.transactions).toHaveLength(1);
-        expect(createdDestination.transactions[0]).toMatchObject({
-            type: 'TRANSFER_IN',
-            amount: 400,
-            balanceAfter: 400,
-            description: 'From ACC-1234',
-        });
+        expect(accounts).toHaveLength(1);
+        expect(accounts[0].balance).toBe(100000);
+        expect(accounts[0].transactions).toHaveLength(0);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Destination account not found.'));
     });
 
-    test('should trim ids and use trimmed values when creating destination account', async () => {
+    test('should trim ids before looking up both accounts', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
+                {
+                    id: 'ACC-9999',
+                    holderName: 'Jane Smith',
+                    balance: 0,
+                    createdAt: '2023-02-01T00:00:00.000Z',
+                    transactions: [],
+                },
             ],
         });
 
@@ -639,25 +811,43 @@ describe('transferFunds', () => {
 
         await transferFunds();
 
-        const accounts = __getData().accounts;
-        const createdDestination = accounts.find((acc) => acc.id === 'ACC-9999');
-
-        expect(createdDestination).toBeDefined();
-        expect(createdDestination.transactions[0]).toMatchObject({
+        const destination = __getData().accounts.find((acc) => acc.id === 'ACC-9999');
+        expect(destination.transactions[0]).toMatchObject({
             type: 'TRANSFER_IN',
-            amount: 250,
-            balanceAfter: 250,
+            amount: 25000,
+            balanceAfter: 25000,
             description: 'From ACC-1234',
         });
     });
 
+    test('should reject transfers to the same account', async () => {
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+
+        global.__setMockInputs(['ACC-1234', ' ACC-1234', '10', '']);
+
+        await transferFunds();
+
+        expect(__getData().accounts[0].transactions).toHaveLength(0);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Cannot transfer to the same account.'));
+    });
+
     test('should reject transfer from non-existent account', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-5678',
                     holderName: 'Jane Smith',
-                    balance: 2000,
+                    balance: 200000,
                     createdAt: '2023-02-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -689,14 +879,14 @@ describe('viewTransactionHistory', () => {
         const testAccount = {
             id: 'ACC-1234',
             holderName: 'John Doe',
-            balance: 1000,
+            balance: 100000,
             createdAt: '2023-01-01T00:00:00.000Z',
             transactions: [
                 {
                     type: 'DEPOSIT',
-                    amount: 1000,
+                    amount: 100000,
                     timestamp: '2023-01-01T00:00:00.000Z',
-                    balanceAfter: 1000,
+                    balanceAfter: 100000,
                     description: 'Initial deposit',
                 },
             ],
@@ -717,7 +907,7 @@ describe('viewTransactionHistory', () => {
                 {
                     id: 'ACC-5678',
                     holderName: 'Jane Smith',
-                    balance: 2000,
+                    balance: 200000,
                     createdAt: '2023-02-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -737,7 +927,7 @@ describe('viewTransactionHistory', () => {
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 100000,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -750,9 +940,225 @@ describe('viewTransactionHistory', () => {
 
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('No transactions found'));
     });
+
+    describe('with many transactions', () => {
+        const deposits = Array.from({ length: 25 }, (_, i) => ({
+            id: `TXN-${String(i + 1).padStart(12, '0')}`,
+            type: i % 5 === 4 ? 'WITHDRAWAL' : 'DEPOSIT',
+            amount: (i + 1) * 100,
+            timestamp: `2024-01-${String(i + 1).padStart(2, '0')}T00:00:00.000Z`,
+            balanceAfter: 0,
+            description: i === 12 ? 'Birthday gift' : 'Deposit',
+        }));
+
+        beforeEach(() => {
+            __setData({
+                accounts: [{ id: 'ACC-1234', holderName: 'John Doe', balance: 0, createdAt: '2024-01-01T00:00:00.000Z', transactions: deposits }],
+            });
+        });
+
+        const printed = () => global.console.log.mock.calls.map((call) => String(call[0])).join('\n');
+
+        test('should page through the history', async () => {
+            global.__setMockInputs(['ACC-1234', 'n', 'n', '']);
+
+            await viewTransactionHistory();
+
+            expect(printed()).toContain('Page 1 of 2 (25 matching)');
+            expect(printed()).toContain('Page 2 of 2 (25 matching)');
+            expect(printed()).toContain('TXN-000000000025');
+        });
+
+        test('should filter by text and show the filtered totals', async () => {
+            global.__setMockInputs(['ACC-1234', 'f', '', '', '', '', '', 'birthday', '']);
+
+            await viewTransactionHistory();
+
+            expect(printed()).toContain('Page 1 of 1 (1 matching)');
+            expect(global.console.log).toHaveBeenCalledWith('Total in: $13.00  Total out: $0.00  Net: $13.00');
+        });
+
+        test('should filter by type and amount range, then sort', async () => {
+            global.__setMockInputs(['ACC-1234', 'f', '2024-01-01', '2024-01-31', 'withdrawal', '10', '', '', 's', 'amount-desc', '']);
+
+            await viewTransactionHistory();
+
+            expect(printed()).toContain('Page 1 of 1 (4 matching)');
+            expect(global.console.log).toHaveBeenCalledWith('Total in: $0.00  Total out: $70.00  Net: -$70.00');
+            expect(printed()).toContain('sorted amount-desc');
+        });
+
+        test('should keep the previous view when a filter is invalid', async () => {
+            global.__setMockInputs(['ACC-1234', 'f', '2024-13-01', '', '', '', '', '', '', '']);
+
+            await viewTransactionHistory();
+
+            expect(global.console.log).toHaveBeenCalledWith('Start date must be a valid date in YYYY-MM-DD format.');
+            expect(printed()).not.toContain('(0 matching)');
+        });
+    });
 });
 
 //deleteAccount
+describe('accountStatement', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 120000,
+                    createdAt: '2024-01-01T00:00:00.000Z',
+                    transactions: [
+                        { type: 'DEPOSIT', amount: 100000, timestamp: '2024-01-01T10:00:00.000Z', balanceAfter: 100000, description: 'Initial deposit' },
+                        { type: 'DEPOSIT', amount: 50000, timestamp: '2024-02-03T10:00:00.000Z', balanceAfter: 150000, description: 'Salary' },
+                        { type: 'WITHDRAWAL', amount: 30000, timestamp: '2024-02-20T10:00:00.000Z', balanceAfter: 120000 },
+                    ],
+                },
+            ],
+        });
+    });
+
+    test('should show opening and closing balances for the period', async () => {
+        global.__setMockInputs(['ACC-1234', '2024-02-01', '2024-02-29', '', '']);
+
+        await accountStatement();
+
+        const printed = global.console.log.mock.calls.map((call) => call[0]).join('\n');
+        expect(printed).toContain('Opening balance: $1,000.00');
+        expect(printed).toContain('Salary');
+        expect(printed).toContain('Withdrawal');
+        expect(printed).toContain('Total out: $300.00');
+        expect(printed).toContain('Closing balance: $1,200.00');
+    });
+
+    test('should save the statement in the chosen format next to the data file', async () => {
+        global.__setMockInputs(['ACC-1234', '2024-02-01', '2024-02-29', 'html', '']);
+
+        await accountStatement();
+
+        const saved = path.join(tmpDir, 'statement-ACC-1234-2024-02-01-to-2024-02-29.html');
+        expect(fs.readFileSync(saved, 'utf8')).toContain('<td>Salary</td>');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`Statement saved to ${saved}`));
+    });
+
+    test('should report a statement that cannot be written instead of crashing', async () => {
+        jest.spyOn(fs, 'writeFileSync').mockImplementationOnce(() => {
+            throw new Error('EACCES: permission denied');
+        });
+        global.__setMockInputs(['ACC-1234', '2024-02-01', '2024-02-29', 'text', '']);
+
+        await accountStatement();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Cannot write'));
+        expect(global.console.log).not.toHaveBeenCalledWith(expect.stringContaining('Statement saved'));
+        fs.writeFileSync.mockRestore();
+    });
+
+    test('should reject bad dates and formats', async () => {
+        global.__setMockInputs(['ACC-1234', '2024-02-30', '', '']);
+        await accountStatement();
+        expect(global.console.log).toHaveBeenCalledWith('Start date must be a valid date in YYYY-MM-DD format.');
+
+        global.__setMockInputs(['ACC-1234', '2024-02-01', '2024-02-29', 'pdf', '']);
+        await accountStatement();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Statement format must be one of'));
+    });
+});
+
+describe('importExportCsv', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [
+                        { id: 'TXN-1', type: 'DEPOSIT', amount: 100000, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 100000, description: 'Initial deposit' },
+                    ],
+                },
+            ],
+        });
+    });
+
+    test('should export accounts and transactions next to the data file', async () => {
+        global.__setMockInputs(['export-accounts', '', 'export-transactions', '']);
+
+        await importExportCsv();
+        await importExportCsv();
+
+        expect(fs.readFileSync(path.join(tmpDir, 'accounts.csv'), 'utf8')).toContain('ACC-1234,John Doe,1000.00,ACTIVE,');
+        expect(fs.readFileSync(path.join(tmpDir, 'transactions.csv'), 'utf8')).toContain('ACC-1234,TXN-1,');
+    });
+
+    test('should report an export that cannot be written instead of crashing', async () => {
+        jest.spyOn(fs, 'writeFileSync').mockImplementationOnce(() => {
+            throw new Error('EROFS: read-only file system');
+        });
+        global.__setMockInputs(['export-accounts', '']);
+
+        await importExportCsv();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('EROFS: read-only file system'));
+        expect(global.console.log).not.toHaveBeenCalledWith(expect.stringContaining('Exported to'));
+        fs.writeFileSync.mockRestore();
+    });
+
+    test('should leave PIN-protected accounts out of the transactions export', async () => {
+        service.setPin('ACC-1234', '2468');
+        global.__setMockInputs(['export-transactions', '']);
+
+        await importExportCsv();
+
+        expect(fs.readFileSync(path.join(tmpDir, 'transactions.csv'), 'utf8')).not.toContain('TXN-1');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Left out 1 PIN-protected account(s).'));
+    });
+
+    test('should show the dry-run report and import only after confirmation', async () => {
+        const csvPath = path.join(tmpDir, 'import.csv');
+        fs.writeFileSync(csvPath, 'holderName,initialDeposit\nAlice Green,25\n');
+
+        global.__setMockInputs(['import', csvPath, 'n', '']);
+        await importExportCsv();
+        expect(__getData().accounts).toHaveLength(1);
+        expect(global.console.log).toHaveBeenCalledWith('Line 2: Alice Green, $25.00: OK');
+
+        global.__setMockInputs(['import', csvPath, 'y', '']);
+        await importExportCsv();
+        expect(__getData().accounts[1]).toMatchObject({ holderName: 'Alice Green', balance: 2500 });
+    });
+
+    test('should export one account as OFX or QIF', async () => {
+        global.__setMockInputs(['ACC-1234', 'ofx', '', 'ACC-1234', 'qif', '', 'ACC-1234', 'pdf', '']);
+
+        await exportFinanceFile();
+        await exportFinanceFile();
+        await exportFinanceFile();
+
+        expect(fs.readFileSync(path.join(tmpDir, 'ACC-1234.ofx'), 'utf8')).toContain('<FITID>TXN-1');
+        expect(fs.readFileSync(path.join(tmpDir, 'ACC-1234.qif'), 'utf8')).toContain('!Type:Bank');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Export format must be one of: ofx, qif.'));
+    });
+
+    test('should list bad rows and import nothing', async () => {
+        const csvPath = path.join(tmpDir, 'bad.csv');
+        fs.writeFileSync(csvPath, 'holderName,initialDeposit\nAlice Green,25\nJohn Doe,5\n');
+
+        global.__setMockInputs(['import', csvPath, '']);
+        await importExportCsv();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Line 3: John Doe: Account holder name already exists.'));
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Nothing imported.'));
+        expect(__getData().accounts).toHaveLength(1);
+    });
+});
+
 describe('deleteAccount', () => {
     beforeEach(() => {
         jest.clearAllMocks();
@@ -765,13 +1171,13 @@ describe('deleteAccount', () => {
         }
     });
 
-    test('should delete a valid account', async () => {
+    test('should close a valid account and keep its history', async () => {
         __setData({
             accounts: [
                 {
                     id: 'ACC-1234',
                     holderName: 'John Doe',
-                    balance: 1000,
+                    balance: 0,
                     createdAt: '2023-01-01T00:00:00.000Z',
                     transactions: [],
                 },
@@ -783,8 +1189,31 @@ describe('deleteAccount', () => {
         await deleteAccount();
 
         const accounts = __getData().accounts;
-        expect(accounts.length).toBe(0);
-        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account deleted.'));
+        expect(accounts.length).toBe(1);
+        expect(accounts[0].status).toBe('CLOSED');
+        expect(accounts[0].closedAt).toBeTruthy();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account closed.'));
+    });
+
+    test('should refuse to close an account that still holds money', async () => {
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 50000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+
+        global.__setMockInputs(['ACC-1234', '']);
+
+        await deleteAccount();
+
+        expect(__getData().accounts[0].status).toBeUndefined();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('still holds $500.00'));
     });
 
     test('should reject deletion of non-existent account', async () => {
@@ -799,86 +1228,1191 @@ describe('deleteAccount', () => {
 
 });
 
-describe('core utility coverage', () => {
-    afterEach(() => {
-        jest.restoreAllMocks();
+//changeAccountStatus
+describe('changeAccountStatus', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
     });
 
-    test('loadData should create data file when it does not exist', () => {
-        const existsSpy = jest.spyOn(fs, 'existsSync').mockReturnValue(false);
-        const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => undefined);
+    test('should freeze an account and block withdrawals from it', async () => {
+        global.__setMockInputs(['ACC-1234', 'freeze', '', 'ACC-1234', '100', '']);
 
-        loadData();
+        await changeAccountStatus();
+        await withdrawFunds();
 
-        expect(existsSpy).toHaveBeenCalled();
-        expect(writeSpy).toHaveBeenCalled();
+        const account = __getData().accounts[0];
+        expect(account.status).toBe('FROZEN');
+        expect(account.balance).toBe(100000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Account ACC-1234 is now FROZEN.'));
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is frozen'));
     });
 
-    test('loadData should reset to empty accounts when JSON shape is invalid', () => {
-        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
-        jest.spyOn(fs, 'readFileSync').mockReturnValue('{"foo":"bar"}');
+    test('should still accept deposits into a frozen account', async () => {
+        global.__setMockInputs(['ACC-1234', 'freeze', '', 'ACC-1234', '100', '']);
 
-        loadData();
+        await changeAccountStatus();
+        await depositFunds();
 
-        expect(__getData()).toEqual({ accounts: [] });
+        expect(__getData().accounts[0].balance).toBe(110000);
     });
 
-    test('loadData should handle corrupted file content', () => {
-        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
-        jest.spyOn(fs, 'readFileSync').mockImplementation(() => {
-            throw new Error('corrupted');
-        });
+    test('should reject unknown actions and invalid transitions', async () => {
+        global.__setMockInputs(['ACC-1234', 'explode', '', 'ACC-1234', 'unfreeze', '']);
 
-        loadData();
+        await changeAccountStatus();
+        await changeAccountStatus();
 
-        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Data file corrupted'));
-        expect(__getData()).toEqual({ accounts: [] });
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Unknown action.'));
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Cannot unfreeze account ACC-1234 because it is active.'));
+        expect(__getData().accounts[0].status).toBeUndefined();
     });
 
-    test('saveData should log error when async write fails', async () => {
-        __setSaving(false);
-        const writeSpy = jest.spyOn(fs, 'writeFile').mockImplementation((pathArg, contentArg, callback) => {
-            callback(new Error('write failed'));
-        });
+    test('should show the status in the account list', async () => {
+        __getData().accounts[0].status = 'DORMANT';
 
-        saveData();
-        await new Promise((resolve) => setImmediate(resolve));
+        await listAllAccounts();
 
-        expect(writeSpy).toHaveBeenCalled();
-        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Failed to save data'));
-        expect(__getSaving()).toBe(false);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('DORMANT'));
     });
+});
 
-    test('renderMenu should print all nine menu options', () => {
+describe('payExternalBeneficiary', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should debit the customer and hold the payment in clearing once confirmed', async () => {
+        global.__setMockInputs(['ACC-1234', 'Mary Major', 'GB29 NWBK 6016', '250', 'y', '']);
+
+        await payExternalBeneficiary();
+
+        const data = __getData();
+        expect(data.accounts).toHaveLength(1);
+        expect(data.accounts[0].balance).toBe(75000);
+        expect(data.accounts[0].transactions[0]).toMatchObject({
+            type: 'EXTERNAL_PAYMENT',
+            amount: 25000,
+            description: 'To Mary Major (GB29 NWBK 6016)',
+            beneficiary: { name: 'Mary Major', account: 'GB29 NWBK 6016' },
+        });
+        expect(data.clearingAccount).toMatchObject({ id: 'CLEARING', balance: 25000 });
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Payment sent to clearing. Reference: TRF-'));
+    });
+
+    test('should not move money unless the payment is confirmed', async () => {
+        global.__setMockInputs(['ACC-1234', 'Mary Major', 'GB29 NWBK 6016', '250', '', '']);
+
+        await payExternalBeneficiary();
+
+        expect(__getData().accounts[0].balance).toBe(100000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Payment cancelled.'));
+    });
+
+    test('should refuse a beneficiary account that belongs to this bank', async () => {
+        global.__setMockInputs(['ACC-1234', 'John Doe', 'ACC-1234', '']);
+
+        await payExternalBeneficiary();
+
+        expect(__getData().accounts[0].transactions).toHaveLength(0);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is an account at this bank. Use a transfer instead.'));
+    });
+});
+
+describe('setAccountPin', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should store only a salted hash of the PIN', async () => {
+        global.__setMockInputs(['ACC-1234', '4821', '4821', '']);
+
+        await setAccountPin();
+
+        const { pin } = __getData().accounts[0];
+        expect(pin).toMatchObject({ algorithm: 'scrypt', salt: expect.any(String), hash: expect.any(String) });
+        expect(JSON.stringify(pin)).not.toContain('4821');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('PIN set for ACC-1234.'));
+    });
+
+    test('should ask for the PIN before withdrawals and details', async () => {
+        global.__setMockInputs([
+            'ACC-1234', '4821', '4821', '',
+            'ACC-1234', '0000', '',
+            'ACC-1234', '4821', '100', '',
+            'ACC-1234', '4821', '',
+        ]);
+
+        await setAccountPin();
+        await withdrawFunds();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Incorrect PIN.'));
+        expect(__getData().accounts[0].balance).toBe(100000);
+
+        await withdrawFunds();
+        await viewAccountDetails();
+
+        expect(__getData().accounts[0].balance).toBe(90000);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Balance: $900.00'));
+    });
+
+    test('should ask for the PIN before showing transaction history', async () => {
+        global.__setMockInputs([
+            'ACC-1234', '4821', '4821', '',
+            'ACC-1234', '0000', '',
+            'ACC-1234', '4821', '',
+        ]);
+
+        await setAccountPin();
+        await viewTransactionHistory();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Incorrect PIN.'));
+        expect(global.console.log).not.toHaveBeenCalledWith(expect.stringContaining('No transactions found.'));
+
+        await viewTransactionHistory();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('No transactions found.'));
+    });
+
+    test('should lock the account after repeated wrong PINs', async () => {
+        global.__setMockInputs([
+            'ACC-1234', '4821', '4821', '',
+            'ACC-1234', '1111', '',
+            'ACC-1234', '2222', '',
+            'ACC-1234', '3333', '',
+            'ACC-1234', '4821', '',
+        ]);
+
+        await setAccountPin();
+        await deleteAccount();
+        await deleteAccount();
+        await deleteAccount();
+        await deleteAccount();
+
+        const account = __getData().accounts[0];
+        expect(account.status).toBeUndefined();
+        expect(account.pinLockedUntil).toBeDefined();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is locked for 15 minutes'));
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is locked after too many incorrect PIN attempts'));
+    });
+
+    test('should reject mismatched confirmation', async () => {
+        global.__setMockInputs(['ACC-1234', '4821', '4822', '']);
+
+        await setAccountPin();
+
+        expect(__getData().accounts[0].pin).toBeUndefined();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('PINs do not match.'));
+    });
+});
+
+describe('operators', () => {
+    const account = () => ({
+        id: 'ACC-1234',
+        holderName: 'John Doe',
+        balance: 100000,
+        createdAt: '2023-01-01T00:00:00.000Z',
+        transactions: [],
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({ accounts: [account()] });
+    });
+
+    afterEach(() => {
+        service.logout();
+    });
+
+    test('signIn should create the first admin when none exist', async () => {
+        global.__setMockInputs(['Root', 'secret-pass', 'secret-pass']);
+
+        expect(await signIn()).toBe(true);
+
+        expect(service.operator).toEqual({ username: 'root', role: 'ADMIN' });
+        expect(__getData().operators[0].password.hash).not.toContain('secret-pass');
+    });
+
+    test('signIn should give up after three failed logins', async () => {
+        service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+        const before = auditLog.readEntries().length;
+        global.__setMockInputs(['root', 'wrong', 'root', 'wrong', 'nobody', 'secret-pass']);
+
+        expect(await signIn()).toBe(false);
+
+        expect(service.operator).toBeNull();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Too many failed login attempts.'));
+        const logged = auditLog.readEntries().slice(before);
+        expect(logged.map((entry) => entry.action)).toEqual(['LOGIN_FAILED', 'LOGIN_FAILED', 'LOGIN_FAILED']);
+    });
+
+    test('tellers should not see or use admin-only operations', async () => {
+        service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+        service.login('root', 'secret-pass');
+        global.__setMockInputs(['Tina', 'teller', 'teller-pass', 'teller-pass', '']);
+        await addOperator();
+        service.login('tina', 'teller-pass');
+
+        const labels = menuItems().map((item) => item.label);
+        expect(labels).toContain('Transfer Between Accounts');
+        expect(labels).not.toContain('Close Account');
+        expect(labels).not.toContain('Set Overdraft Limit');
+        expect(labels[labels.length - 1]).toBe('Exit Application');
+
+        global.__setMockInputs(['ACC-1234', '']);
+        await deleteAccount();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is not allowed to do that.'));
+        expect(__getData().accounts[0].status).toBeUndefined();
+    });
+
+    test('every action should record the operator who performed it', async () => {
+        service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+        service.login('root', 'secret-pass');
+        global.__setMockInputs(['ACC-1234', '50', '']);
+
+        await depositFunds();
+
+        const entries = auditLog.readEntries();
+        expect(__getData().accounts[0].transactions[0].operator).toBe('root');
+        expect(entries[entries.length - 1]).toMatchObject({
+            operator: 'root',
+            action: 'DEPOSIT',
+            details: { accountId: 'ACC-1234', amount: 5000 },
+        });
+    });
+});
+
+describe('reverseTransaction', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+                {
+                    id: 'ACC-5678',
+                    holderName: 'Jane Smith',
+                    balance: 0,
+                    createdAt: '2023-02-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should list transaction IDs in the history table', async () => {
+        global.__setMockInputs(['ACC-1234', '500', '', 'ACC-1234', '']);
+
+        await depositFunds();
+        await viewTransactionHistory();
+
+        const { id } = __getData().accounts[0].transactions[0];
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(id));
+    });
+
+    test('should reverse a mistyped deposit with a linked entry', async () => {
+        global.__setMockInputs(['ACC-1234', '5000', '']);
+        await depositFunds();
+        const deposit = __getData().accounts[0].transactions[0];
+
+        global.__setMockInputs([deposit.id, 'typed 5000 instead of 50', 'y', '']);
+        await reverseTransaction();
+
+        const account = __getData().accounts[0];
+        expect(account.balance).toBe(100000);
+        expect(account.transactions[1]).toMatchObject({
+            type: 'REVERSAL',
+            amount: 500000,
+            reverses: deposit.id,
+            description: `Reversal of ${deposit.id}: typed 5000 instead of 50`,
+        });
+        expect(deposit.reversedBy).toBe(account.transactions[1].id);
+    });
+
+    test('should reverse both legs of a transfer and refuse a second reversal', async () => {
+        global.__setMockInputs(['ACC-1234', 'ACC-5678', '300', '']);
+        await transferFunds();
+        const credit = __getData().accounts[1].transactions[0];
+
+        global.__setMockInputs([credit.id, '', 'y', '', credit.id, '', 'y', '']);
+        await reverseTransaction();
+        await reverseTransaction();
+
+        const [from, to] = __getData().accounts;
+        expect(from.balance).toBe(100000);
+        expect(to.balance).toBe(0);
+        expect(from.transactions.map((t) => t.type)).toEqual(['TRANSFER_OUT', 'REVERSAL']);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('the other leg will be reversed too'));
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('has already been reversed'));
+    });
+
+    test('should do nothing for unknown IDs or when not confirmed', async () => {
+        global.__setMockInputs(['TXN-000000000000', '']);
+        await reverseTransaction();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Transaction not found.'));
+
+        global.__setMockInputs(['ACC-1234', '10', '']);
+        await depositFunds();
+        global.__setMockInputs([__getData().accounts[0].transactions[0].id, '', 'n', '']);
+        await reverseTransaction();
+
+        expect(__getData().accounts[0].transactions).toHaveLength(1);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Reversal cancelled.'));
+    });
+});
+
+describe('manageStandingOrders', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+                {
+                    id: 'ACC-5678',
+                    holderName: 'Jane Smith',
+                    balance: 0,
+                    createdAt: '2023-02-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should create an order and run it once due', async () => {
+        global.__setMockInputs(['create', 'ACC-1234', 'ACC-5678', '25', 'weekly', '', '', '']);
+        await manageStandingOrders();
+
+        const [order] = __getData().standingOrders;
+        expect(order).toMatchObject({ fromId: 'ACC-1234', toId: 'ACC-5678', amount: 2500, frequency: 'WEEKLY', endDate: null });
+
+        global.__setMockInputs(['run', '']);
+        await manageStandingOrders();
+
+        expect(__getData().accounts[1].balance).toBe(2500);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`${order.id} ${order.startDate}: SUCCEEDED (TRF-`));
+    });
+
+    test('should show validation errors and cancel orders', async () => {
+        global.__setMockInputs(['create', 'ACC-1234', 'ACC-5678', '25', 'yearly', '2024-01-01', '', '']);
+        await manageStandingOrders();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Frequency must be one of'));
+
+        global.__setMockInputs(['create', 'ACC-1234', 'ACC-5678', '25', 'weekly', '2024-01-01', '', '']);
+        await manageStandingOrders();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Start date must not be in the past.'));
+        expect(__getData().standingOrders || []).toEqual([]);
+
+        global.__setMockInputs(['create', 'ACC-1234', 'ACC-5678', '25', 'once', '2099-01-01', '', '']);
+        await manageStandingOrders();
+        const [order] = __getData().standingOrders;
+
+        global.__setMockInputs(['cancel', order.id, '']);
+        await manageStandingOrders();
+
+        expect(order.status).toBe('CANCELLED');
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`Standing order ${order.id} cancelled.`));
+    });
+});
+
+describe('audit log', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 100000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should chain an entry for every mutating operation', async () => {
+        const before = auditLog.readEntries().length;
+        global.__setMockInputs([
+            'Jane Smith', '10', '',
+            'ACC-1234', '25', '',
+            'ACC-1234', '1025', '',
+            'ACC-1234', '',
+        ]);
+
+        await createAccount();
+        await depositFunds();
+        await withdrawFunds();
+        await deleteAccount();
+
+        const entries = auditLog.readEntries();
+        expect(entries.slice(before).map((entry) => entry.action)).toEqual([
+            'ACCOUNT_CREATED', 'DEPOSIT', 'WITHDRAWAL', 'ACCOUNT_CLOSED',
+        ]);
+        entries.slice(1).forEach((entry, i) => expect(entry.prevHash).toBe(entries[i].hash));
+    });
+
+    test('loadData should record the load', () => {
+        loadData();
+
+        const entries = auditLog.readEntries();
+        expect(entries[entries.length - 1]).toMatchObject({ action: 'DATA_LOADED', details: { file: 'bank-data.json' } });
+    });
+
+    test('verifyAuditLog should report an edited entry', async () => {
+        service.record('DEPOSIT', { accountId: 'ACC-1234', amount: 100 });
+        global.__setMockInputs(['', '']);
+        await verifyAuditLog();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Audit log intact'));
+
+        const lines = fs.readFileSync(auditLog.getPath(), 'utf8').trim().split('\n');
+        lines[lines.length - 1] = lines[lines.length - 1].replace('"amount":100', '"amount":1000000');
+        fs.writeFileSync(auditLog.getPath(), `${lines.join('\n')}\n`);
+
+        await verifyAuditLog();
+
+        expect(global.console.log).toHaveBeenCalledWith(
+            expect.stringContaining(`Audit log broken at entry ${lines.length} of ${lines.length}: contents do not match the entry hash.`)
+        );
+        fs.unlinkSync(auditLog.getPath());
+    });
+});
+
+describe('backup and restore', () => {
+    const account = (id, holderName) => ({
+        id,
+        holderName,
+        balance: 100000,
+        createdAt: '2023-01-01T00:00:00.000Z',
+        transactions: [],
+    });
+
+    // Saves two accounts, which leaves a backup of them behind.
+    const saveTwoAccounts = async () => {
+        __setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [account('ACC-1234', 'John Doe'), account('ACC-5678', 'Jane Smith')] });
+        saveData();
+        await flushSaves();
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        await flushSaves();
+        fs.rmSync(tmpDataPath, { force: true });
+        fs.rmSync(path.join(tmpDir, 'bank-data-backups'), { recursive: true, force: true });
+        __setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+        loadData();
+    });
+
+    afterEach(() => {
+        service.logout();
+    });
+
+    test('every save should leave a backup of what was written', async () => {
+        await saveTwoAccounts();
+
+        const [newest] = listDataBackups();
+        expect(newest).toMatchObject({ valid: true, accounts: 2, revision: JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).revision });
+        expect(fs.readFileSync(newest.path, 'utf8')).toBe(fs.readFileSync(tmpDataPath, 'utf8'));
+    });
+
+    test('a corrupt file should be moved aside and the newest backup offered', async () => {
+        await saveTwoAccounts();
+        fs.writeFileSync(tmpDataPath, '{"accounts": [');
+
+        loadData();
+
+        expect(__getData().accounts).toEqual([]);
+        const { quarantinedPath, backup } = recoveryState();
+        expect(fs.readFileSync(quarantinedPath, 'utf8')).toBe('{"accounts": [');
+        expect(fs.existsSync(tmpDataPath)).toBe(false);
+        expect(backup).toMatchObject({ valid: true, accounts: 2 });
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`Newest readable backup: ${backup.file}`));
+
+        global.__setMockInputs(['y', '']);
+        await offerRecovery();
+        await flushSaves();
+
+        expect(__getData().accounts.map((entry) => entry.id)).toEqual(['ACC-1234', 'ACC-5678']);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).accounts).toHaveLength(2);
+        expect(recoveryState()).toBeNull();
+        expect(auditLog.readEntries().pop()).toMatchObject({ action: 'BACKUP_RESTORED', details: { file: backup.file, accounts: 2 } });
+    });
+
+    test('a data path that is a directory should be reported and left where it is', () => {
+        fs.rmSync(tmpDataPath, { force: true });
+        fs.mkdirSync(tmpDataPath);
+        try {
+            expect(() => loadData()).toThrow(/Cannot read bank-data\.json: EISDIR/);
+            expect(fs.statSync(tmpDataPath).isDirectory()).toBe(true);
+            expect(recoveryState()).toBeNull();
+        } finally {
+            fs.rmSync(tmpDataPath, { recursive: true, force: true });
+        }
+    });
+
+    test('declining the restore should keep the damaged file and the backups', async () => {
+        await saveTwoAccounts();
+        fs.writeFileSync(tmpDataPath, 'not json');
+        loadData();
+        const { quarantinedPath } = recoveryState();
+
+        global.__setMockInputs(['n', '']);
+        await offerRecovery();
+        saveData();
+        await flushSaves();
+
+        expect(__getData().accounts).toEqual([]);
+        expect(fs.readFileSync(quarantinedPath, 'utf8')).toBe('not json');
+        expect(listDataBackups().some((backup) => backup.accounts === 2)).toBe(true);
+    });
+
+    test('the menu should back up now and restore a chosen backup', async () => {
+        await saveTwoAccounts();
+        global.__setMockInputs(['backup', '']);
+        await backupAndRestore();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Backup saved as'));
+        const count = listDataBackups().length;
+
+        service.freeze('ACC-5678');
+        __setData({ ...__getData(), accounts: [] });
+        saveData();
+        await flushSaves();
+
+        global.__setMockInputs(['restore', `${listDataBackups().length - count + 1}`, 'y', '']);
+        await backupAndRestore();
+        await flushSaves();
+
+        expect(__getData().accounts.map((entry) => entry.id)).toEqual(['ACC-1234', 'ACC-5678']);
+        expect(findAccountById('ACC-5678').status).toBeUndefined();
+    });
+
+    test('the menu should reject a bad selection and a declined restore', async () => {
+        await saveTwoAccounts();
+
+        global.__setMockInputs(['restore', '9', '']);
+        await backupAndRestore();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Invalid selection.'));
+
+        __setData({ ...__getData(), accounts: [] });
+        global.__setMockInputs(['restore', '1', 'n', '']);
+        await backupAndRestore();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Restore cancelled.'));
+        expect(__getData().accounts).toEqual([]);
+    });
+
+    test('only admins should restore', async () => {
+        await saveTwoAccounts();
+        service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+        service.login('root', 'secret-pass');
+        service.addOperator({ username: 'tina', role: 'teller', password: 'teller-pass' });
+        service.login('tina', 'teller-pass');
+        expect(menuItems().map((item) => item.label)).toContain('Backup & Restore');
+
+        global.__setMockInputs(['restore', '1', 'y', '']);
+        await backupAndRestore();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('is not allowed to do that.'));
+        expect(__getData().operators).toHaveLength(2);
+    });
+});
+
+describe('data encryption', () => {
+    const passphrase = 'correct horse battery';
+    const newPassphrase = 'staple tuna paperclip';
+
+    const resetDataFile = async () => {
+        await flushSaves();
+        fs.rmSync(tmpDataPath, { force: true });
+        fs.rmSync(path.join(tmpDir, 'bank-data-backups'), { recursive: true, force: true });
+        usePassphrase(null);
+        __setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+        loadData();
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        await resetDataFile();
+        __setData({
+            schemaVersion: SCHEMA_VERSION,
+            amountUnit: 'cents',
+            accounts: [{ id: 'ACC-1234', holderName: 'John Doe', balance: 100000, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] }],
+        });
+        saveData();
+        await flushSaves();
+    });
+
+    afterEach(resetDataFile);
+
+    test('encrypting from the menu should encrypt the file and its backups', async () => {
+        global.__setMockInputs(['encrypt', passphrase, passphrase, '']);
+
+        await dataEncryption();
+        await flushSaves();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Data file encrypted'));
+        expect(isDataEncrypted()).toBe(true);
+        const raw = fs.readFileSync(tmpDataPath, 'utf8');
+        expect(raw).not.toContain('John Doe');
+        expect(JSON.parse(raw)).toMatchObject({ format: 'bankcli-encrypted', revision: expect.any(Number) });
+        const backups = listDataBackups();
+        expect(backups.length).toBeGreaterThan(1);
+        backups.forEach((backup) => {
+            expect(backup).toMatchObject({ encrypted: true, valid: true });
+            expect(fs.readFileSync(backup.path, 'utf8')).not.toContain('John Doe');
+        });
+    });
+
+    test('loading should need the right passphrase and never quarantine the file', async () => {
+        await encryptDataFile(passphrase);
+        const raw = fs.readFileSync(tmpDataPath, 'utf8');
+
+        usePassphrase(null);
+        expect(() => loadData()).toThrow(expect.objectContaining({ code: 'PASSPHRASE_REQUIRED' }));
+        usePassphrase('not the passphrase');
+        expect(() => loadData()).toThrow(expect.objectContaining({ code: 'PASSPHRASE_INVALID' }));
+        expect(fs.readFileSync(tmpDataPath, 'utf8')).toBe(raw);
+
+        usePassphrase(passphrase);
+        loadData();
+        expect(__getData().accounts[0].holderName).toBe('John Doe');
+
+        global.__setMockInputs(['ACC-1234', '25', '']);
+        await depositFunds();
+        await flushSaves();
+        expect(fs.readFileSync(tmpDataPath, 'utf8')).not.toContain('John Doe');
+        loadData();
+        expect(findAccountById('ACC-1234').balance).toBe(102500);
+    });
+
+    test('rotating should check the current passphrase and re-key the backups', async () => {
+        await encryptDataFile(passphrase);
+
+        global.__setMockInputs(['rotate', 'wrong passphrase', newPassphrase, newPassphrase, '']);
+        await dataEncryption();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('The current passphrase is wrong.'));
+
+        global.__setMockInputs(['rotate', passphrase, newPassphrase, newPassphrase, '']);
+        await dataEncryption();
+        await flushSaves();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Passphrase changed'));
+
+        usePassphrase(passphrase);
+        expect(() => loadData()).toThrow(expect.objectContaining({ code: 'PASSPHRASE_INVALID' }));
+        usePassphrase(newPassphrase);
+        loadData();
+        expect(listDataBackups().every((backup) => backup.valid)).toBe(true);
+    });
+
+    test('decrypting from the menu should export a plaintext copy and leave the file encrypted', async () => {
+        await encryptDataFile(passphrase);
+
+        global.__setMockInputs(['decrypt', '']);
+        await dataEncryption();
+
+        const exported = JSON.parse(fs.readFileSync(path.join(tmpDir, 'bank-data.decrypted.json'), 'utf8'));
+        expect(exported.accounts[0].holderName).toBe('John Doe');
+        expect(fs.readFileSync(tmpDataPath, 'utf8')).not.toContain('John Doe');
+    });
+
+    test('the menu should refuse mismatched or short passphrases', async () => {
+        global.__setMockInputs(['encrypt', passphrase, 'something else', '']);
+        await dataEncryption();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Passphrases do not match.'));
+
+        global.__setMockInputs(['encrypt', 'short', 'short', '']);
+        await dataEncryption();
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Passphrase must be at least 12 characters long.'));
+        expect(isDataEncrypted()).toBe(false);
+        expect(fs.readFileSync(tmpDataPath, 'utf8')).toContain('John Doe');
+    });
+});
+
+describe('storage backends', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+    });
+
+    afterEach(async () => {
+        await flushSaves();
+        __setDataPath(tmpDataPath);
+        loadData();
+    });
+
+    test('the memory store should keep the data and its audit trail off disk', async () => {
+        const before = fs.readdirSync(tmpDir);
+        useStore(new MemoryStore());
+        loadData();
+
+        const { account } = service.createAccount({ holderName: 'Demo User', initialDeposit: 5000 });
+        await flushSaves();
+
+        expect(JSON.parse(currentStore().read()).accounts.map((acc) => acc.id)).toEqual([account.id]);
+        expect(service.audit).not.toBe(auditLog);
+        expect(service.audit.readEntries().map((entry) => entry.action)).toEqual(['DATA_LOADED', 'ACCOUNT_CREATED']);
+        expect(listDataBackups()).toEqual([]);
+        await expect(backUpNow()).rejects.toMatchObject({ code: 'STORE_UNSUPPORTED' });
+        await expect(encryptDataFile('correct horse battery')).rejects.toMatchObject({ code: 'STORE_UNSUPPORTED' });
+        expect(fs.readdirSync(tmpDir)).toEqual(before);
+    });
+
+    test('the event log store should reload what was saved', async () => {
+        const logPath = path.join(tmpDir, 'bank-data.jsonl');
+        useStore(new EventLogStore(logPath));
+        loadData();
+        const { account } = service.createAccount({ holderName: 'Log User', initialDeposit: 5000 });
+        await flushSaves();
+
+        __setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+        loadData();
+
+        expect(findAccountById(account.id).balance).toBe(500000);
+        expect(service.audit).toBe(auditLog);
+        expect(auditLog.getPath()).toBe(path.join(tmpDir, 'bank-data-audit.jsonl'));
+        fs.rmSync(logPath);
+    });
+});
+
+describe('setOverdraftLimit', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 10000,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [],
+                },
+            ],
+        });
+    });
+
+    test('should reject withdrawals beyond the balance without an overdraft', async () => {
+        global.__setMockInputs(['ACC-1234', '150', '']);
+
+        await withdrawFunds();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Insufficient funds in ACC-1234. Available balance: $100.00.'));
+        expect(__getData().accounts[0].balance).toBe(10000);
+    });
+
+    test('should allow an overdrawn withdrawal and report the fee', async () => {
+        global.__setMockInputs(['ACC-1234', '100', '15', '', 'ACC-1234', '150', '']);
+
+        await setOverdraftLimit();
+        await withdrawFunds();
+
+        const account = __getData().accounts[0];
+        expect(account).toMatchObject({ overdraftLimit: 10000, overdraftFee: 1500, balance: -6500 });
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Overdraft fee charged: $15.00'));
+    });
+
+    test('should reject a negative limit', async () => {
+        global.__setMockInputs(['ACC-1234', '-100', '', '']);
+
+        await setOverdraftLimit();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Overdraft limit must be greater than or equal to 0.'));
+        expect(__getData().accounts[0].overdraftLimit).toBeUndefined();
+    });
+});
+
+describe('core utility coverage', () => {
+    beforeEach(async () => {
+        // start each test from a fresh data file at revision 0
+        await flushSaves();
+        fs.rmSync(tmpDataPath, { force: true });
+        __setData({ amountUnit: 'cents', accounts: [] });
+        loadData();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loadData should create data file when it does not exist', () => {
+        const existsSpy = jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+        const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => undefined);
+
+        loadData();
+
+        expect(existsSpy).toHaveBeenCalled();
+        expect(writeSpy).toHaveBeenCalled();
+    });
+
+    test('loadData should reset to empty accounts when JSON shape is invalid', () => {
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue('{"foo":"bar"}');
+
+        loadData();
+
+        expect(__getData()).toEqual({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+    });
+
+    test('loadData should handle corrupted file content', () => {
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue('{"accounts": [');
+
+        loadData();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Data file corrupted'));
+        expect(__getData()).toEqual({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: [] });
+    });
+
+    test('loadData should report a file it cannot read instead of moving it aside', () => {
+        const renameSpy = jest.spyOn(fs, 'renameSync');
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockImplementation(() => {
+            throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+        });
+
+        expect(() => loadData()).toThrow(expect.objectContaining({ name: 'DataFileError', code: 'DATA_UNREADABLE' }));
+        expect(renameSpy).not.toHaveBeenCalled();
+    });
+
+    test('loadData should migrate float-based files to integer cents', async () => {
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+            accounts: [
+                {
+                    id: 'ACC-1234',
+                    holderName: 'John Doe',
+                    balance: 0.3,
+                    createdAt: '2023-01-01T00:00:00.000Z',
+                    transactions: [
+                        { type: 'DEPOSIT', amount: 0.1, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 0.1, description: 'Deposit' },
+                        { type: 'DEPOSIT', amount: 0.2, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 0.30000000000000004, description: 'Deposit' },
+                    ],
+                },
+            ],
+        }));
+
+        loadData();
+
+        const account = __getData().accounts[0];
+        expect(__getData().amountUnit).toBe('cents');
+        expect(account.balance).toBe(30);
+        expect(account.transactions.map((t) => [t.amount, t.balanceAfter])).toEqual([[10, 10], [20, 30]]);
+
+        jest.restoreAllMocks();
+        await flushSaves();
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).accounts[0].balance).toBe(30);
+    });
+
+    test('loadData should give older transactions an ID', async () => {
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+            amountUnit: 'cents',
+            accounts: [{
+                id: 'ACC-1234',
+                holderName: 'John Doe',
+                balance: 10,
+                createdAt: '2023-01-01T00:00:00.000Z',
+                transactions: [{ type: 'DEPOSIT', amount: 10, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 10 }],
+            }],
+        }));
+
+        loadData();
+
+        expect(__getData().accounts[0].transactions[0].id).toMatch(/^TXN-[0-9A-F]{12}$/);
+        jest.restoreAllMocks();
+        await flushSaves();
+    });
+
+    test('loadData should only stamp the schema version on files already stored in cents', () => {
+        const stored = { amountUnit: 'cents', accounts: [{ id: 'ACC-1234', holderName: 'John Doe', balance: 30, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] }] };
+        jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+        jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify(stored));
+
+        loadData();
+
+        expect(__getData()).toEqual({ ...stored, schemaVersion: SCHEMA_VERSION });
+    });
+
+    test('loadData should back up a file before migrating it', async () => {
+        const legacy = JSON.stringify({ accounts: [{ id: 'ACC-1234', holderName: 'John Doe', balance: 0.5, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] }] });
+        fs.writeFileSync(tmpDataPath, legacy);
+        const existing = fs.readdirSync(tmpDir);
+
+        loadData();
+        await flushSaves();
+
+        const backups = fs.readdirSync(tmpDir).filter((name) => !existing.includes(name) && /^bank-data\.v0-backup-.*\.json$/.test(name));
+        expect(backups).toHaveLength(1);
+        expect(fs.readFileSync(path.join(tmpDir, backups[0]), 'utf8')).toBe(legacy);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8'))).toMatchObject({ schemaVersion: SCHEMA_VERSION, accounts: [{ balance: 50 }] });
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining(`from schema version 0 to ${SCHEMA_VERSION}`));
+
+        loadData();
+        expect(fs.readdirSync(tmpDir).filter((name) => name.includes('-backup-'))).toHaveLength(
+            existing.filter((name) => name.includes('-backup-')).length + 1
+        );
+    });
+
+    test('loadData should refuse a file from a newer version and leave it alone', async () => {
+        const newer = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, amountUnit: 'cents', accounts: [], revision: 3 });
+        fs.writeFileSync(tmpDataPath, newer);
+
+        expect(() => loadData()).toThrow(expect.objectContaining({ code: 'SCHEMA_TOO_NEW' }));
+
+        await flushSaves();
+        expect(fs.readFileSync(tmpDataPath, 'utf8')).toBe(newer);
+    });
+
+    test('saveData should log error when async write fails', async () => {
+        const openSpy = jest.spyOn(fs.promises, 'open').mockRejectedValue(new Error('write failed'));
+
+        const saved = await saveData();
+
+        expect(openSpy).toHaveBeenCalled();
+        expect(saved).toBe(false);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Failed to save data'));
+    });
+
+    test('a failed save should be recorded in the audit log after the changes it lost', async () => {
+        jest.spyOn(fs.promises, 'open').mockRejectedValue(new Error('write failed'));
+        const before = auditLog.readEntries().length;
+
+        const { account } = service.createAccount({ holderName: 'Lost Saver', initialDeposit: '5' });
+        await flushSaves();
+
+        const logged = auditLog.readEntries().slice(before);
+        expect(logged.map((entry) => entry.action)).toEqual(['ACCOUNT_CREATED', 'SAVE_FAILED']);
+        expect(logged[0].details.accountId).toBe(account.id);
+        expect(logged[1].details).toMatchObject({ reason: 'write failed' });
+        expect(auditLog.verify().ok).toBe(true);
+    });
+
+    test('saveData should write the file atomically without leaving temp files', async () => {
+        __setData({ amountUnit: 'cents', accounts: [] });
+
+        const saved = await saveData();
+
+        expect(saved).toBe(true);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8'))).toEqual({
+            amountUnit: 'cents',
+            accounts: [],
+            revision: 1,
+            auditHead: { seq: expect.any(Number), hash: expect.stringMatching(/^[0-9a-f]{64}$/) },
+        });
+        expect(fs.readdirSync(tmpDir).filter((name) => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('saveData should not drop back-to-back saves', async () => {
+        const state = { amountUnit: 'cents', accounts: [] };
+        __setData(state);
+
+        saveData();
+        state.accounts.push({ id: 'ACC-1111', holderName: 'First', balance: 1, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] });
+        saveData();
+        state.accounts.push({ id: 'ACC-2222', holderName: 'Second', balance: 2, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] });
+        saveData();
+
+        expect(await flushSaves()).toBe(true);
+        const written = JSON.parse(fs.readFileSync(tmpDataPath, 'utf8'));
+        expect(written.accounts.map((account) => account.id)).toEqual(['ACC-1111', 'ACC-2222']);
+    });
+
+    test('saveData should refuse to overwrite changes made by another process', async () => {
+        expect(await saveData()).toBe(true);
+        // another process saves after we loaded
+        const onDisk = JSON.parse(fs.readFileSync(tmpDataPath, 'utf8'));
+        fs.writeFileSync(tmpDataPath, JSON.stringify({ ...onDisk, revision: onDisk.revision + 1, accounts: [{ id: 'ACC-9999' }] }));
+
+        expect(await saveData()).toBe(false);
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('was changed by another process'));
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).accounts).toEqual([{ id: 'ACC-9999' }]);
+        expect(fs.existsSync(`${tmpDataPath}.lock`)).toBe(false);
+    });
+
+    test('loadData should pick up the revision of the file it reads', async () => {
+        fs.writeFileSync(tmpDataPath, JSON.stringify({ amountUnit: 'cents', accounts: [], revision: 7 }));
+
+        loadData();
+
+        expect(await saveData()).toBe(true);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).revision).toBe(8);
+    });
+
+    test('renderMenu should print every menu option with exit last', () => {
         renderMenu();
 
         expect(global.console.log).toHaveBeenCalledWith('1. Create New Account');
-        expect(global.console.log).toHaveBeenCalledWith('9. Exit Application');
-        expect(global.console.log).toHaveBeenCalledTimes(9);
+        expect(global.console.log).toHaveBeenCalledWith('8. Close Account');
+        expect(global.console.log).toHaveBeenCalledWith('9. Change Account Status');
+        expect(global.console.log).toHaveBeenCalledWith('10. Set Overdraft Limit');
+        expect(global.console.log).toHaveBeenCalledWith('11. Pay External Beneficiary');
+        expect(global.console.log).toHaveBeenCalledWith('12. Set Account PIN');
+        expect(global.console.log).toHaveBeenCalledWith('13. Reverse Transaction');
+        expect(global.console.log).toHaveBeenCalledWith('14. Standing Orders');
+        expect(global.console.log).toHaveBeenCalledWith('15. Account Statement');
+        expect(global.console.log).toHaveBeenCalledWith('16. Import / Export CSV');
+        expect(global.console.log).toHaveBeenCalledWith('17. Export OFX / QIF');
+        expect(global.console.log).toHaveBeenCalledWith('18. Backup & Restore');
+        expect(global.console.log).toHaveBeenCalledWith('19. Data Encryption');
+        expect(global.console.log).toHaveBeenCalledWith('20. Add Operator');
+        expect(global.console.log).toHaveBeenCalledWith('21. Verify Audit Log');
+        expect(global.console.log).toHaveBeenCalledWith('22. Exit Application');
+        expect(global.console.log).toHaveBeenCalledTimes(22);
     });
 
     test('exitApp should save, close, and call process.exit(0)', async () => {
-        __setSaving(false);
-        jest.spyOn(fs, 'writeFile').mockImplementation((pathArg, contentArg, callback) => callback(null));
         const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+        __setData({ amountUnit: 'cents', accounts: [{ id: 'ACC-3333', holderName: 'Exit Test', balance: 5, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] }] });
 
         await exitApp();
 
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Saving and exiting'));
         expect(exitSpy).toHaveBeenCalledWith(0);
+        // the write finished before exit was requested
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).accounts[0].id).toBe('ACC-3333');
+    });
+
+    test('exitApp should offer a retry when the final save fails', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+        jest.spyOn(fs.promises, 'open').mockRejectedValueOnce(new Error('disk full'));
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({ amountUnit: 'cents', accounts: [{ id: 'ACC-4444', holderName: 'Retry Test', balance: 5, createdAt: '2023-01-01T00:00:00.000Z', transactions: [] }] });
+        global.__setMockInputs(['y']);
+
+        await exitApp();
+
+        expect(exitSpy).toHaveBeenCalledWith(0);
+        expect(exitSpy).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).accounts[0].id).toBe('ACC-4444');
+    });
+
+    test('exitApp should exit with 1 when the final save is given up', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+        jest.spyOn(fs.promises, 'open').mockRejectedValue(new Error('disk full'));
+        __setAsk(() => Promise.resolve(global.__getMockInput()));
+        __setData({ amountUnit: 'cents', accounts: [] });
+        global.__setMockInputs(['n']);
+
+        await exitApp();
+
+        expect(exitSpy).toHaveBeenCalledWith(1);
+        expect(exitSpy).not.toHaveBeenCalledWith(0);
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Exiting without saving.'));
+    });
+
+    test('exitApp should not offer to retry a save that conflicts with another process', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+        const askSpy = jest.fn();
+        __setAsk(askSpy);
+        fs.writeFileSync(tmpDataPath, JSON.stringify({ amountUnit: 'cents', accounts: [], revision: 999 }));
+
+        await exitApp();
+
+        expect(askSpy).not.toHaveBeenCalled();
+        expect(exitSpy).toHaveBeenCalledWith(1);
+        expect(JSON.parse(fs.readFileSync(tmpDataPath, 'utf8')).revision).toBe(999);
     });
 
-    test('SIGINT handler should log and call process.exit(0)', () => {
+    test('SIGINT handler should exit with 1 when the last save failed', async () => {
+        const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+        jest.spyOn(fs.promises, 'open').mockRejectedValueOnce(new Error('disk full'));
+        const sigintHandler = process
+            .listeners('SIGINT')
+            .find((handler) => handler.toString().includes("Exiting..."));
+
+        saveData();
+        await sigintHandler();
+
+        expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('could not be saved and are lost'));
+        expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('SIGINT handler should log and call process.exit(0)', async () => {
         const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
         const sigintHandler = process
             .listeners('SIGINT')
             .find((handler) => handler.toString().includes("Exiting..."));
 
         expect(sigintHandler).toBeDefined();
-        sigintHandler();
+        await saveData();
+        await sigintHandler();
 
         expect(global.console.log).toHaveBeenCalledWith(expect.stringContaining('Exiting...'));
         expect(exitSpy).toHaveBeenCalledWith(0);
     });
 });
 
+
+describe('askSecret', () => {
+    test('should echo the prompt but not what is typed', async () => {
+        const readline = require('readline');
+        const written = [];
+        const fakeInterface = {
+            _writeToOutput: (text) => written.push(text),
+            question(question, callback) {
+                this._writeToOutput(question);
+                this._writeToOutput('2468');
+                this._writeToOutput('\r\n');
+                callback('2468');
+            },
+        };
+        jest.spyOn(readline, 'createInterface').mockReturnValue(fakeInterface);
+
+        let fresh;
+        jest.isolateModules(() => {
+            fresh = require('../src/index.js');
+        });
+
+        expect(await fresh.askSecret('PIN: ')).toBe('2468');
+        expect(written).toEqual(['PIN: ', '\n']);
+        readline.createInterface.mockRestore();
+    });
+});
@@ -0,0 +1,55 @@
+const { MIGRATIONS, SCHEMA_VERSION, schemaVersionOf, pendingMigrations, migrate } = require('../src/migrations.js');
+const { AccountService } = require('../src/account-service.js');
+const { SchemaError } = require('../src/errors.js');
+
+const legacyData = () => ({
+    accounts: [{
+        id: 'ACC-1234',
+        holderName: 'John Doe',
+        balance: 0.3,
+        createdAt: '2023-01-01T00:00:00.000Z',
+        transactions: [{ type: 'DEPOSIT', amount: 0.3, timestamp: '2023-01-01T00:00:00.000Z', balanceAfter: 0.3 }],
+    }],
+});
+
+describe('migrations', () => {
+    test('versions should run from 1 up without gaps', () => {
+        expect(MIGRATIONS.map((migration) => migration.version)).toEqual(MIGRATIONS.map((_, i) => i + 1));
+        expect(SCHEMA_VERSION).toBe(MIGRATIONS.length);
+    });
+
+    test('files without a version should count as version 0', () => {
+        expect(schemaVersionOf({ accounts: [] })).toBe(0);
+        expect(schemaVersionOf({ schemaVersion: 2 })).toBe(2);
+        expect(pendingMigrations({ accounts: [] })).toEqual(MIGRATIONS);
+        expect(pendingMigrations({ schemaVersion: SCHEMA_VERSION })).toEqual([]);
+    });
+
+    test('migrate should run every step in order and stamp the version', () => {
+        const data = legacyData();
+        const service = new AccountService({ data });
+
+        const steps = migrate(data, { service });
+
+        expect(steps.map((step) => step.version)).toEqual([1, 2]);
+        expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(data.amountUnit).toBe('cents');
+        expect(data.accounts[0].balance).toBe(30);
+        expect(data.accounts[0].transactions[0].id).toMatch(/^TXN-/);
+        expect(migrate(data, { service })).toEqual([]);
+    });
+
+    test('migrate should skip steps a file already has', () => {
+        const data = { schemaVersion: 1, amountUnit: 'cents', accounts: [{ ...legacyData().accounts[0], balance: 30 }] };
+
+        migrate(data, { service: new AccountService({ data }) });
+
+        expect(data.accounts[0].balance).toBe(30);
+        expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    });
+
+    test('files from a newer app should be refused', () => {
+        expect(() => pendingMigrations({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(SchemaError);
+        expect(() => migrate({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(expect.objectContaining({ code: 'SCHEMA_TOO_NEW' }));
+    });
+});
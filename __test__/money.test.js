@@ -0,0 +1,58 @@
+const { parseMoney, formatMoney, formatDecimal, toMinorUnits, migrateToMinorUnits } = require('../src/money.js');
+
+describe('money', () => {
+    test.each([
+        ['0', 0],
+        ['12', 1200],
+        ['0.1', 10],
+        ['0.05', 5],
+        ['1000000', 100000000],
+        ['  19.99  ', 1999],
+        ['-500', -50000],
+        [250, 25000],
+    ])('parseMoney(%p) should return %p cents', (input, expected) => {
+        expect(parseMoney(input)).toBe(expected);
+    });
+
+    test.each([
+        ['abc', 'AMOUNT_INVALID'],
+        ['', 'AMOUNT_INVALID'],
+        ['1e9', 'AMOUNT_INVALID'],
+        ['1.', 'AMOUNT_INVALID'],
+        ['12.345', 'AMOUNT_PRECISION'],
+        ['99999999999999999999', 'AMOUNT_INVALID'],
+    ])('parseMoney(%p) should reject with %s', (input, code) => {
+        expect(() => parseMoney(input)).toThrow(expect.objectContaining({ code }));
+    });
+
+    test('parseMoney should prefix messages with the field label', () => {
+        expect(() => parseMoney('x', 'Transfer amount')).toThrow('Transfer amount must be a valid number.');
+    });
+
+    test('formatDecimal should render cents as plain dollars', () => {
+        expect(formatDecimal(150000)).toBe('1500.00');
+        expect(formatDecimal(5)).toBe('0.05');
+        expect(formatDecimal(-2550)).toBe('-25.50');
+    });
+
+    test('formatMoney should render cents as dollars', () => {
+        expect(formatMoney(150000)).toBe('$1,500.00');
+        expect(formatMoney(30)).toBe('$0.30');
+        expect(formatMoney(-5)).toBe('-$0.05');
+    });
+
+    test('toMinorUnits should round away float drift', () => {
+        expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+        expect(toMinorUnits(1.005)).toBe(100);
+    });
+
+    test('migrateToMinorUnits should convert once and mark the data', () => {
+        const data = { accounts: [{ balance: 1.5, transactions: [{ amount: 1.5, balanceAfter: 1.5 }] }] };
+
+        expect(migrateToMinorUnits(data)).toBe(true);
+        expect(data.accounts[0].balance).toBe(150);
+        expect(data.accounts[0].transactions[0]).toEqual({ amount: 150, balanceAfter: 150 });
+        expect(migrateToMinorUnits(data)).toBe(false);
+        expect(data.accounts[0].balance).toBe(150);
+    });
+});
@@ -0,0 +1,23 @@
+const { ROLES, PERMISSIONS, canPerform } = require('../src/operators.js');
+
+describe('operators', () => {
+    test('tellers should handle customer business but not admin tasks', () => {
+        ['deposit', 'withdraw', 'transfer', 'account:create'].forEach((permission) => {
+            expect(canPerform(ROLES.TELLER, permission)).toBe(true);
+        });
+        ['account:close', 'account:status', 'limits:set', 'operator:manage'].forEach((permission) => {
+            expect(canPerform(ROLES.TELLER, permission)).toBe(false);
+        });
+    });
+
+    test('admins should hold every permission', () => {
+        Object.keys(PERMISSIONS).forEach((permission) => {
+            expect(canPerform(ROLES.ADMIN, permission)).toBe(true);
+        });
+    });
+
+    test('unknown roles and permissions should be refused', () => {
+        expect(canPerform('GUEST', 'deposit')).toBe(false);
+        expect(canPerform(ROLES.ADMIN, 'launch-rockets')).toBe(false);
+    });
+});
@@ -0,0 +1,103 @@
+const { paginate, queryTransactions, transactionFilter, matchScore, queryAccounts } = require('../src/query.js');
+
+const transaction = (id, type, amount, timestamp, description) => ({ id, type, amount, timestamp, description, balanceAfter: 0 });
+
+const account = {
+    id: 'ACC-1234',
+    transactions: [
+        transaction('TXN-1', 'DEPOSIT', 100000, '2024-01-01T09:00:00.000Z', 'Initial deposit'),
+        transaction('TXN-2', 'WITHDRAWAL', 2000, '2024-01-05T09:00:00.000Z', 'Withdrawal'),
+        transaction('TXN-3', 'DEPOSIT', 50000, '2024-02-01T09:00:00.000Z', 'Salary February'),
+        transaction('TXN-4', 'TRANSFER_OUT', 30000, '2024-02-10T09:00:00.000Z', 'To ACC-5678'),
+        transaction('TXN-5', 'DEPOSIT', 50000, '2024-03-01T09:00:00.000Z', 'Salary March'),
+    ],
+};
+
+describe('query', () => {
+    test('paginate should slice pages and clamp past the end', () => {
+        const items = [1, 2, 3, 4, 5];
+
+        expect(paginate(items, { page: 2, pageSize: 2 })).toEqual({ items: [3, 4], page: 2, pageSize: 2, pageCount: 3, total: 5 });
+        expect(paginate(items, { page: 9, pageSize: 2 }).items).toEqual([5]);
+        expect(paginate([], {})).toMatchObject({ items: [], page: 1, pageCount: 1 });
+        expect(() => paginate(items, { pageSize: 0 })).toThrow(expect.objectContaining({ code: 'PAGE_INVALID' }));
+        expect(() => paginate(items, { page: '1.5' })).toThrow(expect.objectContaining({ code: 'PAGE_INVALID' }));
+    });
+
+    test('queryTransactions should combine filters', () => {
+        const ids = (query) => queryTransactions(account, query).items.map((item) => item.id);
+
+        expect(ids({ from: '2024-01-05', to: '2024-02-01' })).toEqual(['TXN-2', 'TXN-3']);
+        expect(ids({ types: 'deposit, transfer_out' })).toEqual(['TXN-1', 'TXN-3', 'TXN-4', 'TXN-5']);
+        expect(ids({ types: ['DEPOSIT'], minAmount: 50000, maxAmount: 60000 })).toEqual(['TXN-3', 'TXN-5']);
+        expect(ids({ text: 'salary' })).toEqual(['TXN-3', 'TXN-5']);
+        expect(ids({ text: 'acc-5678' })).toEqual(['TXN-4']);
+    });
+
+    test('queryTransactions should sort and total every match, not just the page', () => {
+        const result = queryTransactions(account, { sort: 'amount-desc', page: 1, pageSize: 2 });
+
+        expect(result.items.map((item) => item.id)).toEqual(['TXN-1', 'TXN-3']);
+        expect(result).toMatchObject({ total: 5, pageCount: 3 });
+        expect(result.totals).toEqual({ count: 5, moneyIn: 200000, moneyOut: 32000, net: 168000 });
+        expect(queryTransactions(account, { sort: 'date-desc' }).items[0].id).toBe('TXN-5');
+        expect(account.transactions[0].id).toBe('TXN-1');
+    });
+
+    test('transactionFilter should reject bad filters', () => {
+        expect(() => transactionFilter({ types: 'bonus' })).toThrow(expect.objectContaining({ code: 'TRANSACTION_TYPE_INVALID' }));
+        expect(() => transactionFilter({ from: '2024-02-01', to: '2024-01-01' })).toThrow(
+            expect.objectContaining({ code: 'DATE_RANGE_INVALID' })
+        );
+        expect(() => transactionFilter({ minAmount: 500, maxAmount: 100 })).toThrow(
+            expect.objectContaining({ code: 'AMOUNT_RANGE_INVALID' })
+        );
+        expect(() => queryTransactions(account, { sort: 'name' })).toThrow(expect.objectContaining({ code: 'SORT_INVALID' }));
+    });
+});
+
+describe('account search', () => {
+    const accounts = [
+        { id: 'ACC-1234', holderName: 'John Smith', balance: 100000, createdAt: '2023-01-01T00:00:00.000Z' },
+        { id: 'ACC-5678', holderName: 'Jane Smithers', balance: -5000, createdAt: '2023-03-01T00:00:00.000Z' },
+        { id: 'ACC-9012', holderName: 'Mary-Ann Jones', balance: 250000, createdAt: '2023-02-01T00:00:00.000Z' },
+        { id: 'ACC-3456', holderName: 'Peter Parker', balance: 0, createdAt: '2023-04-01T00:00:00.000Z', status: 'FROZEN' },
+    ];
+    const context = { statusOf: (account) => account.status || 'ACTIVE', statuses: ['ACTIVE', 'FROZEN', 'DORMANT', 'CLOSED'] };
+    const ids = (query) => queryAccounts(accounts, query, context).items.map((account) => account.id);
+
+    test('matchScore should rank exact, partial, typo and abbreviated matches', () => {
+        const [john, , mary] = accounts;
+
+        expect(matchScore('acc-1234', john)).toBe(0);
+        expect(matchScore('smith', john)).toBe(2);
+        expect(matchScore('1234', john)).toBe(2);
+        expect(matchScore('jonh smiht', john)).toBe(3);
+        expect(matchScore('jon smth', john)).toBe(4);
+        expect(matchScore('ann', mary)).toBe(2);
+        expect(matchScore('acc-9999', john)).toBeNull();
+        expect(matchScore('xyz', john)).toBeNull();
+    });
+
+    test('queryAccounts should put the closest matches first', () => {
+        expect(ids({ search: 'smith' })).toEqual(['ACC-1234', 'ACC-5678']);
+        expect(ids({ search: 'Jane Smithers' })).toEqual(['ACC-5678']);
+        expect(ids({ search: 'smiht' })).toEqual(['ACC-1234']);
+        expect(ids({ search: 'ACC-' })).toEqual(['ACC-1234', 'ACC-5678', 'ACC-9012', 'ACC-3456']);
+    });
+
+    test('queryAccounts should filter by status and balance range and sort', () => {
+        expect(ids({ status: 'frozen' })).toEqual(['ACC-3456']);
+        expect(ids({ minBalance: 0, sort: 'balance-desc' })).toEqual(['ACC-9012', 'ACC-1234', 'ACC-3456']);
+        expect(ids({ maxBalance: -1 })).toEqual(['ACC-5678']);
+        expect(ids({ sort: 'created-desc' })).toEqual(['ACC-3456', 'ACC-5678', 'ACC-9012', 'ACC-1234']);
+        expect(ids({ sort: 'name-asc', page: 2, pageSize: 3 })).toEqual(['ACC-3456']);
+        expect(queryAccounts(accounts, { status: 'active' }, context).totals).toEqual({ count: 3, balance: 345000 });
+    });
+
+    test('queryAccounts should reject bad filters', () => {
+        expect(() => ids({ status: 'open' })).toThrow(expect.objectContaining({ code: 'STATUS_INVALID' }));
+        expect(() => ids({ minBalance: 10, maxBalance: 5 })).toThrow(expect.objectContaining({ code: 'AMOUNT_RANGE_INVALID' }));
+        expect(() => ids({ sort: 'id-asc' })).toThrow(expect.objectContaining({ code: 'SORT_INVALID' }));
+    });
+});
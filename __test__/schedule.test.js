@@ -0,0 +1,43 @@
+const { parseDate, parseFrequency, addMonths, nextOccurrence, dueDates } = require('../src/schedule.js');
+
+describe('schedule', () => {
+    test('parseDate should accept real calendar dates only', () => {
+        expect(parseDate(' 2024-02-29 ')).toBe('2024-02-29');
+        ['2023-02-29', '2024-13-01', '24-01-01', '', undefined].forEach((input) => {
+            expect(() => parseDate(input, 'Start date')).toThrow(
+                expect.objectContaining({ code: 'DATE_INVALID', message: 'Start date must be a valid date in YYYY-MM-DD format.' })
+            );
+        });
+    });
+
+    test('parseFrequency should be case-insensitive', () => {
+        expect(parseFrequency('Monthly')).toBe('MONTHLY');
+        expect(() => parseFrequency('yearly')).toThrow(expect.objectContaining({ code: 'FREQUENCY_INVALID' }));
+    });
+
+    test('addMonths should clamp to the end of shorter months and recover afterwards', () => {
+        expect(addMonths('2024-01-31', 1, 31)).toBe('2024-02-29');
+        expect(addMonths('2024-02-29', 1, 31)).toBe('2024-03-31');
+        expect(addMonths('2024-12-15', 1, 15)).toBe('2025-01-15');
+    });
+
+    test('nextOccurrence should step by the frequency', () => {
+        expect(nextOccurrence({ frequency: 'DAILY' }, '2024-02-28')).toBe('2024-02-29');
+        expect(nextOccurrence({ frequency: 'WEEKLY' }, '2024-12-30')).toBe('2025-01-06');
+        expect(nextOccurrence({ frequency: 'ONCE' }, '2024-01-01')).toBeNull();
+    });
+
+    test('dueDates should list missed dates and the next one after today', () => {
+        const order = { frequency: 'WEEKLY', nextRunDate: '2024-03-01' };
+
+        expect(dueDates(order, '2024-03-16')).toEqual({ dates: ['2024-03-01', '2024-03-08', '2024-03-15'], next: '2024-03-22' });
+        expect(dueDates(order, '2024-02-29')).toEqual({ dates: [], next: '2024-03-01' });
+    });
+
+    test('dueDates should stop at the end date', () => {
+        const order = { frequency: 'DAILY', nextRunDate: '2024-03-01', endDate: '2024-03-02' };
+
+        expect(dueDates(order, '2024-03-10')).toEqual({ dates: ['2024-03-01', '2024-03-02'], next: null });
+        expect(dueDates({ frequency: 'ONCE', nextRunDate: '2024-03-01' }, '2024-03-01').next).toBeNull();
+    });
+});
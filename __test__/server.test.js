@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bank = require('../src/index.js');
+const { createApiServer, listen, statusFor } = require('../src/server.js');
+const { SCHEMA_VERSION } = require('../src/migrations.js');
+const { ValidationError, NotFoundError, InsufficientFundsError, LockError } = require('../src/errors.js');
+
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-server-'));
+const dataPath = path.join(tmpDir, 'bank-data.json');
+bank.__setDataPath(dataPath);
+
+const baseAccounts = () => ([
+    {
+        id: 'ACC-1234',
+        holderName: 'John Doe',
+        balance: 100000,
+        createdAt: '2023-01-01T00:00:00.000Z',
+        transactions: [],
+    },
+    {
+        id: 'ACC-5678',
+        holderName: 'Jane Smith',
+        balance: 200000,
+        createdAt: '2023-02-01T00:00:00.000Z',
+        transactions: [],
+    },
+]);
+
+describe('server', () => {
+    let server;
+    let baseUrl;
+
+    const request = async (method, urlPath, { body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    beforeAll(async () => {
+        server = createApiServer();
+        const address = await listen(server, 0);
+        baseUrl = `http://127.0.0.1:${address.port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await bank.flushSaves();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await bank.flushSaves();
+        fs.rmSync(dataPath, { force: true });
+        bank.__setData({ schemaVersion: SCHEMA_VERSION, amountUnit: 'cents', accounts: baseAccounts() });
+        bank.loadData();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should create, read, change and close accounts', async () => {
+        const created = await request('POST', '/accounts', { body: { holderName: 'Alice Green', initialDeposit: '250' } });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ holderName: 'Alice Green', balance: 25000, status: 'ACTIVE' });
+        const id = created.body.id;
+
+        expect((await request('GET', `/accounts/${id}`)).body.balance).toBe(25000);
+
+        const deposited = await request('POST', `/accounts/${id}/deposit`, { body: { amount: 10.5 } });
+        expect(deposited.status).toBe(200);
+        expect(deposited.body.account.balance).toBe(26050);
+        expect(deposited.body.transaction).toMatchObject({ type: 'DEPOSIT', amount: 1050 });
+
+        const withdrawn = await request('POST', `/accounts/${id}/withdraw`, { body: { amount: '50' } });
+        expect(withdrawn.body.account.balance).toBe(21050);
+
+        const transferred = await request('POST', '/transfers', { body: { fromId: id, toId: 'ACC-1234', amount: '10' } });
+        expect(transferred.status).toBe(201);
+        expect(transferred.body).toMatchObject({
+            reference: expect.any(String),
+            from: { id, balance: 20050 },
+            to: { id: 'ACC-1234', balance: 101000 },
+        });
+
+        const history = await request('GET', `/accounts/${id}/transactions?sort=amount-desc&pageSize=2`);
+        expect(history.body).toMatchObject({ page: 1, pageCount: 2, total: 4 });
+        expect(history.body.transactions.map((txn) => txn.amount)).toEqual([25000, 5000]);
+        expect(history.body.totals).toMatchObject({ moneyIn: 26050, moneyOut: 6000 });
+
+        const notEmpty = await request('DELETE', `/accounts/${id}`);
+        expect(notEmpty.status).toBe(409);
+        expect(notEmpty.body.error.code).toBe('ACCOUNT_NOT_EMPTY');
+        await request('POST', `/accounts/${id}/withdraw`, { body: { amount: '200.50' } });
+        const closed = await request('DELETE', `/accounts/${id}`);
+        expect(closed.body.status).toBe('CLOSED');
+
+        const listed = await request('GET', '/accounts?status=active&sort=name-asc');
+        expect(listed.body.accounts.map((acc) => acc.holderName)).toEqual(['Jane Smith', 'John Doe']);
+        expect(listed.body.total).toBe(2);
+    });
+
+    test('should answer only once the change is saved', async () => {
+        const responses = await Promise.all(Array.from({ length: 10 }, () => (
+            request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '1' } })
+        )));
+
+        expect(responses.map((response) => response.status)).toEqual(Array(10).fill(200));
+        expect(responses.map((response) => response.body.account.balance).sort()).toEqual(
+            Array.from({ length: 10 }, (_, i) => 100100 + i * 100)
+        );
+        const onDisk = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        expect(onDisk.accounts.find((acc) => acc.id === 'ACC-1234').balance).toBe(101000);
+    });
+
+    test('should drop a change that could not be saved', async () => {
+        jest.spyOn(fs.promises, 'open').mockRejectedValueOnce(new Error('disk full'));
+
+        const failed = await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } });
+
+        expect(failed.status).toBe(500);
+        expect(failed.body.error.code).toBe('SAVE_FAILED');
+        expect((await request('GET', '/accounts/ACC-1234')).body.balance).toBe(100000);
+        expect((await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } })).status).toBe(200);
+    });
+
+    const saveElsewhere = (balance) => {
+        const onDisk = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        onDisk.accounts[0].balance = balance;
+        fs.writeFileSync(dataPath, JSON.stringify({ ...onDisk, revision: (onDisk.revision || 0) + 1 }));
+    };
+
+    test('should answer from data another process saved since the last request', async () => {
+        expect((await request('GET', '/accounts/ACC-1234')).body.balance).toBe(100000);
+        saveElsewhere(105000);
+
+        expect((await request('GET', '/accounts/ACC-1234')).body.balance).toBe(105000);
+        const deposited = await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } });
+        expect(deposited.status).toBe(200);
+        expect(deposited.body.account.balance).toBe(115000);
+    });
+
+    test('a change that conflicts with another process should be a 409 and be dropped', async () => {
+        // The other process saves after this request has loaded the data.
+        const deposit = bank.service.deposit.bind(bank.service);
+        jest.spyOn(bank.service, 'deposit').mockImplementationOnce((...args) => {
+            saveElsewhere(123400);
+            return deposit(...args);
+        });
+        global.console.log.mockClear();
+
+        const conflicted = await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } });
+
+        expect(conflicted.status).toBe(409);
+        expect(conflicted.body.error.code).toBe('DATA_CONFLICT');
+        expect(global.console.log).not.toHaveBeenCalledWith(expect.stringContaining('Restart the app'));
+        expect((await request('GET', '/accounts/ACC-1234')).body.balance).toBe(123400);
+        expect((await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } })).body.account.balance).toBe(133400);
+    });
+
+    test('a data file held by another process should be a 503', async () => {
+        jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new LockError('bank-data.json.lock is held.'));
+
+        const locked = await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '100' } });
+
+        expect(locked.status).toBe(503);
+        expect(locked.body.error.code).toBe('DATA_LOCKED');
+        expect((await request('GET', '/accounts/ACC-1234')).body.balance).toBe(100000);
+    });
+
+    test('should return JSON errors with matching status codes', async () => {
+        const cases = [
+            [await request('POST', '/accounts', { body: '{"holderName":' }), 400, 'INVALID_JSON'],
+            [await request('POST', '/accounts', { body: '[1, 2]' }), 400, 'INVALID_JSON'],
+            [await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '-5' } }), 400, undefined],
+            [await request('GET', '/accounts/ACC-0000'), 404, 'ACCOUNT_NOT_FOUND'],
+            [await request('GET', '/ledger'), 404, 'ROUTE_NOT_FOUND'],
+            [await request('GET', '/accounts/%E0%A4%A'), 400, 'INVALID_PATH'],
+            [await request('POST', '/accounts/ACC-1234/withdraw', { body: { amount: '5000' } }), 422, 'INSUFFICIENT_FUNDS'],
+        ];
+        cases.forEach(([response, status, code]) => {
+            expect(response.status).toBe(status);
+            expect(response.body.error.message).toEqual(expect.any(String));
+            if (code) expect(response.body.error.code).toBe(code);
+        });
+
+        const wrongMethod = await request('PATCH', '/accounts/ACC-1234');
+        expect(wrongMethod.status).toBe(405);
+        expect(wrongMethod.headers.get('allow')).toBe('GET, DELETE');
+
+        await request('POST', '/accounts/ACC-5678/withdraw', { body: { amount: '2000' } });
+        await request('DELETE', '/accounts/ACC-5678');
+        expect((await request('POST', '/accounts/ACC-5678/deposit', { body: { amount: '5' } })).status).toBe(409);
+    });
+
+    test('accounts with a PIN should need it in the X-Account-Pin header', async () => {
+        bank.service.setPin('ACC-1234', '2468');
+
+        expect((await request('GET', '/accounts/ACC-1234')).body.error.code).toBe('PIN_REQUIRED');
+        expect((await request('GET', '/accounts/ACC-1234/transactions')).status).toBe(401);
+        expect((await request('GET', '/accounts/ACC-1234/transactions', {
+            headers: { 'X-Account-Pin': '2468' },
+        })).status).toBe(200);
+        expect((await request('POST', '/accounts/ACC-1234/withdraw', {
+            body: { amount: '5' },
+            headers: { 'X-Account-Pin': '1111' },
+        })).status).toBe(401);
+        const unlocked = await request('POST', '/accounts/ACC-1234/withdraw', {
+            body: { amount: '5' },
+            headers: { 'X-Account-Pin': '2468' },
+        });
+        expect(unlocked.body.account.balance).toBe(99500);
+    });
+
+    test('once operators exist requests should sign in with Basic authentication', async () => {
+        bank.service.addOperator({ username: 'root', role: 'admin', password: 'secret-pass' });
+        bank.service.login('root', 'secret-pass');
+        bank.service.addOperator({ username: 'tina', role: 'teller', password: 'teller-pass' });
+        bank.service.logout();
+
+        const anonymous = await request('GET', '/accounts');
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.body.error.code).toBe('LOGIN_REQUIRED');
+        expect(anonymous.headers.get('www-authenticate')).toBe('Basic realm="bankcli"');
+        expect((await request('GET', '/accounts', { headers: { Authorization: basic('root', 'nope') } })).status).toBe(401);
+
+        const teller = { headers: { Authorization: basic('tina', 'teller-pass') } };
+        const deposited = await request('POST', '/accounts/ACC-1234/deposit', { body: { amount: '5' }, ...teller });
+        expect(deposited.status).toBe(200);
+        expect(deposited.body.transaction.operator).toBe('tina');
+        expect((await request('DELETE', '/accounts/ACC-1234', teller)).status).toBe(403);
+        expect(bank.service.operator).toBeNull();
+    });
+
+    test('statusFor should map error classes to HTTP statuses', () => {
+        expect(statusFor(new ValidationError('bad'))).toBe(400);
+        expect(statusFor(new NotFoundError())).toBe(404);
+        expect(statusFor(new InsufficientFundsError('short'))).toBe(422);
+        expect(statusFor(new LockError('busy'))).toBe(503);
+        expect(statusFor(new Error('boom'))).toBe(500);
+    });
+});
@@ -0,0 +1,82 @@
+const { buildStatement, previousMonth, renderStatement, statementFileName } = require('../src/statement.js');
+
+const account = {
+    id: 'ACC-1234',
+    holderName: 'John <Doe>',
+    transactions: [
+        { id: 'TXN-1', type: 'DEPOSIT', amount: 100000, timestamp: '2024-01-15T10:00:00.000Z', balanceAfter: 100000, description: 'Initial deposit' },
+        { id: 'TXN-2', type: 'TRANSFER_IN', amount: 25000, timestamp: '2024-02-01T00:00:00.000Z', balanceAfter: 125000, description: 'From ACC-5678' },
+        { id: 'TXN-3', type: 'WITHDRAWAL', amount: 130000, timestamp: '2024-02-10T12:00:00.000Z', balanceAfter: -5000, description: 'Withdrawal' },
+        { id: 'TXN-4', type: 'FEE', amount: 2500, timestamp: '2024-02-10T12:00:00.000Z', balanceAfter: -7500, description: 'Overdraft fee' },
+        { id: 'TXN-5', type: 'REVERSAL', amount: 2500, timestamp: '2024-02-29T23:59:59.000Z', balanceAfter: -5000, description: 'Reversal of TXN-4: waived' },
+        { id: 'TXN-6', type: 'DEPOSIT', amount: 9000, timestamp: '2024-03-01T00:00:00.000Z', balanceAfter: 4000 },
+    ],
+};
+
+describe('statement', () => {
+    test('buildStatement should total the period between opening and closing balances', () => {
+        const statement = buildStatement(account, { from: '2024-02-01', to: '2024-02-29' });
+
+        expect(statement).toMatchObject({
+            openingBalance: 100000,
+            closingBalance: -5000,
+            totalIn: 27500,
+            totalOut: 132500,
+        });
+        expect(statement.lines.map((line) => [line.id, line.moneyIn, line.moneyOut])).toEqual([
+            ['TXN-2', 25000, 0],
+            ['TXN-3', 0, 130000],
+            ['TXN-4', 0, 2500],
+            ['TXN-5', 2500, 0],
+        ]);
+        expect(statement.openingBalance + statement.totalIn - statement.totalOut).toBe(statement.closingBalance);
+    });
+
+    test('buildStatement should carry the balance through a quiet period', () => {
+        const statement = buildStatement(account, { from: '2024-04-01', to: '2024-04-30' });
+
+        expect(statement).toMatchObject({ openingBalance: 4000, closingBalance: 4000, lines: [] });
+        expect(buildStatement(account, { from: '2023-01-01', to: '2023-12-31' }).openingBalance).toBe(0);
+    });
+
+    test('buildStatement should reject bad or reversed periods', () => {
+        expect(() => buildStatement(account, { from: '2024-02-30', to: '2024-03-01' })).toThrow(
+            expect.objectContaining({ code: 'DATE_INVALID' })
+        );
+        expect(() => buildStatement(account, { from: '2024-03-01', to: '2024-02-01' })).toThrow(
+            expect.objectContaining({ code: 'DATE_RANGE_INVALID' })
+        );
+    });
+
+    test('buildStatement should describe entries that have no description', () => {
+        const [line] = buildStatement(account, { from: '2024-03-01', to: '2024-03-01' }).lines;
+
+        expect(line.description).toBe('Deposit');
+    });
+
+    test('previousMonth should cover the whole month before', () => {
+        expect(previousMonth(new Date('2024-03-15T12:00:00.000Z'))).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+        expect(previousMonth(new Date('2024-01-01T00:00:00.000Z'))).toEqual({ from: '2023-12-01', to: '2023-12-31' });
+    });
+
+    test('renderStatement should produce text, Markdown and self-contained HTML', () => {
+        const statement = buildStatement(account, { from: '2024-02-01', to: '2024-02-29' });
+
+        const text = renderStatement(statement);
+        expect(text).toContain('Opening balance: $1,000.00');
+        expect(text).toMatch(/2024-02-10 {2}Overdraft fee +\$25\.00 +-\$75\.00/);
+        expect(text).toContain('Closing balance: -$50.00');
+
+        const markdown = renderStatement(statement, 'Markdown');
+        expect(markdown).toContain('| 2024-02-01 | From ACC-5678 | $250.00 |  | $1,250.00 |');
+        expect(markdown).toContain('| Total out | $1,325.00 |');
+
+        const html = renderStatement(statement, 'html');
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('John &#60;Doe&#62;');
+        expect(html).not.toMatch(/<link|<script|src=/);
+
+        expect(statementFileName(statement, 'html')).toBe('statement-ACC-1234-2024-02-01-to-2024-02-29.html');
+        expect(() => renderStatement(statement, 'pdf')).toThrow(expect.objectContaining({ code: 'STATEMENT_FORMAT_INVALID' }));
+    });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    writeFileAtomic,
+    acquireLock,
+    releaseLock,
+    withFileLock,
+    withFileLockSync,
+    writeRevision,
+    SaveQueue,
+} = require('../src/storage.js');
+const { LockError, ConflictError } = require('../src/errors.js');
+
+describe('writeFileAtomic', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-storage-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should replace the target file contents', async () => {
+        const target = path.join(tmpDir, 'data.json');
+        fs.writeFileSync(target, 'old');
+
+        await writeFileAtomic(target, 'new');
+
+        expect(fs.readFileSync(target, 'utf8')).toBe('new');
+        expect(fs.readdirSync(tmpDir)).toEqual(['data.json']);
+    });
+
+    test('should keep the old file and clean up when the rename fails', async () => {
+        const target = path.join(tmpDir, 'data.json');
+        fs.writeFileSync(target, 'old');
+        jest.spyOn(fs.promises, 'rename').mockRejectedValue(new Error('rename failed'));
+
+        await expect(writeFileAtomic(target, 'new')).rejects.toThrow('rename failed');
+
+        expect(fs.readFileSync(target, 'utf8')).toBe('old');
+        expect(fs.readdirSync(tmpDir)).toEqual(['data.json']);
+    });
+});
+
+const untilRunning = async (queue) => {
+    while (!queue.running) {
+        await Promise.resolve();
+    }
+};
+
+describe('file locking', () => {
+    let tmpDir;
+    let lockPath;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-lock-'));
+        lockPath = path.join(tmpDir, 'data.json.lock');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should record the owner and release the lock', async () => {
+        await acquireLock(lockPath);
+
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8'))).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+        await releaseLock(lockPath);
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('should fail with LockError while a live process holds the lock', async () => {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+        await expect(acquireLock(lockPath, { retries: 2, retryDelayMs: 1 })).rejects.toThrow(LockError);
+        expect(fs.existsSync(lockPath)).toBe(true);
+    });
+
+    test('should take over a lock left by a dead process', async () => {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2147483646, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+        await acquireLock(lockPath, { retries: 0 });
+
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    });
+
+    test('should take over a lock older than the stale timeout', async () => {
+        const old = new Date(Date.now() - 60000).toISOString();
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: 'elsewhere', acquiredAt: old }));
+
+        await acquireLock(lockPath, { retries: 0, staleMs: 1000 });
+
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    });
+
+    test('withFileLock should release the lock when the action throws', async () => {
+        const target = path.join(tmpDir, 'data.json');
+
+        await expect(withFileLock(target, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(fs.existsSync(`${target}.lock`)).toBe(false);
+    });
+
+    test('withFileLockSync should hold the lock during the action and wait for other holders', () => {
+        const target = path.join(tmpDir, 'data.json');
+
+        expect(withFileLockSync(target, () => fs.existsSync(`${target}.lock`))).toBe(true);
+        expect(fs.existsSync(`${target}.lock`)).toBe(false);
+
+        fs.writeFileSync(`${target}.lock`, JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+        expect(() => withFileLockSync(target, () => {}, { retries: 2, retryDelayMs: 1 })).toThrow(LockError);
+    });
+
+    test('writeRevision should bump the revision and reject stale writers', async () => {
+        const target = path.join(tmpDir, 'data.json');
+
+        expect(await writeRevision(target, { accounts: [] }, 0)).toBe(1);
+        expect(await writeRevision(target, { accounts: [1] }, 1)).toBe(2);
+        await expect(writeRevision(target, { accounts: [2] }, 1)).rejects.toThrow(ConflictError);
+
+        expect(JSON.parse(fs.readFileSync(target, 'utf8'))).toEqual({ accounts: [1], revision: 2 });
+    });
+
+    test('writeRevision should write through a custom encoder', async () => {
+        const target = path.join(tmpDir, 'encoded.json');
+        const encode = (record) => JSON.stringify({ revision: record.revision, wrapped: JSON.stringify(record) });
+
+        expect(await writeRevision(target, { accounts: [] }, 0, { encode })).toBe(1);
+        expect(await writeRevision(target, { accounts: [1] }, 1, { encode })).toBe(2);
+
+        const written = JSON.parse(fs.readFileSync(target, 'utf8'));
+        expect(written.revision).toBe(2);
+        expect(JSON.parse(written.wrapped)).toEqual({ accounts: [1], revision: 2 });
+    });
+});
+
+describe('SaveQueue', () => {
+    test('should never run two writes at once and coalesce queued requests', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const write = jest.fn(async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise((resolve) => setImmediate(resolve));
+            active--;
+            return true;
+        });
+        const queue = new SaveQueue(write);
+
+        const first = queue.save();
+        // requests made before the write starts join it
+        expect(queue.save()).toBe(first);
+        await untilRunning(queue);
+
+        const second = queue.save();
+        const third = queue.save();
+
+        expect(second).not.toBe(first);
+        expect(third).toBe(second);
+        await Promise.all([first, second, third]);
+        expect(write).toHaveBeenCalledTimes(2);
+        expect(maxActive).toBe(1);
+        expect(queue.pending).toBe(false);
+    });
+
+    test('should keep going after a failed write and report the last outcome', async () => {
+        const write = jest.fn()
+            .mockRejectedValueOnce(new Error('boom'))
+            .mockResolvedValueOnce(true);
+        const queue = new SaveQueue(write);
+
+        const failed = queue.save();
+        failed.catch(() => {});
+        await untilRunning(queue);
+        const next = queue.save();
+
+        await expect(failed).rejects.toThrow('boom');
+        await expect(next).resolves.toBe(true);
+        await expect(queue.flush()).resolves.toBe(true);
+    });
+
+    test('flush should resolve immediately when nothing is pending', async () => {
+        await expect(new SaveQueue(jest.fn()).flush()).resolves.toBe(true);
+    });
+});
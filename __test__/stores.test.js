@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    siblingPath,
+    JsonFileStore,
+    MemoryStore,
+    EventLogStore,
+    diffData,
+    applyChanges,
+    replay,
+    createStore,
+    storeOptions,
+} = require('../src/stores.js');
+const { ConflictError, ValidationError } = require('../src/errors.js');
+
+describe('stores', () => {
+    let tmpDir;
+
+    const sample = () => ({
+        schemaVersion: 2,
+        amountUnit: 'cents',
+        accounts: [{ id: 'ACC-1', holderName: 'John Doe', balance: 100000 }],
+    });
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankcli-stores-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('siblingPath should replace any extension', () => {
+        expect(siblingPath('/data/bank-data.json', '-audit.jsonl')).toBe('/data/bank-data-audit.jsonl');
+        expect(siblingPath('/data/bank-data.jsonl', '-audit.jsonl')).toBe('/data/bank-data-audit.jsonl');
+        expect(siblingPath('/data/bank', '-backups')).toBe('/data/bank-backups');
+    });
+
+    describe.each([
+        ['json', () => new JsonFileStore(path.join(tmpDir, 'bank-data.json'))],
+        ['memory', () => new MemoryStore()],
+        ['eventlog', () => new EventLogStore(path.join(tmpDir, 'bank-data.jsonl'))],
+    ])('%s store', (type, makeStore) => {
+        test('should round-trip the data through saves', async () => {
+            const store = makeStore();
+            expect(store.type).toBe(type);
+            expect(store.exists()).toBe(false);
+
+            store.create({ accounts: [] });
+            expect(store.exists()).toBe(true);
+            expect(JSON.parse(store.read()).accounts).toEqual([]);
+
+            expect(await store.write(sample(), 0)).toBe(1);
+            const next = sample();
+            next.accounts[0].balance = 50000;
+            next.accounts.push({ id: 'ACC-2', holderName: 'Jane Roe', balance: 0 });
+            expect(await store.write(next, 1)).toBe(2);
+
+            expect(JSON.parse(store.read())).toEqual({ ...next, revision: 2 });
+        });
+
+        test('should refuse a write based on a stale revision', async () => {
+            const store = makeStore();
+            store.create({ accounts: [] });
+            await store.write(sample(), 0);
+
+            await expect(store.write(sample(), 0)).rejects.toThrow(ConflictError);
+            expect(JSON.parse(store.read()).revision).toBe(1);
+        });
+    });
+
+    test('the memory store should never write back the file it started from', async () => {
+        const seed = path.join(tmpDir, 'seed.json');
+        fs.writeFileSync(seed, JSON.stringify({ ...sample(), revision: 3 }));
+        const store = createStore({ type: 'memory', path: seed });
+
+        expect(store.filePath).toBeNull();
+        expect(JSON.parse(store.read()).accounts).toHaveLength(1);
+        expect(await store.write({ ...sample(), accounts: [] }, 3)).toBe(4);
+        expect(JSON.parse(fs.readFileSync(seed, 'utf8')).accounts).toHaveLength(1);
+    });
+
+    test('the event log should append one line per save holding only the changes', async () => {
+        const logPath = path.join(tmpDir, 'bank-data.jsonl');
+        const store = new EventLogStore(logPath);
+        store.create({ accounts: [] });
+        await store.write(sample(), 0);
+        const next = sample();
+        next.accounts[0].balance = 1;
+        await store.write(next, 1);
+
+        const events = fs.readFileSync(logPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        expect(events.map((event) => event.revision)).toEqual([0, 1, 2]);
+        expect(events[2].changes).toEqual([{ op: 'put', key: 'accounts', id: 'ACC-1', value: next.accounts[0] }]);
+    });
+
+    test('the event log should drop a save that was cut off part way', async () => {
+        const logPath = path.join(tmpDir, 'bank-data.jsonl');
+        const store = new EventLogStore(logPath);
+        store.create({ accounts: [] });
+        await store.write(sample(), 0);
+        fs.appendFileSync(logPath, '{"revision":2,"changes":[{"op":');
+
+        expect(JSON.parse(store.read())).toEqual({ ...sample(), revision: 1 });
+        expect(await store.write({ ...sample(), accounts: [] }, 1)).toBe(2);
+        expect(JSON.parse(store.read())).toEqual({ ...sample(), accounts: [], revision: 2 });
+    });
+
+    test('an unreadable line before the end of the log should throw', () => {
+        expect(() => replay('{"revision":0,"changes":[]}\nnot json\n{"revision":1,"changes":[]}\n')).toThrow(SyntaxError);
+        expect(() => replay('{"revision":1,"changes":[{"op":"rename"}]}\n')).toThrow(SyntaxError);
+    });
+
+    test('diffData and applyChanges should rebuild the next state', () => {
+        const previous = { amountUnit: 'cents', nextId: 1, accounts: [{ id: 'A' }, { id: 'B' }], operators: [] };
+        const next = { amountUnit: 'cents', accounts: [{ id: 'B', balance: 5 }, { id: 'C' }], operators: [] };
+
+        const changes = diffData(previous, next);
+
+        expect(changes).toEqual([
+            { op: 'unset', key: 'nextId' },
+            { op: 'put', key: 'accounts', id: 'B', value: { id: 'B', balance: 5 } },
+            { op: 'put', key: 'accounts', id: 'C', value: { id: 'C' } },
+            { op: 'remove', key: 'accounts', id: 'A' },
+        ]);
+        expect(applyChanges(JSON.parse(JSON.stringify(previous)), changes)).toEqual({
+            amountUnit: 'cents',
+            accounts: [{ id: 'B', balance: 5 }, { id: 'C' }],
+            operators: [],
+        });
+    });
+
+    test('createStore should pick the backend and its default file', () => {
+        const cwd = process.cwd();
+        expect(createStore()).toBeInstanceOf(JsonFileStore);
+        expect(createStore({ type: 'EventLog' }).filePath).toBe(path.join(cwd, 'bank-data.jsonl'));
+        expect(createStore({ type: 'json', path: 'other.json' }).filePath).toBe(path.join(cwd, 'other.json'));
+        expect(createStore({ type: 'memory' }).exists()).toBe(false);
+        expect(() => createStore({ type: 'sqlite' })).toThrow(expect.objectContaining({ code: 'STORE_INVALID' }));
+        expect(() => createStore({ type: 'memory', path: path.join(tmpDir, 'missing.json') })).toThrow(ValidationError);
+    });
+
+    test('storeOptions should prefer flags over the environment', () => {
+        const env = { BANKCLI_STORE: 'eventlog', BANKCLI_DATA: '/env/data.jsonl' };
+
+        expect(storeOptions({}, {})).toBeNull();
+        expect(storeOptions({}, env)).toEqual({ type: 'eventlog', path: '/env/data.jsonl' });
+        expect(storeOptions({ store: 'memory' }, env)).toEqual({ type: 'memory', path: '/env/data.jsonl' });
+        expect(storeOptions({ data: 'mine.json' }, {})).toEqual({ type: 'json', path: 'mine.json' });
+    });
+});
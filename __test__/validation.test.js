@@ -0,0 +1,45 @@
+const { parseAmount, checkAmount, rulesFor, AMOUNT_ERRORS } = require('../src/validation.js');
+const { DEFAULTS } = require('../src/config.js');
+
+describe('validation', () => {
+    test.each([
+        ['', AMOUNT_ERRORS.REQUIRED],
+        ['   ', AMOUNT_ERRORS.REQUIRED],
+        ['abc', AMOUNT_ERRORS.INVALID],
+        ['1e9', AMOUNT_ERRORS.INVALID],
+        ['10.999', AMOUNT_ERRORS.PRECISION],
+        ['-500', AMOUNT_ERRORS.NEGATIVE],
+        ['0', AMOUNT_ERRORS.ZERO],
+        ['1000000.01', AMOUNT_ERRORS.TOO_LARGE],
+    ])('parseAmount(%p) should reject deposits with %s', (input, code) => {
+        expect(() => parseAmount(input, rulesFor('deposit', DEFAULTS))).toThrow(
+            expect.objectContaining({ name: 'ValidationError', code })
+        );
+    });
+
+    test('parseAmount should return cents for valid input', () => {
+        expect(parseAmount(' 250.5 ', rulesFor('withdrawal', DEFAULTS))).toBe(25050);
+        expect(parseAmount('1000000', rulesFor('transfer', DEFAULTS))).toBe(100000000);
+    });
+
+    test('initial deposits should allow zero and share the AMOUNT_* codes', () => {
+        const rules = rulesFor('initialDeposit', DEFAULTS);
+
+        expect(parseAmount('0', rules)).toBe(0);
+        expect(() => parseAmount('', rules)).toThrow(expect.objectContaining({ code: 'AMOUNT_REQUIRED', message: 'Initial deposit amount is required.' }));
+        expect(() => parseAmount('-1', rules)).toThrow('Initial deposit amount must be greater than or equal to 0.');
+    });
+
+    test('rulesFor should take the maximum from config', () => {
+        const rules = rulesFor('transfer', { ...DEFAULTS, maxTransfer: 500 });
+
+        expect(rules.max).toBe(50000);
+        expect(() => checkAmount(50001, rules)).toThrow('Amount must be less than or equal to 500.');
+        expect(checkAmount(50000, rules)).toBe(50000);
+    });
+
+    test('checkAmount should reject values that are not whole cents', () => {
+        expect(() => checkAmount(10.5)).toThrow(expect.objectContaining({ code: AMOUNT_ERRORS.INVALID }));
+        expect(() => checkAmount('100')).toThrow(expect.objectContaining({ code: AMOUNT_ERRORS.INVALID }));
+    });
+});
@@ -0,0 +1,1084 @@
+const crypto = require('crypto');
+const {
+  BankError,
+  ValidationError,
+  NotFoundError,
+  AccountStatusError,
+  InsufficientFundsError,
+  AuthenticationError,
+  PermissionError,
+} = require('./errors');
+const { formatMoney, formatDecimal } = require('./money');
+const { rulesFor, checkAmount, parseAmount } = require('./validation');
+const { hashSecret, verifySecret } = require('./credentials');
+const { MemoryAuditLog } = require('./audit');
+const { parseDate, parseFrequency, dueDates, toDateString } = require('./schedule');
+const { buildStatement } = require('./statement');
+const { DEBIT_TYPES } = require('./transaction-types');
+const { queryTransactions, queryAccounts } = require('./query');
+const { ROLES, USERNAME_PATTERN, MIN_PASSWORD_LENGTH, canPerform } = require('./operators');
+const { loadConfig } = require('./config');
+
+const ACCOUNT_STATUS = {
+  ACTIVE: 'ACTIVE',
+  FROZEN: 'FROZEN',
+  DORMANT: 'DORMANT',
+  CLOSED: 'CLOSED',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HOLDER_NAME_LENGTH = 50;
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 64;
+const CLEARING_ACCOUNT_ID = 'CLEARING';
+
+const STANDING_ORDER_STATUS = {
+  ACTIVE: 'ACTIVE',
+  CANCELLED: 'CANCELLED',
+  COMPLETED: 'COMPLETED',
+};
+
+const RUN_OUTCOME = {
+  SUCCEEDED: 'SUCCEEDED',
+  SKIPPED: 'SKIPPED',
+  FAILED: 'FAILED',
+};
+
+const BENEFICIARY_ACCOUNT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]*$/;
+
+// Banking rules without any prompting or printing. Every method either returns a
+// result object or throws a BankError; the menu and the CLI only translate those.
+class AccountService {
+  constructor(options = {}) {
+    const ownData = options.data || { accounts: [] };
+    this.getData = options.getData || (() => ownData);
+    this.onChange = options.onChange || (() => {});
+    this.config = options.config || loadConfig();
+    this.audit = options.audit || new MemoryAuditLog();
+    // The operator logged in to this session, if any. Never persisted.
+    this.operator = null;
+  }
+
+  get accounts() {
+    return this.getData().accounts;
+  }
+
+  get operators() {
+    return this.getData().operators || [];
+  }
+
+  // Until the first operator is created the app runs open, as older versions did.
+  hasOperators() {
+    return this.operators.length > 0;
+  }
+
+  can(permission) {
+    if (!this.hasOperators()) return true;
+    return Boolean(this.operator && canPerform(this.operator.role, permission));
+  }
+
+  authorize(permission) {
+    if (!this.hasOperators()) return;
+
+    if (!this.operator) {
+      throw new PermissionError('Log in as an operator first.', 'LOGIN_REQUIRED');
+    }
+    if (!canPerform(this.operator.role, permission)) {
+      throw new PermissionError(
+        `Operator ${this.operator.username} (${this.operator.role.toLowerCase()}) is not allowed to do that.`
+      );
+    }
+  }
+
+  // Appends who did what to the audit log.
+  record(action, details = {}) {
+    return this.audit.append({
+      operator: this.operator ? this.operator.username : null,
+      action,
+      details,
+    });
+  }
+
+  addOperator({ username, role, password }) {
+    const first = !this.hasOperators();
+    if (!first) this.authorize('operator:manage');
+
+    const name = (username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new ValidationError(
+        'Username must be 3-32 characters: letters, digits, dots, hyphens or underscores, starting with a letter.',
+        'USERNAME_INVALID'
+      );
+    }
+    if (this.operators.some((operator) => operator.username === name)) {
+      throw new ValidationError(`Operator ${name} already exists.`, 'USERNAME_DUPLICATE');
+    }
+
+    const normalisedRole = String(role || '').toUpperCase();
+    if (!Object.values(ROLES).includes(normalisedRole)) {
+      throw new ValidationError(`Role must be one of: ${Object.values(ROLES).join(', ').toLowerCase()}.`, 'ROLE_INVALID');
+    }
+    if (first && normalisedRole !== ROLES.ADMIN) {
+      throw new ValidationError('The first operator must be an admin.', 'FIRST_OPERATOR_ADMIN');
+    }
+
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`,
+        'PASSWORD_TOO_SHORT'
+      );
+    }
+
+    const operator = {
+      username: name,
+      role: normalisedRole,
+      password: hashSecret(password),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.record('OPERATOR_ADDED', { username: name, role: normalisedRole });
+    const data = this.getData();
+    data.operators = this.operators.concat(operator);
+    this.onChange();
+
+    return { operator };
+  }
+
+  login(username, password) {
+    const name = (username || '').trim().toLowerCase();
+    const operator = this.operators.find((candidate) => candidate.username === name);
+
+    if (!operator || !verifySecret(password || '', operator.password)) {
+      this.record('LOGIN_FAILED', { username: name });
+      throw new AuthenticationError('Invalid username or password.', 'LOGIN_FAILED');
+    }
+
+    this.operator = { username: operator.username, role: operator.role };
+    this.record('LOGIN');
+
+    return this.operator;
+  }
+
+  logout() {
+    this.operator = null;
+  }
+
+  findAccount(id) {
+    return this.accounts.find((account) => account.id === id);
+  }
+
+  getAccount(id, message) {
+    const account = this.findAccount(id);
+    if (!account) {
+      throw new NotFoundError(message);
+    }
+    return account;
+  }
+
+  listAccounts() {
+    return this.accounts;
+  }
+
+  overdraftLimitOf(account) {
+    return account.overdraftLimit || 0;
+  }
+
+  // What the holder can still spend: the ledger balance plus any overdraft allowance.
+  availableBalance(account) {
+    return account.balance + this.overdraftLimitOf(account);
+  }
+
+  // Records written before statuses existed are active.
+  statusOf(account) {
+    return account.status || ACCOUNT_STATUS.ACTIVE;
+  }
+
+  // An account without its transactions and PIN, as the CLI and the HTTP API return it.
+  summarize(account) {
+    return {
+      id: account.id,
+      holderName: account.holderName,
+      balance: account.balance,
+      availableBalance: this.availableBalance(account),
+      overdraftLimit: this.overdraftLimitOf(account),
+      status: this.statusOf(account),
+      createdAt: account.createdAt,
+    };
+  }
+
+  // Search, filter, sort and page the accounts; see query.js for the options.
+  searchAccounts(query = {}) {
+    return queryAccounts(this.accounts, query, {
+      statusOf: (account) => this.statusOf(account),
+      statuses: Object.values(ACCOUNT_STATUS),
+    });
+  }
+
+  getHistory(id) {
+    return this.getAccount(id).transactions;
+  }
+
+  // Filtered, sorted and paged history; see query.js for the options.
+  searchHistory(id, query = {}) {
+    return queryTransactions(this.getAccount(id), query);
+  }
+
+  statement(id, { from, to }) {
+    return buildStatement(this.getAccount(id), { from, to });
+  }
+
+  generateAccountId() {
+    let id = '';
+    do {
+      id = `ACC-${Math.floor(1000 + Math.random() * 9000)}`;
+    } while (this.accounts.some((account) => account.id === id));
+    return id;
+  }
+
+  validateHolderName(holderName) {
+    //TP-006 -> Account holder name needs to be filled in order to create account, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    if (!holderName || holderName.trim() === '') {
+      throw new ValidationError('Account holder name is required.', 'HOLDER_NAME_REQUIRED');
+    }
+
+    //TP-003 -> Account holder name must be at most 50 characters long, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    if (holderName.length > MAX_HOLDER_NAME_LENGTH) {
+      throw new ValidationError(
+        `Account holder name must be at most ${MAX_HOLDER_NAME_LENGTH} characters long.`,
+        'HOLDER_NAME_TOO_LONG'
+      );
+    }
+
+    //TP-002, TP-004, TP-005 -> Account holder name must only contain letters, spaces, and hyphens, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    if (!/^[a-zA-Z\s\-]+$/.test(holderName)) {
+      throw new ValidationError(
+        'Account holder name must only contain letters, spaces, and hyphens.',
+        'HOLDER_NAME_INVALID'
+      );
+    }
+
+    //TP-008 -> Account holder name must not duplicate an existing account holder name, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    if (this.accounts.some((account) => account.holderName === holderName)) {
+      throw new ValidationError('Account holder name already exists.', 'HOLDER_NAME_DUPLICATE');
+    }
+
+    return holderName;
+  }
+
+  // Typed input for one of the validation module's operations (deposit,
+  // withdrawal, transfer, initialDeposit), checked against the configured limits.
+  parseAmount(operation, input) {
+    return parseAmount(input, rulesFor(operation, this.config));
+  }
+
+  checkAmount(operation, amount) {
+    return checkAmount(amount, rulesFor(operation, this.config));
+  }
+
+  parseInitialDeposit(input) {
+    //TP-007 -> Initial deposit amount needs to be filled in order to create account, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    //TP-004, TP-005 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+    return this.parseAmount('initialDeposit', input);
+  }
+
+  createAccount({ holderName, initialDeposit }) {
+    this.authorize('account:create');
+    this.validateHolderName(holderName);
+    const amount = this.parseInitialDeposit(initialDeposit);
+
+    const now = new Date().toISOString();
+    const account = {
+      id: this.generateAccountId(),
+      holderName,
+      balance: 0,
+      status: ACCOUNT_STATUS.ACTIVE,
+      createdAt: now,
+      transactions: [],
+    };
+
+    const [transaction] = this.post(
+      [{ account, type: 'DEPOSIT', amount, delta: amount, description: 'Initial deposit' }],
+      { timestamp: now, opens: [account], audit: { action: 'ACCOUNT_CREATED', details: { accountId: account.id, amount } } }
+    );
+
+    return { account, transaction };
+  }
+
+  // Opens one account per record ({ line, holdername|holder, initialdeposit|balance })
+  // with the same checks as createAccount. Every row is checked before any is
+  // imported, and nothing is imported if a row is bad or this is a dry run.
+  importAccounts(records, { dryRun = false } = {}) {
+    this.authorize('account:create');
+    const seen = new Set();
+
+    const rows = records.map((record) => {
+      const holderName = (record.holdername !== undefined ? record.holdername : record.holder || '').trim();
+      const input = record.initialdeposit !== undefined ? record.initialdeposit : record.balance;
+      const row = { line: record.line, holderName };
+      try {
+        this.validateHolderName(holderName);
+        if (seen.has(holderName)) {
+          throw new ValidationError('Account holder name appears more than once in the file.', 'HOLDER_NAME_DUPLICATE');
+        }
+        seen.add(holderName);
+        row.amount = this.parseInitialDeposit(input);
+      } catch (error) {
+        if (!(error instanceof BankError)) throw error;
+        row.error = error.message;
+        row.code = error.code;
+      }
+      return row;
+    });
+
+    const invalid = rows.filter((row) => row.error);
+    const report = { dryRun, rows, valid: rows.length - invalid.length, invalid: invalid.length, imported: 0 };
+    if (dryRun || invalid.length > 0) return report;
+
+    rows.forEach((row) => {
+      const { account } = this.createAccount({ holderName: row.holderName, initialDeposit: formatDecimal(row.amount) });
+      row.accountId = account.id;
+    });
+    report.imported = rows.length;
+    this.record('ACCOUNTS_IMPORTED', { count: rows.length });
+
+    return report;
+  }
+
+  deposit(id, amount) {
+    this.authorize('deposit');
+    this.checkAmount('deposit', amount);
+    const account = this.getAccount(id);
+
+    const [transaction] = this.post([
+      { account, type: 'DEPOSIT', amount, delta: amount, description: 'Deposit' },
+    ], { audit: { action: 'DEPOSIT', details: { accountId: account.id, amount } } });
+
+    return { account, transaction };
+  }
+
+  withdraw(id, amount) {
+    this.authorize('withdraw');
+    this.checkAmount('withdrawal', amount);
+    const account = this.getAccount(id);
+
+    const [transaction, fee] = this.post([
+      { account, type: 'WITHDRAWAL', amount, delta: -amount, description: 'Withdrawal' },
+    ], { audit: { action: 'WITHDRAWAL', details: { accountId: account.id, amount } } });
+
+    return { account, transaction, fee };
+  }
+
+  // `memo` is appended to both legs' descriptions, e.g. the standing order behind them.
+  transfer(fromId, toId, amount, { memo } = {}) {
+    this.authorize('transfer');
+    this.checkAmount('transfer', amount);
+    const from = this.getAccount(fromId, 'Source account not found.');
+    if (fromId === toId) {
+      throw new ValidationError('Cannot transfer to the same account.', 'TRANSFER_SAME_ACCOUNT');
+    }
+    const to = this.getAccount(toId, 'Destination account not found.');
+    const reference = this.generateTransferReference();
+    const suffix = memo ? ` (${memo})` : '';
+
+    const [debit, credit, fee] = this.post([
+      { account: from, type: 'TRANSFER_OUT', amount, delta: -amount, description: `To ${toId}${suffix}`, reference },
+      { account: to, type: 'TRANSFER_IN', amount, delta: amount, description: `From ${fromId}${suffix}`, reference },
+    ], { audit: { action: 'TRANSFER', details: { accountId: from.id, toAccountId: to.id, amount, reference } } });
+
+    return { reference, from, to, debit, credit, fee };
+  }
+
+  get standingOrders() {
+    return this.getData().standingOrders || [];
+  }
+
+  listStandingOrders(accountId) {
+    return this.standingOrders.filter((order) => !accountId || order.fromId === accountId || order.toId === accountId);
+  }
+
+  getStandingOrder(id) {
+    const order = this.standingOrders.find((candidate) => candidate.id === id);
+    if (!order) {
+      throw new NotFoundError('Standing order not found.', 'STANDING_ORDER_NOT_FOUND');
+    }
+    return order;
+  }
+
+  generateStandingOrderId() {
+    let id = '';
+    do {
+      id = `SO-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    } while (this.standingOrders.some((order) => order.id === id));
+    return id;
+  }
+
+  // A transfer that repeats on a schedule. Accounts and amount are checked now
+  // and again on every run, since either can change in between.
+  // Orders start today at the earliest: a past start would only pile up skipped runs.
+  createStandingOrder({ fromId, toId, amount, frequency, startDate, endDate, now = new Date() }) {
+    this.authorize('standing-order:manage');
+    this.checkAmount('transfer', amount);
+    this.getAccount(fromId, 'Source account not found.');
+    if (fromId === toId) {
+      throw new ValidationError('Cannot transfer to the same account.', 'TRANSFER_SAME_ACCOUNT');
+    }
+    this.getAccount(toId, 'Destination account not found.');
+
+    const schedule = parseFrequency(frequency);
+    const today = toDateString(now);
+    const start = startDate ? parseDate(startDate, 'Start date') : today;
+    if (start < today) {
+      throw new ValidationError('Start date must not be in the past.', 'START_DATE_PAST');
+    }
+    const end = endDate ? parseDate(endDate, 'End date') : null;
+    if (end && end < start) {
+      throw new ValidationError('End date must not be before the start date.', 'DATE_RANGE_INVALID');
+    }
+
+    const order = {
+      id: this.generateStandingOrderId(),
+      fromId,
+      toId,
+      amount,
+      frequency: schedule,
+      dayOfMonth: Number(start.slice(8, 10)),
+      startDate: start,
+      endDate: end,
+      nextRunDate: start,
+      status: STANDING_ORDER_STATUS.ACTIVE,
+      createdAt: new Date().toISOString(),
+      createdBy: this.operator ? this.operator.username : null,
+      runs: [],
+    };
+
+    this.record('STANDING_ORDER_CREATED', { standingOrderId: order.id, fromId, toId, amount, frequency: schedule, startDate: start });
+    const data = this.getData();
+    data.standingOrders = this.standingOrders.concat(order);
+    this.onChange();
+
+    return { order };
+  }
+
+  cancelStandingOrder(id) {
+    this.authorize('standing-order:manage');
+    const order = this.getStandingOrder(id);
+    if (order.status !== STANDING_ORDER_STATUS.ACTIVE) {
+      throw new ValidationError(`Standing order ${id} is already ${order.status.toLowerCase()}.`, 'STANDING_ORDER_INACTIVE');
+    }
+
+    this.record('STANDING_ORDER_CANCELLED', { standingOrderId: id });
+    order.status = STANDING_ORDER_STATUS.CANCELLED;
+    order.nextRunDate = null;
+    this.onChange();
+
+    return { order };
+  }
+
+  // Runs every standing order that has come due by `now`. When the app was not
+  // started for a while only the latest missed run is attempted; earlier ones are
+  // recorded as skipped rather than sending several payments at once.
+  runStandingOrders({ now = new Date() } = {}) {
+    const today = toDateString(now);
+    const results = [];
+
+    this.standingOrders
+      .filter((order) => order.status === STANDING_ORDER_STATUS.ACTIVE)
+      .forEach((order) => {
+        const { dates, next } = dueDates(order, today);
+        if (dates.length === 0) return;
+
+        dates.slice(0, -1).forEach((dueDate) => {
+          results.push(this.recordRun(order, dueDate, RUN_OUTCOME.SKIPPED, 'Missed while the app was not running.'));
+        });
+        results.push(this.attemptRun(order, dates[dates.length - 1]));
+
+        order.nextRunDate = next;
+        if (!next) order.status = STANDING_ORDER_STATUS.COMPLETED;
+      });
+
+    if (results.length > 0) {
+      this.onChange();
+    }
+
+    return results;
+  }
+
+  attemptRun(order, dueDate) {
+    try {
+      const { reference } = this.transfer(order.fromId, order.toId, order.amount, { memo: `Standing order ${order.id}` });
+      return this.recordRun(order, dueDate, RUN_OUTCOME.SUCCEEDED, null, reference);
+    } catch (error) {
+      if (!(error instanceof BankError)) throw error;
+      // Frozen, dormant or closed accounts are a standing decision, not a payment failure.
+      const outcome = error instanceof AccountStatusError ? RUN_OUTCOME.SKIPPED : RUN_OUTCOME.FAILED;
+      return this.recordRun(order, dueDate, outcome, error.message);
+    }
+  }
+
+  recordRun(order, dueDate, outcome, reason, reference) {
+    const run = { dueDate, ranAt: new Date().toISOString(), outcome };
+    if (reason) run.reason = reason;
+    if (reference) run.reference = reference;
+
+    order.runs.push(run);
+    this.record('STANDING_ORDER_RUN', { standingOrderId: order.id, ...run });
+
+    return { orderId: order.id, ...run };
+  }
+
+  // Suspense account for money leaving the bank. External payments land here
+  // until they are settled with the other bank; it is never a customer account,
+  // so it is kept apart from `accounts` and created on first use.
+  clearingAccount() {
+    const data = this.getData();
+    if (!data.clearingAccount) {
+      data.clearingAccount = {
+        id: CLEARING_ACCOUNT_ID,
+        holderName: 'External payments clearing',
+        balance: 0,
+        status: ACCOUNT_STATUS.ACTIVE,
+        createdAt: new Date().toISOString(),
+        transactions: [],
+      };
+    }
+    return data.clearingAccount;
+  }
+
+  // Every account that carries ledger entries, including the clearing account.
+  ledgerAccounts() {
+    const { clearingAccount } = this.getData();
+    return clearingAccount ? this.accounts.concat(clearingAccount) : this.accounts;
+  }
+
+  validateBeneficiary({ name, account } = {}) {
+    const beneficiaryName = (name || '').trim();
+    const beneficiaryAccount = (account || '').trim();
+
+    if (beneficiaryName === '') {
+      throw new ValidationError('Beneficiary name is required.', 'BENEFICIARY_NAME_REQUIRED');
+    }
+    if (beneficiaryName.length > MAX_HOLDER_NAME_LENGTH) {
+      throw new ValidationError(
+        `Beneficiary name must be at most ${MAX_HOLDER_NAME_LENGTH} characters long.`,
+        'BENEFICIARY_NAME_TOO_LONG'
+      );
+    }
+    if (beneficiaryAccount === '') {
+      throw new ValidationError('Beneficiary account number is required.', 'BENEFICIARY_ACCOUNT_REQUIRED');
+    }
+    if (!BENEFICIARY_ACCOUNT_PATTERN.test(beneficiaryAccount)) {
+      throw new ValidationError(
+        'Beneficiary account number may only contain letters, digits, spaces and hyphens.',
+        'BENEFICIARY_ACCOUNT_INVALID'
+      );
+    }
+    // An ID of ours almost always means the user wanted a normal transfer.
+    if (this.findAccount(beneficiaryAccount)) {
+      throw new ValidationError(
+        `${beneficiaryAccount} is an account at this bank. Use a transfer instead.`,
+        'BENEFICIARY_IS_INTERNAL'
+      );
+    }
+
+    return { name: beneficiaryName, account: beneficiaryAccount };
+  }
+
+  // Pays someone outside the bank: the customer is debited and the money is
+  // parked in the clearing account, tagged with who it is for.
+  payExternal(fromId, beneficiaryDetails, amount) {
+    this.authorize('payment:external');
+    this.checkAmount('transfer', amount);
+    const from = this.getAccount(fromId, 'Source account not found.');
+    const beneficiary = this.validateBeneficiary(beneficiaryDetails);
+    const reference = this.generateTransferReference();
+    const clearing = this.clearingAccount();
+    const description = `To ${beneficiary.name} (${beneficiary.account})`;
+
+    const [debit, credit, fee] = this.post([
+      { account: from, type: 'EXTERNAL_PAYMENT', amount, delta: -amount, description, reference, beneficiary },
+      { account: clearing, type: 'CLEARING_IN', amount, delta: amount, description: `From ${fromId}: ${description}`, reference, beneficiary },
+    ], { audit: { action: 'EXTERNAL_PAYMENT', details: { accountId: from.id, amount, reference, beneficiary } } });
+
+    return { reference, from, beneficiary, debit, credit, fee };
+  }
+
+  generateTransferReference() {
+    let reference = '';
+    do {
+      reference = `TRF-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    } while (this.findTransferLegs(reference).length > 0);
+    return reference;
+  }
+
+  generateTransactionId() {
+    let id = '';
+    do {
+      id = `TXN-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    } while (this.findTransaction(id));
+    return id;
+  }
+
+  findTransaction(id) {
+    for (const account of this.ledgerAccounts()) {
+      const transaction = account.transactions.find((candidate) => candidate.id === id);
+      if (transaction) return { account, transaction };
+    }
+    return null;
+  }
+
+  // Gives IDs to transactions written before they had one. Returns how many changed.
+  assignTransactionIds() {
+    let assigned = 0;
+    this.ledgerAccounts().forEach((account) => {
+      account.transactions.forEach((transaction) => {
+        if (!transaction.id) {
+          transaction.id = this.generateTransactionId();
+          assigned++;
+        }
+      });
+    });
+    return assigned;
+  }
+
+  // Undoes a posting with a linked REVERSAL entry. For transfers and external
+  // payments the other leg is reversed too, in the same posting, and so is any
+  // overdraft fee the posting charged.
+  reverseTransaction(transactionId, { reason } = {}) {
+    this.authorize('transaction:reverse');
+    const found = this.findTransaction(transactionId);
+    if (!found) {
+      throw new NotFoundError('Transaction not found.', 'TRANSACTION_NOT_FOUND');
+    }
+
+    if (found.transaction.type === 'REVERSAL') {
+      throw new ValidationError('A reversal cannot itself be reversed.', 'REVERSAL_NOT_REVERSIBLE');
+    }
+
+    const originals = found.transaction.reference
+      ? this.findTransferLegs(found.transaction.reference).map((leg) => ({
+        account: this.ledgerAccounts().find((account) => account.id === leg.accountId),
+        transaction: leg.transaction,
+      }))
+      : [found];
+
+    if (originals.some(({ transaction }) => transaction.reversedBy)) {
+      throw new ValidationError(`Transaction ${transactionId} has already been reversed.`, 'ALREADY_REVERSED');
+    }
+    originals.push(...this.findFees(originals.map(({ transaction }) => transaction.id)));
+
+    const note = reason && reason.trim() ? `: ${reason.trim()}` : '';
+    const reversals = this.post(originals.map(({ account, transaction }) => {
+      const delta = DEBIT_TYPES.includes(transaction.type) ? transaction.amount : -transaction.amount;
+      return {
+        account,
+        type: 'REVERSAL',
+        amount: transaction.amount,
+        delta,
+        description: `Reversal of ${transaction.id}${note}`,
+        reverses: transaction.id,
+      };
+    }), {
+      overdraftFees: false,
+      audit: (posted) => ({
+        action: 'TRANSACTION_REVERSED',
+        details: { transactionId, reversalIds: posted.map((reversal) => reversal.id), reason: reason || null },
+      }),
+    });
+
+    originals.forEach(({ transaction }, i) => {
+      transaction.reversedBy = reversals[i].id;
+    });
+
+    return { original: found.transaction, reversals };
+  }
+
+  // Overdraft fees charged for the given transactions that still stand.
+  findFees(transactionIds) {
+    const fees = [];
+    this.ledgerAccounts().forEach((account) => {
+      account.transactions.forEach((transaction) => {
+        if (transactionIds.includes(transaction.feeFor) && !transaction.reversedBy) {
+          fees.push({ account, transaction });
+        }
+      });
+    });
+    return fees;
+  }
+
+  findTransferLegs(reference) {
+    const legs = [];
+    this.ledgerAccounts().forEach((account) => {
+      account.transactions.forEach((transaction) => {
+        if (transaction.reference === reference) {
+          legs.push({ accountId: account.id, transaction });
+        }
+      });
+    });
+    return legs;
+  }
+
+  // Both legs of a transfer, for tracing it end to end.
+  getTransfer(reference) {
+    const legs = this.findTransferLegs(reference);
+    const debit = legs.find((leg) => ['TRANSFER_OUT', 'EXTERNAL_PAYMENT'].includes(leg.transaction.type));
+    const credit = legs.find((leg) => ['TRANSFER_IN', 'CLEARING_IN'].includes(leg.transaction.type));
+
+    if (!debit && !credit) {
+      throw new NotFoundError('Transfer not found.', 'TRANSFER_NOT_FOUND');
+    }
+
+    return { reference, debit, credit };
+  }
+
+  // Applies a set of ledger legs as one posting: every leg lands, or none does and
+  // the accounts are left exactly as they were. Changes are saved once, together.
+  // `audit` ({ action, details }, or a function of the posted transactions) is
+  // logged as part of the posting, so a change that cannot be logged is undone.
+  post(legs, { timestamp = new Date().toISOString(), opens = [], overdraftFees = true, audit } = {}) {
+    const undo = [];
+    const transactions = [];
+
+    legs.forEach(({ account, delta }) => this.assertCanPost(account, delta));
+    // Fees are checked with the rest, so a fee cannot take an account past its limit.
+    if (overdraftFees) {
+      legs = legs.concat(this.overdraftFeeLegs(legs));
+    }
+    this.assertSufficientFunds(legs);
+
+    try {
+      opens.forEach((account) => {
+        this.accounts.push(account);
+        undo.push(() => this.accounts.splice(this.accounts.indexOf(account), 1));
+      });
+
+      const posted = new Map();
+      legs.forEach((leg) => {
+        const { account, type, amount, delta, description, reference, beneficiary, reverses, feeFor } = leg;
+        const previousBalance = account.balance;
+        const transaction = {
+          id: this.generateTransactionId(),
+          type,
+          amount,
+          timestamp,
+          balanceAfter: previousBalance + delta,
+          description,
+        };
+        if (reference) transaction.reference = reference;
+        if (beneficiary) transaction.beneficiary = { ...beneficiary };
+        if (reverses) transaction.reverses = reverses;
+        if (feeFor) transaction.feeFor = posted.get(feeFor).id;
+        if (this.operator) transaction.operator = this.operator.username;
+
+        account.transactions.push(transaction);
+        undo.push(() => {
+          account.transactions.splice(account.transactions.indexOf(transaction), 1);
+          account.balance = previousBalance;
+        });
+        account.balance = transaction.balanceAfter;
+        posted.set(leg, transaction);
+        transactions.push(transaction);
+      });
+
+      if (audit) {
+        const { action, details } = typeof audit === 'function' ? audit(transactions) : audit;
+        this.record(action, details);
+      }
+    } catch (error) {
+      undo.reverse().forEach((step) => step());
+      throw error;
+    }
+
+    this.onChange();
+
+    return transactions;
+  }
+
+  assertCanPost(account, delta) {
+    const status = this.statusOf(account);
+
+    if (status === ACCOUNT_STATUS.CLOSED) {
+      throw new AccountStatusError(`Account ${account.id} is closed.`, 'ACCOUNT_CLOSED');
+    }
+
+    if (delta < 0 && status === ACCOUNT_STATUS.FROZEN) {
+      throw new AccountStatusError(
+        `Account ${account.id} is frozen. Withdrawals and outgoing transfers are blocked.`,
+        'ACCOUNT_FROZEN'
+      );
+    }
+
+    if (delta < 0 && status === ACCOUNT_STATUS.DORMANT) {
+      throw new AccountStatusError(
+        `Account ${account.id} is dormant. Reactivate it before withdrawing or transferring out.`,
+        'ACCOUNT_DORMANT'
+      );
+    }
+  }
+
+  // Replays the legs against each account's balance so several legs on one
+  // account are checked together.
+  projectBalances(legs) {
+    const projected = new Map();
+    legs.forEach(({ account, delta }) => {
+      const before = projected.has(account) ? projected.get(account) : account.balance;
+      projected.set(account, before + delta);
+    });
+    return projected;
+  }
+
+  assertSufficientFunds(legs) {
+    const running = new Map();
+    legs.forEach(({ account, type, amount, delta }) => {
+      const before = running.has(account) ? running.get(account) : account.balance;
+      const after = before + delta;
+      running.set(account, after);
+
+      if (delta < 0 && after < -this.overdraftLimitOf(account)) {
+        const fee = type === 'FEE' ? ` once the ${formatMoney(amount)} overdraft fee is added` : '';
+        throw new InsufficientFundsError(
+          `Insufficient funds in ${account.id}${fee}. Available balance: ${formatMoney(this.availableBalance(account))}.`
+        );
+      }
+    });
+  }
+
+  // One fee per account whose debits in this posting leave it overdrawn.
+  // Each fee points at the debit that triggered it (`feeFor`), so reversing
+  // that debit can take the fee back too.
+  overdraftFeeLegs(legs) {
+    const debits = new Map();
+    legs.filter((leg) => leg.delta < 0).forEach((leg) => debits.set(leg.account, leg));
+    const fees = [];
+
+    this.projectBalances(legs).forEach((balance, account) => {
+      const fee = account.overdraftFee || 0;
+      if (debits.has(account) && balance < 0 && fee > 0) {
+        fees.push({
+          account,
+          type: 'FEE',
+          amount: fee,
+          delta: -fee,
+          description: 'Overdraft fee',
+          feeFor: debits.get(account),
+        });
+      }
+    });
+
+    return fees;
+  }
+
+  setOverdraft(id, { limit, fee }) {
+    this.authorize('limits:set');
+    const account = this.getAccount(id);
+
+    [['Overdraft limit', limit], ['Overdraft fee', fee]].forEach(([label, value]) => {
+      if (value !== undefined) checkAmount(value, { label, allowZero: true });
+    });
+
+    this.record('OVERDRAFT_SET', { accountId: account.id, limit, fee });
+    if (limit !== undefined) account.overdraftLimit = limit;
+    if (fee !== undefined) account.overdraftFee = fee;
+    this.onChange();
+
+    return { account };
+  }
+
+  hasPin(account) {
+    return Boolean(account.pin);
+  }
+
+  // Accounts without a PIN are open to anyone at the prompt, as before.
+  verifyPin(id, pin, now = new Date()) {
+    const account = this.getAccount(id);
+    if (!this.hasPin(account)) return account;
+
+    let changed = false;
+    if (account.pinLockedUntil) {
+      if (now < new Date(account.pinLockedUntil)) {
+        throw new AuthenticationError(
+          `Account ${account.id} is locked after too many incorrect PIN attempts. ` +
+          `Try again after ${account.pinLockedUntil.replace('T', ' ').slice(0, 16)} UTC.`,
+          'PIN_LOCKED'
+        );
+      }
+      delete account.pinLockedUntil;
+      account.failedPinAttempts = 0;
+      changed = true;
+    }
+
+    if (pin === undefined || pin === null || String(pin) === '') {
+      if (changed) this.onChange();
+      throw new AuthenticationError(`Account ${account.id} requires a PIN.`, 'PIN_REQUIRED');
+    }
+
+    if (!verifySecret(pin, account.pin)) {
+      account.failedPinAttempts = (account.failedPinAttempts || 0) + 1;
+      const locked = account.failedPinAttempts >= this.config.maxPinAttempts;
+      if (locked) {
+        account.pinLockedUntil = new Date(now.getTime() + this.config.pinLockoutMinutes * 60 * 1000).toISOString();
+      }
+      this.onChange();
+      throw locked
+        ? new AuthenticationError(
+          `Incorrect PIN. Account ${account.id} is locked for ${this.config.pinLockoutMinutes} minutes.`,
+          'PIN_LOCKED'
+        )
+        : new AuthenticationError('Incorrect PIN.', 'PIN_INCORRECT');
+    }
+
+    if (account.failedPinAttempts) {
+      account.failedPinAttempts = 0;
+      changed = true;
+    }
+    if (changed) this.onChange();
+    return account;
+  }
+
+  // Changing or removing an existing PIN needs the current one.
+  setPin(id, newPin, currentPin) {
+    this.authorize('pin:set');
+    const account = this.verifyPin(id, currentPin);
+    const pin = newPin === undefined || newPin === null ? '' : String(newPin);
+
+    if (pin.length < MIN_PIN_LENGTH) {
+      throw new ValidationError(`PIN must be at least ${MIN_PIN_LENGTH} characters long.`, 'PIN_TOO_SHORT');
+    }
+    if (pin.length > MAX_PIN_LENGTH) {
+      throw new ValidationError(`PIN must be at most ${MAX_PIN_LENGTH} characters long.`, 'PIN_TOO_LONG');
+    }
+
+    this.record('PIN_SET', { accountId: account.id });
+    account.pin = hashSecret(pin);
+    account.failedPinAttempts = 0;
+    this.onChange();
+
+    return { account };
+  }
+
+  removePin(id, currentPin) {
+    this.authorize('pin:set');
+    const account = this.verifyPin(id, currentPin);
+
+    this.record('PIN_REMOVED', { accountId: account.id });
+    delete account.pin;
+    delete account.failedPinAttempts;
+    this.onChange();
+
+    return { account };
+  }
+
+  changeStatus(id, status, allowedFrom, action) {
+    this.authorize(status === ACCOUNT_STATUS.CLOSED ? 'account:close' : 'account:status');
+    const account = this.getAccount(id);
+    const previousStatus = this.statusOf(account);
+
+    if (!allowedFrom.includes(previousStatus)) {
+      throw new AccountStatusError(
+        `Cannot ${action} account ${account.id} because it is ${previousStatus.toLowerCase()}.`,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    this.record(status === ACCOUNT_STATUS.CLOSED ? 'ACCOUNT_CLOSED' : 'STATUS_CHANGED', {
+      accountId: account.id,
+      from: previousStatus,
+      to: status,
+    });
+    const now = new Date().toISOString();
+    account.status = status;
+    account.statusChangedAt = now;
+    if (status === ACCOUNT_STATUS.CLOSED) {
+      account.closedAt = now;
+    }
+    this.onChange();
+
+    return { account, previousStatus };
+  }
+
+  freeze(id) {
+    const { ACTIVE, DORMANT, FROZEN } = ACCOUNT_STATUS;
+    return this.changeStatus(id, FROZEN, [ACTIVE, DORMANT], 'freeze');
+  }
+
+  unfreeze(id) {
+    const { ACTIVE, FROZEN } = ACCOUNT_STATUS;
+    return this.changeStatus(id, ACTIVE, [FROZEN], 'unfreeze');
+  }
+
+  reactivate(id) {
+    const { ACTIVE, DORMANT } = ACCOUNT_STATUS;
+    return this.changeStatus(id, ACTIVE, [DORMANT], 'reactivate');
+  }
+
+  // Closing keeps the record and its history for audit; it only stops further postings.
+  // Only an empty account can be closed: nothing can be posted to it afterwards,
+  // so money left in it would be stuck. Its standing orders end with it.
+  closeAccount(id) {
+    this.authorize('account:close');
+    const account = this.getAccount(id);
+    if (account.balance !== 0) {
+      const owed = account.balance < 0 ? `owes ${formatMoney(-account.balance)}` : `still holds ${formatMoney(account.balance)}`;
+      throw new AccountStatusError(
+        `Account ${account.id} ${owed}. Bring the balance to zero before closing it.`,
+        'ACCOUNT_NOT_EMPTY'
+      );
+    }
+
+    const { ACTIVE, FROZEN, DORMANT, CLOSED } = ACCOUNT_STATUS;
+    const orders = this.statusOf(account) === CLOSED ? [] : this.standingOrders.filter((order) =>
+      order.status === STANDING_ORDER_STATUS.ACTIVE && (order.fromId === account.id || order.toId === account.id)
+    );
+    orders.forEach((order) => {
+      this.record('STANDING_ORDER_CANCELLED', { standingOrderId: order.id, reason: `Account ${account.id} closed` });
+      order.status = STANDING_ORDER_STATUS.CANCELLED;
+      order.nextRunDate = null;
+    });
+
+    // Saves the cancelled orders together with the closure.
+    const result = this.changeStatus(id, CLOSED, [ACTIVE, FROZEN, DORMANT], 'close');
+    return { ...result, cancelledOrders: orders };
+  }
+
+  lastActivityAt(account) {
+    const times = [account.createdAt, account.statusChangedAt]
+      .concat(account.transactions.map((transaction) => transaction.timestamp))
+      .filter(Boolean)
+      .map((timestamp) => Date.parse(timestamp));
+    return new Date(Math.max(...times));
+  }
+
+  // Moves active accounts with no activity in the last `days` days to DORMANT.
+  // Housekeeping run at startup before anyone logs in, so it is not permission-checked.
+  markDormantAccounts({ days = this.config.dormantAfterDays, now = new Date() } = {}) {
+    const cutoff = now.getTime() - days * DAY_MS;
+    const timestamp = now.toISOString();
+
+    const marked = this.accounts.filter((account) =>
+      this.statusOf(account) === ACCOUNT_STATUS.ACTIVE && this.lastActivityAt(account).getTime() < cutoff
+    );
+
+    if (marked.length > 0) {
+      this.record('ACCOUNTS_MARKED_DORMANT', { accountIds: marked.map((account) => account.id) });
+    }
+    marked.forEach((account) => {
+      account.status = ACCOUNT_STATUS.DORMANT;
+      account.statusChangedAt = timestamp;
+    });
+
+    if (marked.length > 0) {
+      this.onChange();
+    }
+
+    return marked;
+  }
+}
+
+module.exports = {
+  AccountService,
+  ACCOUNT_STATUS,
+  STANDING_ORDER_STATUS,
+  RUN_OUTCOME,
+  DEBIT_TYPES,
+  MAX_HOLDER_NAME_LENGTH,
+  CLEARING_ACCOUNT_ID,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { withFileLockSync } = require('./storage');
+
+// Append-only, hash-chained audit trail. Every entry carries the SHA-256 hash of
+// the entry before it and its own hash over its contents, so editing, removing
+// or reordering any line breaks the chain from that point on.
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashEntry({ seq, timestamp, operator, action, details, prevHash }) {
+  const body = JSON.stringify({ seq, timestamp, operator, action, details, prevHash });
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+function chainEntry(previous, { operator = null, action, details = {} }) {
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    timestamp: new Date().toISOString(),
+    operator,
+    action,
+    details,
+    prevHash: previous ? previous.hash : GENESIS_HASH,
+  };
+  entry.hash = hashEntry(entry);
+  return entry;
+}
+
+// Returns { ok, count } or { ok: false, count, seq, reason } for the first bad entry.
+// `anchor` ({ seq, hash }) is the last entry the data file saw; a log cut back
+// before it still chains, so it is checked separately.
+function verifyEntries(entries, anchor = null) {
+  let previous = null;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const seq = i + 1;
+    const fail = (reason) => ({ ok: false, count: entries.length, seq, reason });
+
+    if (!entry || typeof entry !== 'object') return fail('entry is not valid JSON');
+    if (entry.seq !== seq) return fail(`expected sequence number ${seq}, found ${entry.seq}`);
+    if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      return fail('previous-hash link does not match the entry before it');
+    }
+    if (entry.hash !== hashEntry(entry)) return fail('contents do not match the entry hash');
+
+    previous = entry;
+  }
+
+  if (anchor) {
+    const anchored = entries[anchor.seq - 1];
+    if (!anchored || anchored.hash !== anchor.hash) {
+      return {
+        ok: false,
+        count: entries.length,
+        seq: anchor.seq,
+        reason: 'entries the data file was saved with are missing or were replaced',
+      };
+    }
+  }
+
+  return { ok: true, count: entries.length };
+}
+
+// File-backed log, one JSON entry per line. Appends are synchronous so entries
+// land in the order the operations happened.
+class AuditLog {
+  constructor(getPath) {
+    this.getPath = typeof getPath === 'function' ? getPath : () => getPath;
+    this.cache = null;
+  }
+
+  readEntries() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.getPath(), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return raw.split('\n').filter((line) => line.trim() !== '').map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    });
+  }
+
+  // The last entry, re-read whenever the file changed under us (another session,
+  // or a different data path).
+  lastEntry() {
+    const filePath = this.getPath();
+    const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    if (!this.cache || this.cache.path !== filePath || this.cache.size !== size) {
+      const entries = this.readEntries();
+      this.cache = { path: filePath, size, last: entries[entries.length - 1] || null };
+    }
+    return this.cache.last;
+  }
+
+  // Locked, so sessions sharing the file cannot both chain onto the same last entry.
+  append(event) {
+    const filePath = this.getPath();
+    return withFileLockSync(filePath, () => {
+      // An unreadable tail restarts the chain; verify still reports the damaged line.
+      const entry = chainEntry(this.lastEntry(), event);
+
+      const line = `${JSON.stringify(entry)}\n`;
+      const fd = fs.openSync(filePath, 'a');
+      try {
+        fs.writeSync(fd, line);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      this.cache = { path: filePath, size: this.cache.size + Buffer.byteLength(line), last: entry };
+      return entry;
+    });
+  }
+
+  verify(anchor) {
+    return verifyEntries(this.readEntries(), anchor);
+  }
+}
+
+// Same chain kept in memory, for services that have no file behind them.
+class MemoryAuditLog {
+  constructor() {
+    this.entries = [];
+  }
+
+  readEntries() {
+    return this.entries;
+  }
+
+  lastEntry() {
+    return this.entries[this.entries.length - 1] || null;
+  }
+
+  append(event) {
+    const entry = chainEntry(this.lastEntry(), event);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  verify(anchor) {
+    return verifyEntries(this.entries, anchor);
+  }
+}
+
+module.exports = {
+  GENESIS_HASH,
+  hashEntry,
+  chainEntry,
+  verifyEntries,
+  AuditLog,
+  MemoryAuditLog,
+};
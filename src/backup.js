@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { DataFileError } = require('./errors');
+const { SCHEMA_VERSION, schemaVersionOf } = require('./migrations');
+const { writeFileAtomic } = require('./storage');
+const { isEncryptedFile } = require('./encryption');
+
+// Copies of the data file taken after every save, kept in a folder next to it:
+// bank-data.json -> bank-data-backups/2024-01-31T09-00-00-000Z-r12.json. Names
+// sort oldest to newest, and only the newest DEFAULT_KEEP are kept.
+const DEFAULT_KEEP = 10;
+
+const BACKUP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-r(\d+)\.json$/;
+
+function fileStamp(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function backupDir(dataPath) {
+  return `${dataPath.replace(/\.json$/, '')}-backups`;
+}
+
+// Anything this version can load: an accounts list and a schema it understands.
+function isUsableData(parsed) {
+  return Boolean(parsed) && Array.isArray(parsed.accounts) && schemaVersionOf(parsed) <= SCHEMA_VERSION;
+}
+
+// The contents of a backup, or null when it is missing, damaged, too new or
+// cannot be decoded. `decode` turns the file's text into data (and decrypts it).
+function readBackup(filePath, decode = JSON.parse) {
+  try {
+    const parsed = decode(fs.readFileSync(filePath, 'utf8'));
+    return isUsableData(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Newest first. Each entry says whether the copy can still be restored.
+function listBackups(dataPath, decode) {
+  const dir = backupDir(dataPath);
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return names
+    .filter((name) => BACKUP_PATTERN.test(name))
+    .sort()
+    .reverse()
+    .map((name) => {
+      const [, day, hours, minutes, seconds, millis, revision] = BACKUP_PATTERN.exec(name);
+      const filePath = path.join(dir, name);
+      const contents = readBackup(filePath, decode);
+      return {
+        file: name,
+        path: filePath,
+        savedAt: `${day}T${hours}:${minutes}:${seconds}.${millis}Z`,
+        revision: Number(revision),
+        size: fs.statSync(filePath).size,
+        encrypted: isEncryptedFile(filePath),
+        valid: contents !== null,
+        accounts: contents ? contents.accounts.length : null,
+      };
+    });
+}
+
+function newestValidBackup(dataPath, decode) {
+  return listBackups(dataPath, decode).find((backup) => backup.valid) || null;
+}
+
+// Passes each backup's text through `transform`, which returns new contents or
+// null to leave the file alone. Used to encrypt or re-key existing copies.
+async function rewriteBackups(dataPath, transform) {
+  const rewritten = [];
+  for (const backup of listBackups(dataPath)) {
+    const contents = transform(await fs.promises.readFile(backup.path, 'utf8'));
+    if (contents !== null) {
+      await writeFileAtomic(backup.path, contents);
+      rewritten.push(backup.file);
+    }
+  }
+  return rewritten;
+}
+
+// Copies the data file as it is on disk now, then drops the oldest copies
+// beyond `keep`. Returns the new backup's path.
+async function createBackup(dataPath, { revision = 0, keep = DEFAULT_KEEP, now = new Date() } = {}) {
+  const dir = backupDir(dataPath);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const backupPath = path.join(dir, `${fileStamp(now)}-r${revision}.json`);
+  await fs.promises.copyFile(dataPath, backupPath);
+  await pruneBackups(dataPath, keep);
+  return backupPath;
+}
+
+async function pruneBackups(dataPath, keep = DEFAULT_KEEP) {
+  const stale = listBackups(dataPath).slice(keep);
+  await Promise.all(stale.map((backup) => fs.promises.unlink(backup.path).catch(() => {})));
+  return stale;
+}
+
+// Moves a damaged data file aside so the next save cannot overwrite it:
+// bank-data.json -> bank-data.corrupt-2024-01-31T09-00-00-000Z.json. Returns
+// the new path, or null when there was no file left to move.
+function quarantineFile(dataPath, now = new Date()) {
+  const extension = path.extname(dataPath);
+  const quarantinedPath = `${dataPath.slice(0, dataPath.length - extension.length)}.corrupt-${fileStamp(now)}${extension}`;
+  try {
+    fs.renameSync(dataPath, quarantinedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new DataFileError(
+      `${path.basename(dataPath)} is damaged and could not be moved aside (${error.message}). ` +
+      'Move or repair it by hand before starting the app.',
+      'QUARANTINE_FAILED'
+    );
+  }
+  return quarantinedPath;
+}
+
+module.exports = {
+  DEFAULT_KEEP,
+  backupDir,
+  isUsableData,
+  readBackup,
+  listBackups,
+  newestValidBackup,
+  rewriteBackups,
+  createBackup,
+  pruneBackups,
+  quarantineFile,
+};
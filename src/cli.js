@@ -0,0 +1,683 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const bank = require('./index.js');
+const { BankError, DataFileError } = require('./errors');
+const { parseAmount } = require('./validation');
+const { parseMoney } = require('./money');
+const { previousMonth, renderStatement } = require('./statement');
+const { parseRecords, accountsToCsv, transactionsToCsv } = require('./csv');
+const { exportHistory } = require('./finance-export');
+const { createStore, storeOptions } = require('./stores');
+const { DEFAULT_PORT, DEFAULT_HOST, createApiServer, listen } = require('./server');
+
+// Exit codes for scripted use: 0 success, 1 rejected operation, 2 bad invocation.
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = [
+  'Usage: bankcli [command] [arguments] [--json]',
+  '',
+  'Run without a command to open the interactive menu.',
+  '',
+  'Commands:',
+  '  create --name <holder> --deposit <amount>   Create a new account',
+  '  show <accountId>                            Show account details',
+  '  list [--search <text>] [--status <s1,s2>] [--min-balance <amount>] [--max-balance <amount>]',
+  '       [--sort <name|balance|created>-<asc|desc>] [--page <n>] [--page-size <n>]',
+  '                                              List accounts, searched and filtered',
+  '  deposit <accountId> <amount>                Deposit funds',
+  '  withdraw <accountId> <amount>               Withdraw funds',
+  '  transfer <fromId> <toId> <amount>           Transfer between accounts',
+  '  history <accountId> [--from <date>] [--to <date>] [--type <t1,t2>] [--min <amount>] [--max <amount>]',
+  '          [--search <text>] [--sort <date-asc|date-desc|amount-asc|amount-desc>] [--page <n>] [--page-size <n>]',
+  '                                              Show transaction history, filtered',
+  '  statement <accountId> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>] [--format <text|markdown|html>] [--out <file>]',
+  '                                              Statement for a period (default: last month)',
+  '  export accounts [--out <file>]              Export accounts as CSV',
+  '  export transactions [--account <accountId>] [--out <file>]',
+  '                                              Export transactions as CSV',
+  '  export ofx|qif <accountId> [--ofx-version <1|2>] [--out <file>]',
+  '                                              Export history for personal-finance software',
+  '  import <file> [--dry-run]                   Open accounts from a CSV file (holderName, initialDeposit)',
+  '  pay-external <fromId> <amount> --name <beneficiary> --account <number>',
+  '                                              Pay a beneficiary at another bank',
+  '  clearing                                    Show payments held in the clearing account',
+  '  trace <reference>                           Show both legs of a transfer',
+  '  reverse <transactionId> [--reason <text>]   Reverse a transaction (and its transfer leg)',
+  '  schedule <fromId> <toId> <amount> --every <once|daily|weekly|monthly> [--start <YYYY-MM-DD>] [--end <YYYY-MM-DD>]',
+  '                                              Set up a standing order',
+  '  schedules [--account <accountId>]           List standing orders',
+  '  unschedule <orderId>                        Cancel a standing order',
+  '  run-scheduled                               Run standing orders that are due',
+  '  close <accountId>                           Close an account (alias: delete)',
+  '  freeze <accountId>                          Block withdrawals and outgoing transfers',
+  '  unfreeze <accountId>                        Lift a freeze',
+  '  reactivate <accountId>                      Reactivate a dormant account',
+  '  mark-dormant [--days <n>]                   Mark idle accounts dormant',
+  '  set-overdraft <accountId> <limit> [--fee <amount>]',
+  '                                              Set the overdraft limit and fee',
+  '  set-pin <accountId> --new-pin <pin>        Set or change an account PIN',
+  '  set-pin <accountId> --remove                Remove an account PIN',
+  '  add-operator <username> --role <teller|admin> --password <password>',
+  '                                              Add an operator login',
+  '  verify-audit                                Check the audit log hash chain',
+  '  backup                                      Save a backup of the data file now',
+  '  backups                                     List backups, newest first',
+  '  restore [backupFile]                        Restore a backup (default: the newest readable one)',
+  '  encrypt --new-passphrase <passphrase>       Encrypt the data file and its backups',
+  '  rotate-passphrase --new-passphrase <passphrase>',
+  '                                              Re-encrypt under a new passphrase',
+  '  decrypt [--out <file>]                      Write a plaintext copy of the data (the file stays encrypted)',
+  '  serve [--port <port>] [--host <host>]       Serve the HTTP JSON API (default: 127.0.0.1:3000)',
+  '  help                                        Show this message',
+  '',
+  'Once operators exist every command needs --operator <username> (or BANKCLI_OPERATOR)',
+  'and BANKCLI_OPERATOR_PASSWORD (or --password).',
+  'Accounts with a PIN need --pin <pin> (or BANKCLI_PIN) for show, withdraw,',
+  'history, statement, export ofx/qif, export transactions --account, transfer, pay-external,',
+  'schedule, close and set-pin.',
+  'An encrypted data file needs --passphrase <passphrase> (or BANKCLI_PASSPHRASE); a new',
+  'passphrase can also come from BANKCLI_NEW_PASSPHRASE.',
+  '--store <json|memory|eventlog> (or BANKCLI_STORE) picks where the data lives, and',
+  '--data <file> (or BANKCLI_DATA) the file to use; the memory store starts from that file',
+  'if one is given and never writes it back. Backups and encryption need the json store.',
+].join('\n');
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+function expectArgs(positional, names) {
+  if (positional.length !== names.length) {
+    throw new UsageError(`Expected arguments: ${names.map((name) => `<${name}>`).join(' ')}`);
+  }
+}
+
+function signIn(ctx) {
+  const username = typeof ctx.flags.operator === 'string' ? ctx.flags.operator : process.env.BANKCLI_OPERATOR;
+  // add-operator uses --password for the new operator, so it signs in from the environment only.
+  const password = typeof ctx.flags.password === 'string' && ctx.command !== 'add-operator'
+    ? ctx.flags.password
+    : process.env.BANKCLI_OPERATOR_PASSWORD;
+  if (!username) {
+    throw new UsageError('Pass --operator <username> or set BANKCLI_OPERATOR.');
+  }
+  bank.service.login(username, password);
+}
+
+function pinFrom(ctx) {
+  return typeof ctx.flags.pin === 'string' ? ctx.flags.pin : process.env.BANKCLI_PIN;
+}
+
+function passphraseFrom(ctx) {
+  return typeof ctx.flags.passphrase === 'string' ? ctx.flags.passphrase : process.env.BANKCLI_PASSPHRASE;
+}
+
+function newPassphraseFrom(ctx) {
+  return typeof ctx.flags['new-passphrase'] === 'string'
+    ? ctx.flags['new-passphrase']
+    : process.env.BANKCLI_NEW_PASSPHRASE;
+}
+
+function unlock(ctx, id, notFoundMessage) {
+  bank.service.getAccount(id, notFoundMessage);
+  return bank.service.verifyPin(id, pinFrom(ctx));
+}
+
+function accountSummary(account) {
+  return bank.service.summarize(account);
+}
+
+function writeOutFile(file, content) {
+  try {
+    fs.writeFileSync(file, content);
+  } catch (error) {
+    throw new UsageError(`Cannot write ${file}: ${error.message}`);
+  }
+}
+
+function output(ctx, json, text) {
+  if (ctx.json) {
+    console.log(JSON.stringify(json, null, 2));
+  } else {
+    console.log(text);
+  }
+}
+
+const commands = {
+  create(ctx) {
+    const { account } = bank.service.createAccount({
+      holderName: typeof ctx.flags.name === 'string' ? ctx.flags.name : '',
+      initialDeposit: ctx.flags.deposit === undefined ? '0' : String(ctx.flags.deposit),
+    });
+    output(ctx, accountSummary(account), `Account created successfully. ID: ${account.id}`);
+  },
+
+  show(ctx) {
+    expectArgs(ctx.positional, ['accountId']);
+    const account = unlock(ctx, ctx.positional[0]);
+    output(ctx, accountSummary(account), [
+      `Account: ${account.id}`,
+      `Holder: ${account.holderName}`,
+      `Balance: ${bank.formatMoney(account.balance)}`,
+      `Available: ${bank.formatMoney(bank.service.availableBalance(account))}`,
+      `Overdraft limit: ${bank.formatMoney(bank.service.overdraftLimitOf(account))}`,
+      `Status: ${bank.service.statusOf(account)}`,
+      `Opened: ${account.createdAt.split('T')[0]}`,
+    ].join('\n'));
+  },
+
+  // Fuzzy --search matches holder names with typos and partial IDs. Prints every
+  // match unless --page or --page-size asks for one page.
+  list(ctx) {
+    const flag = (name) => (typeof ctx.flags[name] === 'string' ? ctx.flags[name] : undefined);
+    const balanceFlag = (name, label) => (flag(name) === undefined ? undefined : parseMoney(flag(name), label));
+    const paged = flag('page') !== undefined || flag('page-size') !== undefined;
+
+    const { items, page, pageCount, total } = bank.service.searchAccounts({
+      search: flag('search'),
+      status: flag('status'),
+      minBalance: balanceFlag('min-balance', 'Minimum balance'),
+      maxBalance: balanceFlag('max-balance', 'Maximum balance'),
+      sort: flag('sort'),
+      page: flag('page'),
+      pageSize: paged ? flag('page-size') : Math.max(1, bank.service.listAccounts().length),
+    });
+
+    const table = new Table({ head: ['ID', 'Holder Name', 'Balance', 'Status'] });
+    items.forEach((account) => {
+      table.push([account.id, account.holderName, bank.formatMoney(account.balance), bank.service.statusOf(account)]);
+    });
+    const text = total === 0
+      ? 'No accounts found.'
+      : [table.toString(), ...(paged ? [`Page ${page} of ${pageCount} (${total} matching)`] : [])].join('\n');
+    output(ctx, items.map(accountSummary), text);
+  },
+
+  deposit(ctx) {
+    expectArgs(ctx.positional, ['accountId', 'amount']);
+    const { account } = bank.service.deposit(ctx.positional[0], bank.service.parseAmount('deposit', ctx.positional[1]));
+    output(ctx, accountSummary(account), `Deposit complete. New balance: ${bank.formatMoney(account.balance)}`);
+  },
+
+  withdraw(ctx) {
+    expectArgs(ctx.positional, ['accountId', 'amount']);
+    unlock(ctx, ctx.positional[0]);
+    const { account } = bank.service.withdraw(ctx.positional[0], bank.service.parseAmount('withdrawal', ctx.positional[1]));
+    output(ctx, accountSummary(account), `Withdrawal complete. New balance: ${bank.formatMoney(account.balance)}`);
+  },
+
+  transfer(ctx) {
+    expectArgs(ctx.positional, ['fromId', 'toId', 'amount']);
+    const [fromId, toId, amountInput] = ctx.positional;
+    unlock(ctx, fromId, 'Source account not found.');
+    const { reference, from, to } = bank.service.transfer(fromId, toId, bank.service.parseAmount('transfer', amountInput));
+    output(
+      ctx,
+      { reference, from: accountSummary(from), to: accountSummary(to) },
+      `Transfer completed. Reference: ${reference}`
+    );
+  },
+
+  'pay-external'(ctx) {
+    expectArgs(ctx.positional, ['fromId', 'amount']);
+    const [fromId, amountInput] = ctx.positional;
+    unlock(ctx, fromId, 'Source account not found.');
+    const { reference, from, beneficiary } = bank.service.payExternal(
+      fromId,
+      {
+        name: typeof ctx.flags.name === 'string' ? ctx.flags.name : '',
+        account: typeof ctx.flags.account === 'string' ? ctx.flags.account : '',
+      },
+      bank.service.parseAmount('transfer', amountInput)
+    );
+    output(
+      ctx,
+      { reference, from: accountSummary(from), beneficiary },
+      `Payment to ${beneficiary.name} sent to clearing. Reference: ${reference}`
+    );
+  },
+
+  clearing(ctx) {
+    const account = bank.service.clearingAccount();
+    output(
+      ctx,
+      { id: account.id, balance: account.balance, transactions: account.transactions },
+      [
+        `Clearing balance: ${bank.formatMoney(account.balance)}`,
+        account.transactions.length === 0 ? 'No payments found.' : bank.renderTransactionTable(account.transactions),
+      ].join('\n')
+    );
+  },
+
+  trace(ctx) {
+    expectArgs(ctx.positional, ['reference']);
+    const transfer = bank.service.getTransfer(ctx.positional[0]);
+    const table = new Table({ head: ['Leg', 'Account', 'Date', 'Amount', 'Balance After'] });
+    [['Debit', transfer.debit], ['Credit', transfer.credit]].forEach(([label, leg]) => {
+      table.push(leg
+        ? [label, leg.accountId, leg.transaction.timestamp, bank.formatMoney(leg.transaction.amount), bank.formatMoney(leg.transaction.balanceAfter)]
+        : [label, chalk.red('missing'), '', '', '']);
+    });
+    output(ctx, transfer, `Transfer ${transfer.reference}\n${table.toString()}`);
+  },
+
+  reverse(ctx) {
+    expectArgs(ctx.positional, ['transactionId']);
+    const { original, reversals } = bank.service.reverseTransaction(ctx.positional[0], {
+      reason: typeof ctx.flags.reason === 'string' ? ctx.flags.reason : undefined,
+    });
+    output(
+      ctx,
+      { original, reversals },
+      `Reversed ${original.id}. Reversal entries: ${reversals.map((reversal) => reversal.id).join(', ')}`
+    );
+  },
+
+  statement(ctx) {
+    expectArgs(ctx.positional, ['accountId']);
+    unlock(ctx, ctx.positional[0]);
+    const period = previousMonth();
+    const statement = bank.service.statement(ctx.positional[0], {
+      from: typeof ctx.flags.from === 'string' ? ctx.flags.from : period.from,
+      to: typeof ctx.flags.to === 'string' ? ctx.flags.to : period.to,
+    });
+    const content = renderStatement(statement, typeof ctx.flags.format === 'string' ? ctx.flags.format : 'text');
+
+    if (typeof ctx.flags.out === 'string') {
+      writeOutFile(ctx.flags.out, content);
+      output(ctx, statement, `Statement written to ${ctx.flags.out}`);
+    } else {
+      output(ctx, statement, content.trimEnd());
+    }
+  },
+
+  export(ctx) {
+    const [kind] = ctx.positional;
+    if (kind === 'ofx' || kind === 'qif') {
+      expectArgs(ctx.positional, [kind, 'accountId']);
+    } else {
+      expectArgs(ctx.positional, ['accounts|transactions|ofx|qif']);
+    }
+
+    let content;
+    if (kind === 'ofx' || kind === 'qif') {
+      const account = unlock(ctx, ctx.positional[1]);
+      ({ content } = exportHistory(account, kind, { version: ctx.flags['ofx-version'] || 1 }));
+    } else if (kind === 'accounts') {
+      content = accountsToCsv(bank.service.listAccounts(), (account) => bank.service.statusOf(account));
+    } else if (kind === 'transactions' && typeof ctx.flags.account === 'string') {
+      content = transactionsToCsv([unlock(ctx, ctx.flags.account)]);
+    } else if (kind === 'transactions') {
+      // One PIN cannot unlock every account, so protected ones are left out.
+      const accounts = bank.service.listAccounts();
+      const open = accounts.filter((account) => !bank.service.hasPin(account));
+      if (open.length < accounts.length) {
+        console.error(chalk.yellow(
+          `Left out ${accounts.length - open.length} PIN-protected account(s); ` +
+          'export those one at a time with --account and --pin.'
+        ));
+      }
+      content = transactionsToCsv(open);
+    } else {
+      throw new UsageError('Export accounts, transactions, ofx or qif.');
+    }
+
+    if (typeof ctx.flags.out === 'string') {
+      writeOutFile(ctx.flags.out, content);
+      output(ctx, { file: ctx.flags.out }, `Exported to ${ctx.flags.out}`);
+    } else {
+      process.stdout.write(content);
+    }
+  },
+
+  // Bad rows are listed and fail the whole import, so a file can be fixed and rerun.
+  import(ctx) {
+    expectArgs(ctx.positional, ['file']);
+    let text;
+    try {
+      text = fs.readFileSync(ctx.positional[0], 'utf8');
+    } catch (error) {
+      throw new UsageError(`Cannot read ${ctx.positional[0]}: ${error.message}`);
+    }
+
+    const report = bank.service.importAccounts(parseRecords(text), { dryRun: ctx.flags['dry-run'] === true });
+    const lines = report.rows.map((row) => {
+      if (row.error) return `Line ${row.line}: ${row.holderName || '(no name)'}: ${row.error}`;
+      const opened = row.accountId ? ` -> ${row.accountId}` : '';
+      return `Line ${row.line}: ${row.holderName}, ${bank.formatMoney(row.amount)}${opened}`;
+    });
+    const summary = report.invalid > 0
+      ? `${report.invalid} row(s) with errors; nothing imported.`
+      : `${report.valid} row(s) ${report.dryRun ? 'valid; dry run, nothing imported.' : 'imported.'}`;
+    output(ctx, report, [...lines, summary].join('\n'));
+    return report.invalid > 0 ? EXIT_FAILURE : EXIT_OK;
+  },
+
+  schedule(ctx) {
+    expectArgs(ctx.positional, ['fromId', 'toId', 'amount']);
+    const [fromId, toId, amountInput] = ctx.positional;
+    unlock(ctx, fromId, 'Source account not found.');
+    const { order } = bank.service.createStandingOrder({
+      fromId,
+      toId,
+      amount: bank.service.parseAmount('transfer', amountInput),
+      frequency: typeof ctx.flags.every === 'string' ? ctx.flags.every : '',
+      startDate: typeof ctx.flags.start === 'string' ? ctx.flags.start : undefined,
+      endDate: typeof ctx.flags.end === 'string' ? ctx.flags.end : undefined,
+    });
+    output(ctx, order, `Standing order ${order.id} created; first run on ${order.nextRunDate}.`);
+  },
+
+  schedules(ctx) {
+    const orders = bank.service.listStandingOrders(typeof ctx.flags.account === 'string' ? ctx.flags.account : undefined);
+    const table = new Table({ head: ['ID', 'From', 'To', 'Amount', 'Frequency', 'Next Run', 'Status'] });
+    orders.forEach((order) => {
+      table.push([
+        order.id,
+        order.fromId,
+        order.toId,
+        bank.formatMoney(order.amount),
+        order.frequency,
+        order.nextRunDate || '-',
+        order.status,
+      ]);
+    });
+    output(ctx, orders, orders.length === 0 ? 'No standing orders.' : table.toString());
+  },
+
+  unschedule(ctx) {
+    expectArgs(ctx.positional, ['orderId']);
+    const { order } = bank.service.cancelStandingOrder(ctx.positional[0]);
+    output(ctx, order, `Standing order ${order.id} cancelled.`);
+  },
+
+  // Meant for cron; a failed payment is reported in the output but is not an error.
+  'run-scheduled'(ctx) {
+    const runs = bank.service.runStandingOrders();
+    const lines = runs.map((run) => `${run.orderId} ${run.dueDate}: ${run.outcome}${run.reason ? ` (${run.reason})` : ''}`);
+    output(ctx, runs, runs.length === 0 ? 'No standing orders are due.' : lines.join('\n'));
+  },
+
+  // Prints every match unless --page or --page-size asks for one page.
+  history(ctx) {
+    expectArgs(ctx.positional, ['accountId']);
+    const flag = (name) => (typeof ctx.flags[name] === 'string' ? ctx.flags[name] : undefined);
+    const amountFlag = (name, label) => (flag(name) === undefined ? undefined : parseAmount(flag(name), { label, allowZero: true }));
+    const paged = flag('page') !== undefined || flag('page-size') !== undefined;
+    const account = unlock(ctx, ctx.positional[0]);
+
+    const result = bank.service.searchHistory(account.id, {
+      from: flag('from'),
+      to: flag('to'),
+      types: flag('type'),
+      minAmount: amountFlag('min', 'Minimum amount'),
+      maxAmount: amountFlag('max', 'Maximum amount'),
+      text: flag('search'),
+      sort: flag('sort'),
+      page: flag('page'),
+      pageSize: paged ? flag('page-size') : Math.max(1, account.transactions.length),
+    });
+    const { items, page, pageCount, total, totals } = result;
+
+    output(
+      ctx,
+      { transactions: items, page, pageCount, total, totals },
+      total === 0 ? 'No transactions found.' : [
+        bank.renderTransactionTable(items),
+        ...(paged ? [`Page ${page} of ${pageCount} (${total} matching)`] : []),
+        `Total in: ${bank.formatMoney(totals.moneyIn)}  Total out: ${bank.formatMoney(totals.moneyOut)}  Net: ${bank.formatMoney(totals.net)}`,
+      ].join('\n')
+    );
+  },
+
+  close(ctx) {
+    expectArgs(ctx.positional, ['accountId']);
+    unlock(ctx, ctx.positional[0]);
+    const { account } = bank.service.closeAccount(ctx.positional[0]);
+    output(ctx, accountSummary(account), `Account ${account.id} closed.`);
+  },
+
+  freeze(ctx) {
+    return changeStatus(ctx, (id) => bank.service.freeze(id));
+  },
+
+  unfreeze(ctx) {
+    return changeStatus(ctx, (id) => bank.service.unfreeze(id));
+  },
+
+  reactivate(ctx) {
+    return changeStatus(ctx, (id) => bank.service.reactivate(id));
+  },
+
+  'set-overdraft'(ctx) {
+    expectArgs(ctx.positional, ['accountId', 'limit']);
+    const { account } = bank.service.setOverdraft(ctx.positional[0], {
+      limit: parseAmount(ctx.positional[1], { label: 'Overdraft limit', allowZero: true }),
+      fee: ctx.flags.fee === undefined ? undefined : parseAmount(ctx.flags.fee, { label: 'Overdraft fee', allowZero: true }),
+    });
+    output(ctx, accountSummary(account), `Overdraft limit for ${account.id} set to ${bank.formatMoney(account.overdraftLimit)}.`);
+  },
+
+  'set-pin'(ctx) {
+    expectArgs(ctx.positional, ['accountId']);
+    const id = ctx.positional[0];
+    if (ctx.flags.remove === true) {
+      const { account } = bank.service.removePin(id, pinFrom(ctx));
+      output(ctx, accountSummary(account), `PIN removed from ${account.id}.`);
+      return;
+    }
+    if (typeof ctx.flags['new-pin'] !== 'string') {
+      throw new UsageError('Pass --new-pin <pin>, or --remove.');
+    }
+    const { account } = bank.service.setPin(id, ctx.flags['new-pin'], pinFrom(ctx));
+    output(ctx, accountSummary(account), `PIN set for ${account.id}.`);
+  },
+
+  'add-operator'(ctx) {
+    expectArgs(ctx.positional, ['username']);
+    const { operator } = bank.service.addOperator({
+      username: ctx.positional[0],
+      role: typeof ctx.flags.role === 'string' ? ctx.flags.role : '',
+      password: typeof ctx.flags.password === 'string' ? ctx.flags.password : '',
+    });
+    output(
+      ctx,
+      { username: operator.username, role: operator.role, createdAt: operator.createdAt },
+      `Operator ${operator.username} added as ${operator.role.toLowerCase()}.`
+    );
+  },
+
+  'verify-audit'(ctx) {
+    bank.service.authorize('audit:verify');
+    const result = bank.verifyAudit();
+    if (!result.ok) {
+      output(ctx, result, chalk.red(`Audit log broken at entry ${result.seq} of ${result.count}: ${result.reason}.`));
+      return EXIT_FAILURE;
+    }
+    output(ctx, result, `Audit log intact: ${result.count} entries, hash chain unbroken.`);
+    return EXIT_OK;
+  },
+
+  async backup(ctx) {
+    const backupPath = await bank.backUpNow();
+    output(ctx, { file: path.basename(backupPath), path: backupPath }, `Backup saved as ${backupPath}.`);
+  },
+
+  backups(ctx) {
+    bank.service.authorize('backup:create');
+    const backups = bank.listDataBackups();
+    const lines = backups.map((backup) => {
+      const contents = backup.valid ? `${backup.accounts} account(s)` : 'unreadable';
+      return `${backup.file}  revision ${backup.revision}  ${contents}`;
+    });
+    output(ctx, backups, lines.length > 0 ? lines.join('\n') : 'No backups yet.');
+  },
+
+  // A bare file name is looked up among the backups; anything else is a path.
+  restore(ctx) {
+    const [file] = ctx.positional;
+    const backups = bank.listDataBackups();
+    const backup = file
+      ? backups.find((entry) => entry.file === file) || { file: path.basename(file), path: path.resolve(file) }
+      : backups.find((entry) => entry.valid);
+    if (!backup) {
+      throw new DataFileError('There is no readable backup to restore.', 'BACKUP_NOT_FOUND');
+    }
+
+    const restored = bank.restoreBackup(backup.path);
+    output(
+      ctx,
+      { file: backup.file, accounts: restored.accounts.length },
+      `Restored ${restored.accounts.length} account(s) from ${backup.file}.`
+    );
+  },
+
+  async encrypt(ctx) {
+    const result = await bank.encryptDataFile(newPassphraseFrom(ctx));
+    output(ctx, result, `Data file encrypted, along with ${result.backups} backup(s).`);
+  },
+
+  async 'rotate-passphrase'(ctx) {
+    const result = await bank.rotatePassphrase(passphraseFrom(ctx), newPassphraseFrom(ctx));
+    output(ctx, result, `Passphrase changed; ${result.backups} backup(s) re-encrypted.`);
+  },
+
+  decrypt(ctx) {
+    const content = bank.decryptDataFile();
+    if (typeof ctx.flags.out === 'string') {
+      writeOutFile(ctx.flags.out, content);
+      output(ctx, { file: ctx.flags.out }, `Decrypted copy written to ${ctx.flags.out}`);
+    } else {
+      process.stdout.write(content);
+    }
+  },
+
+  'mark-dormant'(ctx) {
+    bank.service.authorize('account:status');
+    const days = ctx.flags.days === undefined ? undefined : Number(ctx.flags.days);
+    if (days !== undefined && !(days >= 0)) {
+      throw new UsageError('--days must be a non-negative number.');
+    }
+    const marked = bank.service.markDormantAccounts({ days });
+    output(ctx, marked.map(accountSummary), `Marked ${marked.length} account(s) dormant.`);
+  },
+
+  // Runs until Ctrl+C. Operators sign in on each request instead of once here.
+  async serve(ctx) {
+    const port = ctx.flags.port === undefined ? DEFAULT_PORT : Number(ctx.flags.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new UsageError('--port must be a whole number from 0 to 65535.');
+    }
+    const host = typeof ctx.flags.host === 'string' ? ctx.flags.host : DEFAULT_HOST;
+
+    const server = createApiServer();
+    const address = await listen(server, port, host);
+    console.log(`Serving the JSON API on http://${address.address}:${address.port} (Ctrl+C to stop).`);
+    await new Promise((resolve) => {
+      const stop = () => {
+        server.close(resolve);
+        server.closeIdleConnections();
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  },
+};
+
+commands.delete = commands.close;
+
+// After a damaged data file was moved aside, only these run, so a command does not
+// quietly start a fresh file on top of the empty data.
+const RECOVERY_COMMANDS = ['backups', 'restore'];
+
+function changeStatus(ctx, action) {
+  expectArgs(ctx.positional, ['accountId']);
+  const { account } = action(ctx.positional[0]);
+  output(ctx, accountSummary(account), `Account ${account.id} is now ${bank.service.statusOf(account)}.`);
+}
+
+async function run(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(USAGE);
+    return name ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : undefined;
+  if (!command) {
+    console.error(chalk.red(`Unknown command: ${name}`));
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { positional, flags } = parseArgs(rest);
+  const ctx = { command: name, positional, flags, json: flags.json === true };
+
+  let code = EXIT_OK;
+  try {
+    const options = storeOptions(ctx.flags);
+    if (options) bank.useStore(createStore(options));
+    bank.usePassphrase(passphraseFrom(ctx));
+    bank.loadData();
+    if (bank.recoveryState() && !RECOVERY_COMMANDS.includes(name)) {
+      throw new DataFileError(
+        'The data file was damaged and has been moved aside. ' +
+        'Run `bankcli restore` to recover from the newest backup, or run the command again to start empty.'
+      );
+    }
+    if (bank.service.hasOperators() && name !== 'serve') signIn(ctx);
+    code = (await command(ctx)) || EXIT_OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(chalk.red(error.message));
+      console.error(USAGE);
+      code = EXIT_USAGE;
+    } else if (error instanceof BankError) {
+      console.error(chalk.red(error.message));
+      code = EXIT_FAILURE;
+    } else {
+      throw error;
+    }
+  } finally {
+    bank.service.logout();
+  }
+
+  // Report success only once the change is durably on disk.
+  const saved = await bank.flushSaves();
+  return saved ? code : EXIT_FAILURE;
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+};
@@ -0,0 +1,43 @@
+// Tunable limits. Each can be overridden with an environment variable so that
+// scripted runs and different environments can use their own values.
+// Amount limits are in dollars.
+const DEFAULTS = {
+  dormantAfterDays: 365,
+  maxInitialDeposit: 1000000,
+  maxDeposit: 1000000,
+  maxWithdrawal: 1000000,
+  maxTransfer: 1000000,
+  maxPinAttempts: 3,
+  pinLockoutMinutes: 15,
+};
+
+const ENV_VARS = {
+  dormantAfterDays: 'BANKCLI_DORMANT_DAYS',
+  maxInitialDeposit: 'BANKCLI_MAX_INITIAL_DEPOSIT',
+  maxDeposit: 'BANKCLI_MAX_DEPOSIT',
+  maxWithdrawal: 'BANKCLI_MAX_WITHDRAWAL',
+  maxTransfer: 'BANKCLI_MAX_TRANSFER',
+  maxPinAttempts: 'BANKCLI_MAX_PIN_ATTEMPTS',
+  pinLockoutMinutes: 'BANKCLI_PIN_LOCKOUT_MINUTES',
+};
+
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function loadConfig(overrides = {}) {
+  const config = {};
+  Object.keys(DEFAULTS).forEach((key) => {
+    config[key] = readNumber(ENV_VARS[key], DEFAULTS[key]);
+  });
+  return { ...config, ...overrides };
+}
+
+module.exports = {
+  DEFAULTS,
+  ENV_VARS,
+  loadConfig,
+};
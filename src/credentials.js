@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// PINs and passphrases are never stored. Only a salted scrypt hash is kept,
+// together with the parameters used, so they can be raised later without
+// breaking existing records.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(String(secret), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  return {
+    algorithm: 'scrypt',
+    ...SCRYPT_PARAMS,
+    salt: salt.toString('hex'),
+    hash: hash.toString('hex'),
+  };
+}
+
+function verifySecret(secret, record) {
+  if (!record || record.algorithm !== 'scrypt') return false;
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = crypto.scryptSync(String(secret), Buffer.from(record.salt, 'hex'), expected.length, {
+    N: record.N,
+    r: record.r,
+    p: record.p,
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashSecret,
+  verifySecret,
+};
@@ -0,0 +1,125 @@
+const { formatDecimal } = require('./money');
+
+// RFC 4180 CSV: comma-separated, fields quoted when they contain a comma, quote
+// or line break, quotes doubled. Amounts are written as plain dollars.
+const ACCOUNT_COLUMNS = ['id', 'holderName', 'balance', 'status', 'createdAt'];
+const TRANSACTION_COLUMNS = [
+  'accountId',
+  'id',
+  'timestamp',
+  'type',
+  'amount',
+  'balanceAfter',
+  'description',
+  'reference',
+];
+
+function quoteField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(quoteField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+// Rows of raw fields. Blank lines are dropped; `line` is where each row started.
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+}
+
+// Rows as objects keyed by the header row's names, compared case-insensitively.
+function parseRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const names = header.fields.map((name) => name.trim().toLowerCase());
+  return rows.map(({ line, fields }) => {
+    const record = { line };
+    names.forEach((name, i) => {
+      record[name] = fields[i] === undefined ? '' : fields[i];
+    });
+    return record;
+  });
+}
+
+function accountsToCsv(accounts, statusOf) {
+  return formatCsv(ACCOUNT_COLUMNS, accounts.map((account) => ({
+    id: account.id,
+    holderName: account.holderName,
+    balance: formatDecimal(account.balance),
+    status: statusOf(account),
+    createdAt: account.createdAt,
+  })));
+}
+
+function transactionsToCsv(accounts) {
+  const rows = [];
+  accounts.forEach((account) => {
+    account.transactions.forEach((transaction) => {
+      rows.push({
+        ...transaction,
+        accountId: account.id,
+        amount: formatDecimal(transaction.amount),
+        balanceAfter: formatDecimal(transaction.balanceAfter),
+      });
+    });
+  });
+  return formatCsv(TRANSACTION_COLUMNS, rows);
+}
+
+module.exports = {
+  ACCOUNT_COLUMNS,
+  TRANSACTION_COLUMNS,
+  formatCsv,
+  parseCsv,
+  parseRecords,
+  accountsToCsv,
+  transactionsToCsv,
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { ValidationError, AuthenticationError } = require('./errors');
+
+// Encryption at rest for the data file and its backups. The file becomes a JSON
+// envelope holding AES-256-GCM ciphertext; the key is derived from a passphrase
+// with scrypt, whose salt and parameters travel in the envelope. The revision
+// stays readable so concurrent writers can still be detected without the key,
+// and is bound to the ciphertext so it cannot be edited unnoticed.
+const FORMAT = 'bankcli-encrypted';
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const MIN_PASSPHRASE_LENGTH = 12;
+
+function isEncrypted(parsed) {
+  return Boolean(parsed) && parsed.format === FORMAT;
+}
+
+// Looks at a file without needing the passphrase; false when it is missing or not JSON.
+function isEncryptedFile(filePath) {
+  try {
+    return isEncrypted(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    return false;
+  }
+}
+
+function checkNewPassphrase(passphrase) {
+  if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    throw new ValidationError(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`,
+      'PASSPHRASE_TOO_SHORT'
+    );
+  }
+}
+
+function associatedData(envelope) {
+  return Buffer.from(`${envelope.format}:${envelope.version}:${envelope.revision}`);
+}
+
+// One passphrase. New envelopes use this cipher's own salt; envelopes written
+// under another salt (older backups) get their key derived once and cached.
+class DataCipher {
+  constructor(passphrase, kdf) {
+    if (!passphrase) {
+      throw new AuthenticationError('The data file is encrypted and needs its passphrase.', 'PASSPHRASE_REQUIRED');
+    }
+    this.passphrase = String(passphrase);
+    this.kdf = kdf || { algorithm: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(SALT_BYTES).toString('hex') };
+    this.keys = new Map();
+  }
+
+  keyFor(kdf) {
+    if (!kdf || kdf.algorithm !== 'scrypt') {
+      throw new AuthenticationError('The encrypted file uses an unknown key derivation.', 'ENCRYPTION_UNSUPPORTED');
+    }
+    if (!this.keys.has(kdf.salt)) {
+      const { N, r, p } = kdf;
+      this.keys.set(kdf.salt, crypto.scryptSync(this.passphrase, Buffer.from(kdf.salt, 'hex'), KEY_BYTES, {
+        N,
+        r,
+        p,
+        maxmem: 256 * N * r,
+      }));
+    }
+    return this.keys.get(kdf.salt);
+  }
+
+  encrypt(plaintext, { revision = 0 } = {}) {
+    const envelope = { format: FORMAT, version: ENVELOPE_VERSION, revision, cipher: CIPHER, kdf: this.kdf };
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, this.keyFor(this.kdf), iv);
+    cipher.setAAD(associatedData(envelope));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      ...envelope,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: data.toString('base64'),
+    };
+  }
+
+  // GCM cannot tell a wrong passphrase from an edited file; both fail here.
+  decrypt(envelope) {
+    if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER) {
+      throw new AuthenticationError('The encrypted file uses an unknown format.', 'ENCRYPTION_UNSUPPORTED');
+    }
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.keyFor(envelope.kdf), Buffer.from(envelope.iv, 'hex'));
+      decipher.setAAD(associatedData(envelope));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'hex'));
+      return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      if (error instanceof AuthenticationError) throw error;
+      throw new AuthenticationError(
+        'Could not decrypt the data file: wrong passphrase, or the file was altered.',
+        'PASSPHRASE_INVALID'
+      );
+    }
+  }
+
+  // Data in, file contents out: the encrypted form of `record` as pretty-printed JSON.
+  seal(record) {
+    return JSON.stringify(this.encrypt(JSON.stringify(record), { revision: record.revision }), null, 2);
+  }
+}
+
+module.exports = {
+  FORMAT,
+  MIN_PASSPHRASE_LENGTH,
+  isEncrypted,
+  isEncryptedFile,
+  checkNewPassphrase,
+  DataCipher,
+};
@@ -0,0 +1,79 @@
+// Typed errors thrown by the service layer. `code` is stable and safe to branch on;
+// `message` is what the menu prints.
+class BankError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+class ValidationError extends BankError {}
+
+class NotFoundError extends BankError {
+  constructor(message = 'Account not found.', code = 'ACCOUNT_NOT_FOUND') {
+    super(message, code);
+  }
+}
+
+// The account's status (frozen, dormant, closed) does not allow the operation.
+class AccountStatusError extends BankError {}
+
+// A debit would take the account below its overdraft limit.
+class InsufficientFundsError extends BankError {
+  constructor(message, code = 'INSUFFICIENT_FUNDS') {
+    super(message, code);
+  }
+}
+
+// A PIN or password was missing, wrong, or the account is locked out.
+class AuthenticationError extends BankError {}
+
+// The logged-in operator's role does not allow the operation.
+class PermissionError extends BankError {
+  constructor(message, code = 'PERMISSION_DENIED') {
+    super(message, code);
+  }
+}
+
+// Another process holds the data file lock and did not release it in time.
+class LockError extends BankError {
+  constructor(message, code = 'DATA_LOCKED') {
+    super(message, code);
+  }
+}
+
+// The data file changed on disk after this process loaded it.
+class ConflictError extends BankError {
+  constructor(message, code = 'DATA_CONFLICT') {
+    super(message, code);
+  }
+}
+
+// The data file was written by a newer version of the app than this one.
+class SchemaError extends BankError {
+  constructor(message, code = 'SCHEMA_TOO_NEW') {
+    super(message, code);
+  }
+}
+
+// The data file or a backup of it cannot be read or used.
+class DataFileError extends BankError {
+  constructor(message, code = 'DATA_CORRUPT') {
+    super(message, code);
+  }
+}
+
+module.exports = {
+  BankError,
+  ValidationError,
+  NotFoundError,
+  AccountStatusError,
+  InsufficientFundsError,
+  AuthenticationError,
+  PermissionError,
+  LockError,
+  ConflictError,
+  SchemaError,
+  DataFileError,
+};
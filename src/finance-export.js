@@ -0,0 +1,171 @@
+const { formatDecimal } = require('./money');
+const { ValidationError } = require('./errors');
+const { signedAmount } = require('./transaction-types');
+
+// Account history in the formats personal-finance tools import: OFX (1.0.2 SGML
+// or 2.2 XML) and QIF. Transaction IDs become OFX FITIDs so a re-import of an
+// overlapping period does not duplicate entries.
+const OFX_TYPES = {
+  DEPOSIT: 'DEP',
+  WITHDRAWAL: 'CASH',
+  TRANSFER_IN: 'XFER',
+  TRANSFER_OUT: 'XFER',
+  EXTERNAL_PAYMENT: 'PAYMENT',
+  FEE: 'FEE',
+};
+
+const OFX_NAME_LENGTH = 32;
+const BANK_ID = 'BANKCLI';
+
+function describe(transaction) {
+  return transaction.description || transaction.type;
+}
+
+function fitId(transaction, account, index) {
+  return transaction.id || `${account.id}-${index + 1}`;
+}
+
+// 2024-01-31T09:05:00.000Z -> 20240131090500.000[0:GMT]
+function ofxDate(timestamp) {
+  const iso = new Date(timestamp).toISOString();
+  return `${iso.slice(0, 19).replace(/[-T:]/g, '')}.${iso.slice(20, 23)}[0:GMT]`;
+}
+
+function escapeOfx(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ofxTransactionType(transaction, amount) {
+  return OFX_TYPES[transaction.type] || (amount < 0 ? 'DEBIT' : 'CREDIT');
+}
+
+// [name, children] for aggregates, [name, value] for elements.
+function ofxTree(account, now) {
+  const { transactions } = account;
+  const last = transactions[transactions.length - 1];
+  const status = ['STATUS', [['CODE', '0'], ['SEVERITY', 'INFO']]];
+
+  return ['OFX', [
+    ['SIGNONMSGSRSV1', [
+      ['SONRS', [status, ['DTSERVER', ofxDate(now)], ['LANGUAGE', 'ENG']]],
+    ]],
+    ['BANKMSGSRSV1', [
+      ['STMTTRNRS', [
+        ['TRNUID', '0'],
+        status,
+        ['STMTRS', [
+          ['CURDEF', 'USD'],
+          ['BANKACCTFROM', [['BANKID', BANK_ID], ['ACCTID', account.id], ['ACCTTYPE', 'CHECKING']]],
+          ['BANKTRANLIST', [
+            ['DTSTART', ofxDate(transactions.length > 0 ? transactions[0].timestamp : account.createdAt)],
+            ['DTEND', ofxDate(last ? last.timestamp : now)],
+            ...transactions.map((transaction, index) => {
+              const amount = signedAmount(transaction, account);
+              return ['STMTTRN', [
+                ['TRNTYPE', ofxTransactionType(transaction, amount)],
+                ['DTPOSTED', ofxDate(transaction.timestamp)],
+                ['TRNAMT', formatDecimal(amount)],
+                ['FITID', fitId(transaction, account, index)],
+                ['NAME', describe(transaction).slice(0, OFX_NAME_LENGTH)],
+                ['MEMO', `${describe(transaction)}; balance after ${formatDecimal(transaction.balanceAfter)}`],
+              ]];
+            }),
+          ]],
+          ['LEDGERBAL', [
+            ['BALAMT', formatDecimal(last ? last.balanceAfter : account.balance)],
+            ['DTASOF', ofxDate(last ? last.timestamp : now)],
+          ]],
+        ]],
+      ]],
+    ]],
+  ]];
+}
+
+// SGML leaves have no end tag; XML closes everything.
+function renderOfxNode([name, content], xml, depth) {
+  const indent = '  '.repeat(depth);
+  if (!Array.isArray(content)) {
+    return [`${indent}<${name}>${escapeOfx(content)}${xml ? `</${name}>` : ''}`];
+  }
+  return [
+    `${indent}<${name}>`,
+    ...content.flatMap((child) => renderOfxNode(child, xml, depth + 1)),
+    `${indent}</${name}>`,
+  ];
+}
+
+const OFX_HEADERS = {
+  1: [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+  ],
+  2: [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+  ],
+};
+
+function toOfx(account, { version = 1, now = new Date() } = {}) {
+  const header = OFX_HEADERS[Number(version)];
+  if (!header) {
+    throw new ValidationError('OFX version must be 1 (SGML) or 2 (XML).', 'OFX_VERSION_INVALID');
+  }
+  const xml = Number(version) === 2;
+  const eol = xml ? '\n' : '\r\n';
+
+  return [...header, ...renderOfxNode(ofxTree(account, now), xml, 0), ''].join(eol);
+}
+
+// MM/DD/YYYY, the date form QIF importers agree on.
+function qifDate(timestamp) {
+  const iso = new Date(timestamp).toISOString();
+  return `${iso.slice(5, 7)}/${iso.slice(8, 10)}/${iso.slice(0, 4)}`;
+}
+
+// QIF has no ID field, so the transaction ID goes in the check-number line.
+function toQif(account) {
+  const lines = ['!Type:Bank'];
+  account.transactions.forEach((transaction, index) => {
+    lines.push(
+      `D${qifDate(transaction.timestamp)}`,
+      `T${formatDecimal(signedAmount(transaction, account))}`,
+      `N${fitId(transaction, account, index)}`,
+      `P${describe(transaction)}`,
+      `M${transaction.type}; balance after ${formatDecimal(transaction.balanceAfter)}`,
+      '^'
+    );
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+const EXPORT_FORMATS = {
+  ofx: { extension: 'ofx', render: (account, options) => toOfx(account, options) },
+  qif: { extension: 'qif', render: (account) => toQif(account) },
+};
+
+function exportHistory(account, format, options) {
+  const entry = EXPORT_FORMATS[String(format).toLowerCase()];
+  if (!entry) {
+    throw new ValidationError(
+      `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`,
+      'EXPORT_FORMAT_INVALID'
+    );
+  }
+  return { content: entry.render(account, options), fileName: `${account.id}.${entry.extension}` };
+}
+
+module.exports = {
+  OFX_TYPES,
+  ofxDate,
+  toOfx,
+  toQif,
+  exportHistory,
+};
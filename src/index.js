@@ -1,518 +1,1602 @@
+#!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const chalk = require('chalk');
 const Table = require('cli-table3');
+const { AccountService, ACCOUNT_STATUS } = require('./account-service');
+const { BankError, ValidationError, AuthenticationError, DataFileError, ConflictError } = require('./errors');
+const money = require('./money');
+const { parseAmount } = require('./validation');
+const { SaveQueue } = require('./storage');
+const { AuditLog, MemoryAuditLog } = require('./audit');
+const { previousMonth, renderStatement, statementFileName } = require('./statement');
+const { parseRecords, accountsToCsv, transactionsToCsv } = require('./csv');
+const { exportHistory } = require('./finance-export');
+const { TRANSACTION_SORTS, ACCOUNT_SORTS } = require('./query');
+const { SCHEMA_VERSION, schemaVersionOf, pendingMigrations, migrate } = require('./migrations');
+const { readBackup, listBackups, newestValidBackup, rewriteBackups, createBackup } = require('./backup');
+const { isEncrypted, isEncryptedFile, checkNewPassphrase, DataCipher } = require('./encryption');
+const { JsonFileStore, siblingPath, createStore, storeOptions } = require('./stores');
+
+let store = new JsonFileStore(path.resolve(process.cwd(), 'bank-data.json')); //fixed: changed to let so tests can override path behavior; helps isolate file I/O in testing.
+let data = emptyData();
+let loadedRevision = 0; // revision of the file on disk that `data` is based on
+let recovery = null; // set when the data file was damaged at load: { quarantinedPath, backup }
+let passphrase = null; // typed at startup or given to the CLI; only used for encrypted files
+let cipher = null; // set while the data file is encrypted, and every save goes through it
+let saveError = null; // why the last save failed, or null when it succeeded
+let conflictAdvice = 'Restart the app to load the latest data.'; // the server reloads by itself
+
+const saveQueue = new SaveQueue(async () => {
+  saveError = null;
+  try {
+    const encode = cipher ? (record) => cipher.seal(record) : undefined;
+    anchorAudit();
+    loadedRevision = await store.write(data, loadedRevision, { encode });
+    data.revision = loadedRevision;
+  } catch (error) {
+    saveError = error;
+    const advice = error instanceof ConflictError && conflictAdvice ? ` ${conflictAdvice}` : '';
+    console.log(chalk.red(`Failed to save data. ${error.message}${advice}`));
+    recordSaveFailure(error);
+    return false;
+  }
+
+  // The save already stands; a failed copy is reported but does not undo it.
+  if (!store.backups) return true;
+  try {
+    await createBackup(store.filePath, { revision: loadedRevision });
+  } catch (error) {
+    console.log(chalk.yellow(`Saved, but the backup copy failed. ${error.message}`));
+  }
+  return true;
+});
+
+// The audit trail lives next to the data file: bank-data.json -> bank-data-audit.jsonl.
+// The memory store keeps its trail in memory too.
+function auditPath() {
+  return siblingPath(store.filePath, '-audit.jsonl');
+}
 
-let dataPath = path.resolve(process.cwd(), 'bank-data.json'); //fixed: changed to let so tests can override path behavior; helps isolate file I/O in testing.
-let data = { accounts: [] };
-let saving = false;
+const auditLog = new AuditLog(auditPath);
 
-let rl = readline.createInterface({ //fixed: changed to let so interface can be controlled in tests; helps avoid hard-coupled stdin behavior.
-  input: process.stdin,
-  output: process.stdout,
+const service = new AccountService({
+  getData: () => data,
+  onChange: () => saveData(),
+  audit: auditLog,
 });
 
-let ask = (question) => new Promise((resolve) => rl.question(question, resolve)); //fixed: made mutable for mock injection in tests; helps deterministic input handling.
+// Switches where the data lives; call loadData afterwards.
+function useStore(next) {
+  store = next;
+  service.audit = store.filePath ? auditLog : new MemoryAuditLog();
+}
+
+// Statements and exports are written next to the data file, or to the working
+// directory when there is none.
+function outputDir() {
+  return store.filePath ? path.dirname(store.filePath) : process.cwd();
+}
+
+function emptyData() {
+  return { schemaVersion: SCHEMA_VERSION, amountUnit: money.AMOUNT_UNIT, accounts: [] };
+}
+
+let rl = null; //fixed: created lazily so non-interactive commands never hold stdin open.
+
+let secretPrompt = null; // while a secret is typed, only its prompt is echoed
+
+function getInterface() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    // readline echoes through this; muting it keeps secrets off the screen and
+    // out of the scrollback. Enter still moves to the next line.
+    const writeToOutput = rl._writeToOutput.bind(rl);
+    rl._writeToOutput = (text) => {
+      if (secretPrompt === null || text === secretPrompt) {
+        writeToOutput(text);
+      } else if (/[\r\n]/.test(text)) {
+        writeToOutput('\n');
+      }
+    };
+  }
+  return rl;
+}
+
+let ask = (question) => new Promise((resolve) => getInterface().question(question, resolve)); //fixed: made mutable for mock injection in tests; helps deterministic input handling.
 exports.ask = ask; //fixed: exported for test access; helps verify prompt-dependent flows.
 
+// PINs, passwords and passphrases are typed without echo.
+async function askSecret(question) {
+  secretPrompt = question;
+  try {
+    return await ask(question);
+  } finally {
+    secretPrompt = null;
+  }
+}
+
 function loadData() {
-  if (!fs.existsSync(dataPath)) {
-    fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+  loadedRevision = 0;
+  recovery = null;
+  cipher = null;
+
+  if (!store.exists()) {
+    // `data` may still carry the revision of another store it was loaded from.
+    delete data.revision;
+    store.create(data);
+    recordLoad('created');
     return;
   }
 
+  let raw;
+  let parsed = null;
   try {
-    const raw = fs.readFileSync(dataPath, 'utf8');
-    data = JSON.parse(raw);
-    if (!data || !Array.isArray(data.accounts)) {
-      data = { accounts: [] };
+    raw = store.read();
+    parsed = JSON.parse(raw);
+    if (isEncrypted(parsed)) {
+      const decoder = new DataCipher(passphrase, parsed.kdf);
+      parsed = JSON.parse(decoder.decrypt(parsed));
+      cipher = decoder;
     }
+    loadedRevision = parsed && Number.isInteger(parsed.revision) ? parsed.revision : 0;
   } catch (error) {
-    console.log(chalk.yellow('Warning: Data file corrupted. Starting with empty data.'));
-    data = { accounts: [] };
+    // A missing or wrong passphrase is thrown, and so is a file that cannot be
+    // read at all: permissions or a failing disk say nothing about its contents.
+    // Only text that is not JSON is treated like a file of the wrong shape below.
+    if (error instanceof BankError) throw error;
+    if (!(error instanceof SyntaxError)) {
+      throw new DataFileError(`Cannot read ${store.name}: ${error.message}`, 'DATA_UNREADABLE');
+    }
+    parsed = null;
   }
+
+  if (!parsed || !Array.isArray(parsed.accounts)) {
+    quarantineDamagedFile();
+    return;
+  }
+
+  // Checked before `data` is replaced, so a file from a newer app is never touched.
+  const from = schemaVersionOf(parsed);
+  const pending = pendingMigrations(parsed);
+  data = parsed;
+
+  if (pending.length > 0) {
+    const backupPath = writeMigrationBackup(raw, from);
+    migrate(data, { service });
+    console.log(chalk.yellow(
+      `Upgraded ${store.name} from schema version ${from} to ${SCHEMA_VERSION}.` +
+      (backupPath ? ` The original was saved as ${path.basename(backupPath)}.` : '')
+    ));
+    pending.forEach((step) => console.log(chalk.gray(`  v${step.version}: ${step.description}`)));
+    saveData();
+  }
+  recordLoad('loaded');
 }
 
-function saveData() {
-  if (saving) return;
-  saving = true;
-  fs.writeFile(dataPath, JSON.stringify(data, null, 2), (err) => {
-    saving = false;
-    if (err) {
-      console.log(chalk.red('Failed to save data.'));
-    }
+// Loads the data again when another process saved since it was loaded, so a
+// long-running session does not keep answering from a stale copy. True if it did.
+function reloadIfChanged() {
+  if (!store.exists()) return false;
+  let revision = null;
+  try {
+    revision = JSON.parse(store.read()).revision;
+  } catch (error) {
+    // loadData decides what an unreadable file means
+  }
+  if ((Number.isInteger(revision) ? revision : 0) === loadedRevision) return false;
+  loadData();
+  return true;
+}
+
+function setConflictAdvice(text) {
+  conflictAdvice = text;
+}
+
+// bank-data.json -> bank-data.v1-backup-2024-01-31T09-00-00-000Z.json, byte for byte.
+// Null for the memory store, which has nowhere to put one.
+function writeMigrationBackup(raw, version) {
+  if (!store.filePath) return null;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = siblingPath(store.filePath, `.v${version}-backup-${stamp}.json`);
+  fs.writeFileSync(backupPath, raw);
+  return backupPath;
+}
+
+function usePassphrase(value) {
+  passphrase = value || null;
+}
+
+// Encrypted data, or a damaged file whose encrypted backups may be needed to recover it.
+function needsPassphrase() {
+  if (!store.encryption) return false;
+  if (isEncryptedFile(store.filePath)) return true;
+  return store.exists()
+    && readBackup(store.filePath) === null
+    && listBackups(store.filePath).some((backup) => backup.encrypted);
+}
+
+// Data file or backup text -> data. Backups may have been written under another
+// salt than the current file, so a fresh key is derived for those as needed.
+function decodeDataFile(raw) {
+  const parsed = JSON.parse(raw);
+  if (!isEncrypted(parsed)) return parsed;
+  return JSON.parse((cipher || new DataCipher(passphrase, parsed.kdf)).decrypt(parsed));
+}
+
+// A backup's text, read as plaintext or through `from`, encrypted again through
+// `to`. Null when it does not read that way; such copies are left as they are.
+function resealBackup(raw, from, to) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (isEncrypted(parsed) && !from) return null;
+    return to.seal(isEncrypted(parsed) ? JSON.parse(from.decrypt(parsed)) : parsed);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Backups and encryption work on the JSON data file itself.
+function requireFileFeature(feature, description) {
+  if (!store[feature]) {
+    throw new ValidationError(`${description} are not available with the ${store.type} store.`, 'STORE_UNSUPPORTED');
+  }
+}
+
+// Writes the data file through `next` and switches to it; the old cipher stays
+// in place if that save fails.
+async function saveWithCipher(next) {
+  const previous = cipher;
+  cipher = next;
+  await flushSaves();
+  if (!(await saveData())) {
+    cipher = previous;
+    throw new DataFileError('The data file could not be rewritten. Nothing was changed.', 'SAVE_FAILED');
+  }
+}
+
+// Encrypts the data file and the copies in the backup folder, so no plaintext
+// copy of the data is left behind there.
+async function encryptDataFile(newPassphrase) {
+  service.authorize('data:encryption');
+  requireFileFeature('encryption', 'Encryption settings');
+  if (cipher) {
+    throw new ValidationError('The data file is already encrypted. Rotate the passphrase instead.', 'ALREADY_ENCRYPTED');
+  }
+  checkNewPassphrase(newPassphrase);
+
+  const next = new DataCipher(newPassphrase);
+  await saveWithCipher(next);
+  passphrase = newPassphrase;
+  const backups = await rewriteBackups(store.filePath, (raw) => resealBackup(raw, null, next));
+  service.record('DATA_ENCRYPTED', { backups: backups.length });
+  return { backups: backups.length };
+}
+
+// Re-encrypts the data file and every backup the current passphrase opens
+// under a new passphrase and salt.
+async function rotatePassphrase(currentPassphrase, newPassphrase) {
+  service.authorize('data:encryption');
+  requireFileFeature('encryption', 'Encryption settings');
+  if (!cipher) {
+    throw new ValidationError('The data file is not encrypted.', 'NOT_ENCRYPTED');
+  }
+  if (currentPassphrase !== cipher.passphrase) {
+    throw new AuthenticationError('The current passphrase is wrong.', 'PASSPHRASE_INVALID');
+  }
+  checkNewPassphrase(newPassphrase);
+
+  const previous = cipher;
+  const next = new DataCipher(newPassphrase);
+  await saveWithCipher(next);
+  passphrase = newPassphrase;
+  const backups = await rewriteBackups(store.filePath, (raw) => resealBackup(raw, previous, next));
+  service.record('PASSPHRASE_ROTATED', { backups: backups.length });
+  return { backups: backups.length };
+}
+
+// The loaded data as plain JSON for handing to other tools; the file stays encrypted.
+function decryptDataFile() {
+  service.authorize('data:encryption');
+  service.record('DATA_DECRYPTED', { encrypted: Boolean(cipher) });
+  return `${JSON.stringify({ ...data, revision: loadedRevision }, null, 2)}\n`;
+}
+
+// The damaged file is moved aside so the next save cannot overwrite it, and the
+// newest backup that still reads is remembered so it can be offered for restore.
+function quarantineDamagedFile() {
+  const quarantinedPath = store.quarantine();
+  data = emptyData();
+  loadedRevision = 0;
+  recovery = { quarantinedPath, backup: store.backups ? newestValidBackup(store.filePath, decodeDataFile) : null };
+
+  console.log(chalk.yellow('Warning: Data file corrupted. Starting with empty data.'));
+  if (quarantinedPath) {
+    console.log(chalk.yellow(`The damaged file was kept as ${path.basename(quarantinedPath)}.`));
+  }
+  if (recovery.backup) {
+    console.log(chalk.yellow(`Newest readable backup: ${describeBackup(recovery.backup)}.`));
+  }
+  recordLoad('corrupt');
+}
+
+function describeBackup(backup) {
+  const contents = backup.valid ? `${backup.accounts} account(s)` : 'unreadable';
+  return `${backup.file} (${contents}, revision ${backup.revision})`;
+}
+
+function listDataBackups() {
+  return store.backups ? listBackups(store.filePath, decodeDataFile) : [];
+}
+
+// Copies the data file as saved so far; pending saves are written first.
+async function backUpNow() {
+  service.authorize('backup:create');
+  requireFileFeature('backups', 'Backups');
+  await flushSaves();
+  let backupPath;
+  try {
+    backupPath = await createBackup(store.filePath, { revision: loadedRevision });
+  } catch (error) {
+    throw new DataFileError(`Could not write the backup. ${error.message}`, 'BACKUP_FAILED');
+  }
+  service.record('BACKUP_CREATED', { file: path.basename(backupPath), revision: loadedRevision });
+  return backupPath;
+}
+
+// Replaces the loaded data with a backup and saves it as the next revision, so a
+// restore is backed up like any other change and can itself be undone.
+function restoreBackup(backupPath) {
+  service.authorize('backup:restore');
+  requireFileFeature('backups', 'Backups');
+  const restored = readBackup(backupPath, decodeDataFile);
+  if (!restored) {
+    throw new DataFileError(`${path.basename(backupPath)} is not a readable backup.`, 'BACKUP_INVALID');
+  }
+  // An encrypted backup keeps the file encrypted; a plaintext one does not undo encryption.
+  if (!cipher && isEncryptedFile(backupPath)) cipher = new DataCipher(passphrase);
+
+  const replaced = data.accounts.length;
+  data = restored;
+  migrate(data, { service });
+  recovery = null;
+  service.record('BACKUP_RESTORED', {
+    file: path.basename(backupPath),
+    accounts: data.accounts.length,
+    replacedAccounts: replaced,
   });
+  saveData();
+  return data;
+}
+
+function recordLoad(outcome) {
+  service.record('DATA_LOADED', {
+    file: store.name,
+    outcome,
+    revision: loadedRevision,
+    accounts: data.accounts.length,
+  });
+}
+
+// Every save notes the newest audit entry in the data file, so removing entries
+// from the end of the log shows up in verifyAudit even though the rest still chains.
+function anchorAudit() {
+  const last = service.audit.lastEntry();
+  if (last) data.auditHead = { seq: last.seq, hash: last.hash };
+}
+
+function verifyAudit() {
+  return service.audit.verify(data.auditHead || null);
+}
+
+// Changes reach the audit log as they happen, before their save, so a failed
+// save is logged too: entries since the last save at `revision` never took effect.
+function recordSaveFailure(error) {
+  try {
+    service.record('SAVE_FAILED', { reason: error.message, code: error.code || null, revision: loadedRevision });
+  } catch (auditError) {
+    console.log(chalk.red(`The failed save could not be recorded in the audit log. ${auditError.message}`));
+  }
+}
+
+//fixed: saves are queued and written atomically instead of being skipped while another write is in flight.
+function saveData() {
+  return saveQueue.save();
+}
+
+function flushSaves() {
+  return saveQueue.flush();
 }
 
 function renderHeader() {
   console.log(chalk.cyan('======================================'));
   console.log(chalk.cyan('=            BANKCLI PRO v1.0        ='));
   console.log(chalk.cyan('======================================'));
+  if (service.operator) {
+    console.log(chalk.gray(`Operator: ${service.operator.username} (${service.operator.role.toLowerCase()})`));
+  }
+}
+
+// Menu entries in display order; an entry's option number is its position in the list.
+// Only the operations the logged-in operator's role allows are offered.
+function menuItems() {
+  return [
+    { label: 'Create New Account', action: createAccount, permission: 'account:create' },
+    { label: 'View Account Details', action: viewAccountDetails, permission: 'account:view' },
+    { label: 'List All Accounts', action: listAllAccounts, permission: 'account:view' },
+    { label: 'Deposit Funds', action: depositFunds, permission: 'deposit' },
+    { label: 'Withdraw Funds', action: withdrawFunds, permission: 'withdraw' },
+    { label: 'Transfer Between Accounts', action: transferFunds, permission: 'transfer' },
+    { label: 'View Transaction History', action: viewTransactionHistory, permission: 'account:view' },
+    { label: 'Close Account', action: deleteAccount, permission: 'account:close' },
+    { label: 'Change Account Status', action: changeAccountStatus, permission: 'account:status' },
+    { label: 'Set Overdraft Limit', action: setOverdraftLimit, permission: 'limits:set' },
+    { label: 'Pay External Beneficiary', action: payExternalBeneficiary, permission: 'payment:external' },
+    { label: 'Set Account PIN', action: setAccountPin, permission: 'pin:set' },
+    { label: 'Reverse Transaction', action: reverseTransaction, permission: 'transaction:reverse' },
+    { label: 'Standing Orders', action: manageStandingOrders, permission: 'standing-order:manage' },
+    { label: 'Account Statement', action: accountStatement, permission: 'account:view' },
+    { label: 'Import / Export CSV', action: importExportCsv, permission: 'account:view' },
+    { label: 'Export OFX / QIF', action: exportFinanceFile, permission: 'account:view' },
+    { label: 'Backup & Restore', action: backupAndRestore, permission: 'backup:create' },
+    { label: 'Data Encryption', action: dataEncryption, permission: 'data:encryption' },
+    { label: 'Add Operator', action: addOperator, permission: 'operator:manage' },
+    { label: 'Verify Audit Log', action: verifyAuditLog, permission: 'audit:verify' },
+    { label: 'Exit Application', action: exitApp },
+  ].filter((item) => !item.permission || service.can(item.permission));
 }
 
 function renderMenu() {
-  console.log('1. Create New Account');
-  console.log('2. View Account Details');
-  console.log('3. List All Accounts');
-  console.log('4. Deposit Funds');
-  console.log('5. Withdraw Funds');
-  console.log('6. Transfer Between Accounts');
-  console.log('7. View Transaction History');
-  console.log('8. Delete Account');
-  console.log('9. Exit Application');
+  menuItems().forEach((item, index) => {
+    console.log(`${index + 1}. ${item.label}`);
+  });
 }
 
-function formatMoney(value) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-  }).format(value);
+function formatMoney(cents) {
+  return money.formatMoney(cents);
 }
 
 function generateAccountId() {
-  let id = '';
-  do {
-    id = `ACC-${Math.floor(1000 + Math.random() * 9000)}`;
-  } while (data.accounts.some((account) => account.id === id));
-  return id;
+  return service.generateAccountId();
+}
+
+function findAccountById(id) {
+  return service.findAccount(id);
+}
+exports.findAccountById = findAccountById; //fixed: exported helper for unit tests; helps test account lookups directly.
+
+async function pause() {
+  await ask(chalk.gray('\nPress Enter to continue...'));
+}
+exports.pause = pause; //fixed: exported pause for mocking/assertion; helps avoid blocking test execution.
+
+// Runs a service call for a menu handler; rule violations are printed instead of thrown.
+async function attempt(action) {
+  try {
+    return await action();
+  } catch (error) {
+    if (!(error instanceof BankError)) throw error;
+    console.log(chalk.red(error.message));
+    await pause();
+    return null;
+  }
+}
+
+// Asks for the account's PIN when it has one. False means access was refused
+// and the reason has already been shown.
+async function unlockAccount(account) {
+  if (!service.hasPin(account)) return true;
+
+  const pin = await askSecret('PIN: ');
+  return Boolean(await attempt(() => service.verifyPin(account.id, pin)));
+}
+
+async function createAccount() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Create New Account'));
+
+  const holderName = await ask('Account holder name: ');
+  if (!(await attempt(() => service.validateHolderName(holderName)))) return;
+
+  const initialDeposit = await ask('Initial deposit amount: ');
+  const result = await attempt(() => service.createAccount({ holderName, initialDeposit }));
+  if (!result) return;
+
+  console.log(chalk.green(`Account created successfully. ID: ${result.account.id}`));
+  await pause();
+}
+
+// An exact ID wins; otherwise the input is searched for and, if it matches more
+// than one account, the operator picks from the closest matches.
+async function findAccountByIdOrName(input) {
+  const text = input.trim();
+  const exact = text === '' ? null : service.findAccount(text);
+  if (exact) return exact;
+
+  const { items, total } = text === '' ? { items: [], total: 0 } : service.searchAccounts({ search: text, pageSize: 9 });
+  if (total === 0) {
+    console.log(chalk.red('Account not found.'));
+    await pause();
+    return null;
+  }
+  if (total === 1) return items[0];
+
+  items.forEach((account, index) => {
+    console.log(`${index + 1}. ${account.id}  ${account.holderName}`);
+  });
+  if (total > items.length) {
+    console.log(chalk.gray(`...and ${total - items.length} more; type more of the name to narrow it down.`));
+  }
+
+  const choice = (await ask(`Select account (1-${items.length}): `)).trim();
+  const picked = /^\d+$/.test(choice) ? items[Number(choice) - 1] : undefined;
+  if (!picked) {
+    console.log(chalk.red('Invalid selection.'));
+    await pause();
+    return null;
+  }
+  return picked;
+}
+
+async function viewAccountDetails() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('View Account Details'));
+
+  const account = await findAccountByIdOrName(await ask('Account ID or holder name: '));
+  if (!account || !(await unlockAccount(account))) return;
+
+  const lines = [
+    `Account: ${account.id}`,
+    `Holder: ${account.holderName}`,
+    `Balance: ${formatMoney(account.balance)}`,
+    `Available: ${formatMoney(service.availableBalance(account))}`,
+    `Overdraft limit: ${formatMoney(service.overdraftLimitOf(account))}`,
+    `Status: ${service.statusOf(account)}`,
+    `Opened: ${account.createdAt.split('T')[0]}`,
+  ];
+
+  const width = Math.max(...lines.map((line) => line.length)) + 4;
+  const border = `+${'-'.repeat(width - 2)}+`;
+
+  console.log(border);
+  lines.forEach((line) => {
+    console.log(`| ${line.padEnd(width - 4)} |`);
+  });
+  console.log(border);
+
+  await pause();
+}
+
+function renderAccountTable(accounts) {
+  const table = new Table({
+    head: ['ID', 'Holder Name', 'Balance', 'Status', 'Opened'],
+  });
+
+  accounts.forEach((account) => {
+    table.push([
+      account.id,
+      account.holderName,
+      formatMoney(account.balance),
+      service.statusOf(account),
+      account.createdAt.split('T')[0],
+    ]);
+  });
+
+  return table.toString();
+}
+
+async function listAllAccounts() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('All Accounts'));
+
+  if (service.listAccounts().length === 0) {
+    console.log(chalk.yellow('No accounts found.'));
+    await pause();
+    return;
+  }
+
+  let query = { page: 1 };
+  while (true) {
+    const result = service.searchAccounts(query);
+
+    console.clear();
+    renderHeader();
+    console.log(chalk.bold('All Accounts'));
+    console.log(describeAccountQuery(query));
+    console.log(result.total === 0 ? chalk.yellow('No matching accounts.') : renderAccountTable(result.items));
+    console.log(`Page ${result.page} of ${result.pageCount}`);
+    console.log(`Total accounts: ${result.totals.count}`);
+    console.log(`Total balance: ${formatMoney(result.totals.balance)}`);
+
+    const command = (await ask('[n]ext, [p]revious, [f]ind/filter, [s]ort, [c]lear, Enter to go back: ')).trim().toLowerCase();
+    if (command === '') return;
+
+    if (command === 'n') {
+      query = { ...query, page: result.page + 1 };
+    } else if (command === 'p') {
+      query = { ...query, page: Math.max(1, result.page - 1) };
+    } else if (command === 'f') {
+      query = (await askAccountFilters(query)) || query;
+    } else if (command === 's') {
+      const sort = await ask(`Sort (${Object.keys(ACCOUNT_SORTS).join('/')}): `);
+      const next = { ...query, sort: sort.trim().toLowerCase(), page: 1 };
+      if (await attempt(() => service.searchAccounts(next))) query = next;
+    } else if (command === 'c') {
+      query = { page: 1, sort: query.sort };
+    }
+  }
+}
+
+function describeAccountQuery(query) {
+  const parts = [];
+  if (query.search) parts.push(`matching "${query.search}"`);
+  if (query.status) parts.push(`status ${query.status}`);
+  if (query.minBalance !== undefined || query.maxBalance !== undefined) {
+    const min = query.minBalance !== undefined ? formatMoney(query.minBalance) : '...';
+    const max = query.maxBalance !== undefined ? formatMoney(query.maxBalance) : '...';
+    parts.push(`balance ${min} to ${max}`);
+  }
+  if (query.sort) parts.push(`sorted ${query.sort}`);
+  return chalk.gray(parts.length > 0 ? `Showing: ${parts.join(', ')}` : 'Showing: all accounts');
+}
+
+// Blank answers leave that filter off. Returns null, after showing why, if any is invalid.
+async function askAccountFilters(current) {
+  const search = (await ask('Name or ID contains: ')).trim();
+  const status = (await ask(`Status (${Object.values(ACCOUNT_STATUS).join('/').toLowerCase()}): `)).trim();
+  const min = (await ask('Minimum balance: ')).trim();
+  const max = (await ask('Maximum balance: ')).trim();
+
+  return attempt(() => {
+    const next = { page: 1, sort: current.sort };
+    if (search) next.search = search;
+    if (status) next.status = status;
+    if (min) next.minBalance = money.parseMoney(min, 'Minimum balance');
+    if (max) next.maxBalance = money.parseMoney(max, 'Maximum balance');
+    service.searchAccounts(next);
+    return next;
+  });
+}
+
+async function depositFunds() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Deposit Funds'));
+
+  const id = await ask('Account ID: ');
+  if (!(await attempt(() => service.getAccount(id.trim())))) return;
+
+  const amountInput = await ask('Deposit amount: '); //fixed: explicit input capture retained for validation/test coverage paths; helps verify deposit prompt behavior.
+  //TP-0015, TP-0016, TP-0017 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+
+  const result = await attempt(() => service.deposit(id.trim(), service.parseAmount('deposit', amountInput)));
+  if (!result) return;
+
+  console.log(chalk.green(`Deposit complete. New balance: ${formatMoney(result.account.balance)}`));
+  await pause();
+}
+
+async function withdrawFunds() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Withdraw Funds'));
+
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account || !(await unlockAccount(account))) return;
+
+  const amountInput = await ask('Withdrawal amount: '); //fixed: explicit input capture retained for validation/test coverage paths; helps verify withdrawal prompt behavior.
+  //TP-020, TP-021, TP-022 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
+  const result = await attempt(() => service.withdraw(id.trim(), service.parseAmount('withdrawal', amountInput)));
+  if (!result) return;
+
+  if (result.fee) {
+    console.log(chalk.yellow(`Overdraft fee charged: ${formatMoney(result.fee.amount)}`));
+  }
+  console.log(chalk.green(`Withdrawal complete. New balance: ${formatMoney(result.account.balance)}`));
+  await pause();
+}
+
+async function transferFunds() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Transfer Between Accounts'));
+
+  const fromId = await ask('From Account ID: ');
+  const toId = await ask('To Account ID: ');
+  const amountInput = await ask('Transfer amount: '); //fixed: explicit input capture retained for transfer branching tests; helps verify transfer prompt behavior.
+
+  const source = await attempt(() => service.getAccount(fromId.trim(), 'Source account not found.'));
+  if (!source || !(await unlockAccount(source))) return;
+
+  //fixed: trims destination ID before lookup; helps avoid mismatch from extra spaces.
+  const result = await attempt(() => service.transfer(fromId.trim(), toId.trim(), service.parseAmount('transfer', amountInput)));
+  if (!result) return;
+
+  if (result.fee) {
+    console.log(chalk.yellow(`Overdraft fee charged: ${formatMoney(result.fee.amount)}`));
+  }
+  console.log(chalk.green(`Transfer completed. Reference: ${result.reference}`));
+  await pause();
+}
+
+// Money leaving the bank is never the default: it has its own screen and must be confirmed.
+async function payExternalBeneficiary() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Pay External Beneficiary'));
+
+  const fromId = await ask('From Account ID: ');
+  const source = await attempt(() => service.getAccount(fromId.trim(), 'Source account not found.'));
+  if (!source || !(await unlockAccount(source))) return;
+
+  const name = await ask('Beneficiary name: ');
+  const beneficiaryAccount = await ask('Beneficiary account number: ');
+  const beneficiary = await attempt(() => service.validateBeneficiary({ name, account: beneficiaryAccount }));
+  if (!beneficiary) return;
+
+  const amountInput = await ask('Amount: ');
+  const amount = await attempt(() => service.parseAmount('transfer', amountInput));
+  if (amount === null) return;
+
+  const confirm = await ask(
+    `Send ${formatMoney(amount)} to ${beneficiary.name} (${beneficiary.account}) outside the bank? (y/N): `
+  );
+  if (confirm.trim().toLowerCase() !== 'y') {
+    console.log(chalk.yellow('Payment cancelled.'));
+    await pause();
+    return;
+  }
+
+  const result = await attempt(() => service.payExternal(fromId.trim(), beneficiary, amount));
+  if (!result) return;
+
+  if (result.fee) {
+    console.log(chalk.yellow(`Overdraft fee charged: ${formatMoney(result.fee.amount)}`));
+  }
+  console.log(chalk.green(`Payment sent to clearing. Reference: ${result.reference}`));
+  await pause();
+}
+
+function renderTransactionTable(transactions) {
+  const table = new Table({
+    head: ['ID', 'Date', 'Type', 'Amount', 'Balance After', 'Reference'],
+  });
+
+  transactions.forEach((transaction) => {
+    table.push([
+      transaction.id || '',
+      transaction.timestamp.split('T')[0],
+      transaction.type,
+      formatMoney(transaction.amount),
+      formatMoney(transaction.balanceAfter),
+      transaction.reference || '',
+    ]);
+  });
+
+  return table.toString();
+}
+
+async function viewTransactionHistory() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Transaction History'));
+
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account || !(await unlockAccount(account))) return;
+
+  if (account.transactions.length === 0) {
+    console.log(chalk.yellow('No transactions found.'));
+    await pause();
+    return;
+  }
+
+  let query = { page: 1 };
+  while (true) {
+    const result = service.searchHistory(account.id, query);
+
+    console.clear();
+    renderHeader();
+    console.log(chalk.bold(`Transaction History: ${account.id}`));
+    console.log(describeHistoryQuery(query));
+    console.log(result.total === 0 ? chalk.yellow('No matching transactions.') : renderTransactionTable(result.items));
+    console.log(`Page ${result.page} of ${result.pageCount} (${result.total} matching)`);
+    console.log(
+      `Total in: ${formatMoney(result.totals.moneyIn)}  Total out: ${formatMoney(result.totals.moneyOut)}  Net: ${formatMoney(result.totals.net)}`
+    );
+
+    const command = (await ask('[n]ext, [p]revious, [f]ilter, [s]ort, [c]lear filters, Enter to go back: ')).trim().toLowerCase();
+    if (command === '') return;
+
+    if (command === 'n') {
+      query = { ...query, page: result.page + 1 };
+    } else if (command === 'p') {
+      query = { ...query, page: Math.max(1, result.page - 1) };
+    } else if (command === 'f') {
+      query = (await askHistoryFilters(account.id, query)) || query;
+    } else if (command === 's') {
+      const sort = await ask(`Sort (${Object.keys(TRANSACTION_SORTS).join('/')}): `);
+      const next = { ...query, sort: sort.trim().toLowerCase(), page: 1 };
+      if (await attempt(() => service.searchHistory(account.id, next))) query = next;
+    } else if (command === 'c') {
+      query = { page: 1, sort: query.sort };
+    }
+  }
 }
 
-function findAccountById(id) {
-  return data.accounts.find((account) => account.id === id);
+function describeHistoryQuery(query) {
+  const parts = [];
+  if (query.from || query.to) parts.push(`dates ${query.from || '...'} to ${query.to || '...'}`);
+  if (query.types) parts.push(`type ${query.types}`);
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    const min = query.minAmount !== undefined ? formatMoney(query.minAmount) : '...';
+    const max = query.maxAmount !== undefined ? formatMoney(query.maxAmount) : '...';
+    parts.push(`amount ${min} to ${max}`);
+  }
+  if (query.text) parts.push(`text "${query.text}"`);
+  if (query.sort) parts.push(`sorted ${query.sort}`);
+  return chalk.gray(parts.length > 0 ? `Showing: ${parts.join(', ')}` : 'Showing: all transactions');
 }
-exports.findAccountById = findAccountById; //fixed: exported helper for unit tests; helps test account lookups directly.
 
-async function pause() {
-  await ask(chalk.gray('\nPress Enter to continue...'));
+// Blank answers leave that filter off. Returns null, after showing why, if any is invalid.
+async function askHistoryFilters(accountId, current) {
+  const from = (await ask('From date (YYYY-MM-DD): ')).trim();
+  const to = (await ask('To date (YYYY-MM-DD): ')).trim();
+  const types = (await ask('Types, comma-separated (e.g. deposit,withdrawal): ')).trim();
+  const min = (await ask('Minimum amount: ')).trim();
+  const max = (await ask('Maximum amount: ')).trim();
+  const text = (await ask('Description contains: ')).trim();
+
+  const query = await attempt(() => {
+    const next = { page: 1, sort: current.sort };
+    if (from) next.from = from;
+    if (to) next.to = to;
+    if (types) next.types = types;
+    if (min) next.minAmount = parseAmount(min, { label: 'Minimum amount', allowZero: true });
+    if (max) next.maxAmount = parseAmount(max, { label: 'Maximum amount', allowZero: true });
+    if (text) next.text = text;
+    service.searchHistory(accountId, next);
+    return next;
+  });
+  return query;
 }
-exports.pause = pause; //fixed: exported pause for mocking/assertion; helps avoid blocking test execution.
 
-async function createAccount() {
+// Shows the statement and optionally saves it next to the data file for the holder.
+async function accountStatement() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('Create New Account'));
+  console.log(chalk.bold('Account Statement'));
 
-  const holderName = await ask('Account holder name: ');
-    //TP-006 -> Account holder name needs to be filled in order to create account, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  //fixed: added required-name validation; helps prevent creating invalid accounts with blank names.
-  if (!holderName || holderName.trim() === '') {
-    console.log(chalk.red('Account holder name is required.'));
-    await pause();
-    return;
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account || !(await unlockAccount(account))) return;
+
+  const period = previousMonth();
+  const from = await ask(`From date (YYYY-MM-DD, blank for ${period.from}): `);
+  const to = await ask(`To date (YYYY-MM-DD, blank for ${period.to}): `);
+  const statement = await attempt(() => service.statement(account.id, {
+    from: from.trim() || period.from,
+    to: to.trim() || period.to,
+  }));
+  if (!statement) return;
+
+  console.log(renderStatement(statement, 'text'));
+
+  const format = (await ask('Save as (text/markdown/html, blank to skip): ')).trim().toLowerCase();
+  if (format !== '') {
+    const content = await attempt(() => renderStatement(statement, format));
+    if (content === null) return;
+
+    const filePath = path.join(outputDir(), statementFileName(statement, format));
+    if (!(await attempt(() => writeOutputFile(filePath, content)))) return;
+    console.log(chalk.green(`Statement saved to ${filePath}`));
   }
+  await pause();
+}
 
-  //fixed: added max-length rule; helps keep holder names consistent and within UI/data limits.
-  //TP-003 -> Account holder name must be at most 50 characters long, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  if (holderName.length > 50) {
-    console.log(chalk.red('Account holder name must be at most 50 characters long.'));
-    await pause();
-    return;
-  }
+function renderImportReport(report) {
+  report.rows.forEach((row) => {
+    if (row.error) {
+      console.log(chalk.red(`Line ${row.line}: ${row.holderName || '(no name)'}: ${row.error}`));
+    } else if (row.accountId) {
+      console.log(chalk.green(`Line ${row.line}: ${row.holderName} opened as ${row.accountId} with ${formatMoney(row.amount)}`));
+    } else {
+      console.log(`Line ${row.line}: ${row.holderName}, ${formatMoney(row.amount)}: OK`);
+    }
+  });
+  console.log(`${report.valid} valid row(s), ${report.invalid} with errors.`);
+}
 
-  //fixed: added character whitelist validation; helps reject malformed names early.
-  //TP-002, TP-004, TP-005 -> Account holder name must only contain letters, spaces, and hyphens, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  if (!/^[a-zA-Z\s\-]+$/.test(holderName)) {
-    console.log(chalk.red('Account holder name must only contain letters, spaces, and hyphens.'));
-    await pause();
-    return;
+// An unwritable directory is reported like any other refused action, as `--out` is in the CLI.
+function writeOutputFile(filePath, content) {
+  try {
+    fs.writeFileSync(filePath, content);
+  } catch (error) {
+    throw new BankError(`Cannot write ${filePath}: ${error.message}`, 'WRITE_FAILED');
   }
+  return filePath;
+}
 
-  //fixed: added duplicate-holder check; helps avoid conflicting account ownership records.
-  //TP-008 -> Account holder name must not duplicate an existing account holder name, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  if (data.accounts.some(account => account.holderName === holderName)) {
-    console.log(chalk.red('Account holder name already exists.'));
-    await pause();
-    return;
-  }
-  
-  const initialDepositInput = await ask('Initial deposit amount: ');
-  //fixed: added required-deposit validation; helps block empty monetary input.
-  //TP-007 -> Initial deposit amount needs to be filled in order to create account, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  if (!initialDepositInput || initialDepositInput.trim() === '') {
-    console.log(chalk.red('Initial deposit amount is required.'));
+async function writeExport(name, content) {
+  const filePath = path.join(outputDir(), name);
+  if (!(await attempt(() => writeOutputFile(filePath, content)))) return;
+  console.log(chalk.green(`Exported to ${filePath}`));
+  await pause();
+}
+
+// Checks the whole file first and only imports once every row passes and the
+// operator has seen the report.
+async function importAccountsCsv() {
+  const filePath = (await ask('CSV file (columns holderName, initialDeposit): ')).trim();
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(filePath), 'utf8');
+  } catch (error) {
+    console.log(chalk.red(`Cannot read ${filePath}: ${error.message}`));
     await pause();
     return;
   }
 
-  const initialDeposit = parseFloat(initialDepositInput);
+  const records = parseRecords(text);
+  const report = await attempt(() => service.importAccounts(records, { dryRun: true }));
+  if (!report) return;
+  renderImportReport(report);
 
-  //fixed: added numeric/precision/range checks; helps enforce safe, predictable money values.
-  //TP-004, TP-005 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  if (isNaN(initialDeposit)) {
-    console.log(chalk.red('Initial deposit amount must be a valid number.'));
+  if (report.invalid > 0 || report.valid === 0) {
+    console.log(chalk.yellow('Nothing imported.'));
     await pause();
     return;
   }
 
-  if (!/^-?\d+(\.\d{1,2})?$/.test(initialDepositInput.trim())) {
-    console.log(chalk.red('Initial deposit amount must have up to 2 decimal places.'));
+  const confirm = await ask(`Import ${report.valid} account(s)? (y/N): `);
+  if (confirm.trim().toLowerCase() !== 'y') {
+    console.log(chalk.yellow('Import cancelled.'));
     await pause();
     return;
   }
 
-  if (initialDeposit < 0) {
-    console.log(chalk.red('Initial deposit amount must be greater than or equal to 0.'));
-    await pause();
-    return;
+  const result = await attempt(() => service.importAccounts(records));
+  if (!result) return;
+  renderImportReport(result);
+  await pause();
+}
+
+// PIN-protected accounts are left out: their history needs the PIN, as in
+// "View Transaction History".
+async function exportTransactionsCsv() {
+  const accounts = service.listAccounts();
+  const open = accounts.filter((account) => !service.hasPin(account));
+  if (open.length < accounts.length) {
+    console.log(chalk.yellow(`Left out ${accounts.length - open.length} PIN-protected account(s).`));
   }
+  await writeExport('transactions.csv', transactionsToCsv(open));
+}
 
-  if (initialDeposit > 1000000) {
-    console.log(chalk.red('Initial deposit amount must be less than or equal to 1000000.'));
+const CSV_ACTIONS = {
+  'export-accounts': () => writeExport('accounts.csv', accountsToCsv(service.listAccounts(), (account) => service.statusOf(account))),
+  'export-transactions': exportTransactionsCsv,
+  import: importAccountsCsv,
+};
+
+async function importExportCsv() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Import / Export CSV'));
+
+  const actionInput = await ask(`Action (${Object.keys(CSV_ACTIONS).join('/')}): `);
+  const action = CSV_ACTIONS[actionInput.trim().toLowerCase()];
+  if (!action) {
+    console.log(chalk.red('Unknown action.'));
     await pause();
     return;
   }
 
-  const id = generateAccountId();
-  const now = new Date().toISOString();
+  await action();
+}
 
-  const account = {
-    id,
-    holderName,
-    balance: initialDeposit,
-    createdAt: now,
-    transactions: [],
-  };
+async function exportFinanceFile() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Export OFX / QIF'));
 
-  account.transactions.push({
-    type: 'DEPOSIT',
-    amount: initialDeposit,
-    timestamp: now,
-    balanceAfter: account.balance,
-    description: 'Initial deposit',
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account || !(await unlockAccount(account))) return;
+
+  const format = await ask('Format (ofx/qif): ');
+  const result = await attempt(() => exportHistory(account, format.trim()));
+  if (!result) return;
+
+  await writeExport(result.fileName, result.content);
+}
+
+async function deleteAccount() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Close Account'));
+
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account || !(await unlockAccount(account))) return;
+
+  //fixed: closing keeps the account and its history for audit instead of removing the record.
+  const result = await attempt(() => service.closeAccount(account.id));
+  if (!result) return;
+
+  console.log(chalk.green('Account closed. Its transaction history is kept for audit.'));
+  result.cancelledOrders.forEach((order) => {
+    console.log(chalk.yellow(`Standing order ${order.id} was cancelled with it.`));
   });
+  await pause();
+}
 
-  data.accounts.push(account);
-  saveData();
+async function setOverdraftLimit() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Set Overdraft Limit'));
 
-  console.log(chalk.green(`Account created successfully. ID: ${id}`));
+  const id = await ask('Account ID: ');
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account) return;
+
+  console.log(`Current limit: ${formatMoney(service.overdraftLimitOf(account))}, fee: ${formatMoney(account.overdraftFee || 0)}`);
+  const limitInput = await ask('New overdraft limit: ');
+  const feeInput = await ask('Overdraft fee (blank to keep current): ');
+
+  const result = await attempt(() => service.setOverdraft(account.id, {
+    limit: parseAmount(limitInput, { label: 'Overdraft limit', allowZero: true }),
+    fee: feeInput.trim() === '' ? undefined : parseAmount(feeInput, { label: 'Overdraft fee', allowZero: true }),
+  }));
+  if (!result) return;
+
+  console.log(chalk.green(
+    `Overdraft limit set to ${formatMoney(service.overdraftLimitOf(account))}. ` +
+    `Available balance: ${formatMoney(service.availableBalance(account))}.`
+  ));
   await pause();
 }
 
-async function viewAccountDetails() {
+async function setAccountPin() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('View Account Details'));
+  console.log(chalk.bold('Set Account PIN'));
 
   const id = await ask('Account ID: ');
-  const account = findAccountById(id.trim());
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account) return;
 
-  if (!account) {
-    console.log(chalk.red('Account not found.'));
+  const currentPin = service.hasPin(account) ? await askSecret('Current PIN: ') : undefined;
+  const newPin = await askSecret('New PIN or passphrase (blank to remove): ');
+
+  if (newPin === '') {
+    if (!(await attempt(() => service.removePin(account.id, currentPin)))) return;
+    console.log(chalk.green(`PIN removed from ${account.id}.`));
     await pause();
     return;
   }
 
-  const lines = [
-    `Account: ${account.id}`,
-    `Holder: ${account.holderName}`,
-    `Balance: ${formatMoney(account.balance)}`,
-    `Opened: ${account.createdAt.split('T')[0]}`,
-  ];
+  const confirmPin = await askSecret('Repeat new PIN: ');
+  if (confirmPin !== newPin) {
+    console.log(chalk.red('PINs do not match.'));
+    await pause();
+    return;
+  }
 
-  const width = Math.max(...lines.map((line) => line.length)) + 4;
-  const border = `+${'-'.repeat(width - 2)}+`;
+  if (!(await attempt(() => service.setPin(account.id, newPin, currentPin)))) return;
 
-  console.log(border);
-  lines.forEach((line) => {
-    console.log(`| ${line.padEnd(width - 4)} |`);
-  });
-  console.log(border);
+  console.log(chalk.green(`PIN set for ${account.id}.`));
+  await pause();
+}
 
+async function addOperator() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Add Operator'));
+
+  const username = await ask('Username: ');
+  const role = await ask('Role (teller/admin): ');
+  const password = await askNewPassword();
+  if (password === null) return;
+
+  const result = await attempt(() => service.addOperator({ username, role, password }));
+  if (!result) return;
+
+  console.log(chalk.green(`Operator ${result.operator.username} added as ${result.operator.role.toLowerCase()}.`));
   await pause();
 }
 
-async function listAllAccounts() {
+async function askNewPassword() {
+  const password = await askSecret('Password: ');
+  const confirm = await askSecret('Repeat password: ');
+  if (confirm !== password) {
+    console.log(chalk.red('Passwords do not match.'));
+    await pause();
+    return null;
+  }
+  return password;
+}
+
+const MAX_LOGIN_ATTEMPTS = 3;
+
+// Runs before the menu. On first use it creates the initial admin instead.
+async function signIn() {
+  if (!service.hasOperators()) {
+    console.log(chalk.yellow('No operators are set up yet. Create the first administrator.'));
+    const username = await ask('Username: ');
+    const password = await askNewPassword();
+    if (password === null) return false;
+    if (!(await attempt(() => service.addOperator({ username, role: 'admin', password })))) return false;
+    service.login(username, password);
+    return true;
+  }
+
+  for (let tries = 0; tries < MAX_LOGIN_ATTEMPTS; tries++) {
+    const username = await ask('Username: ');
+    const password = await askSecret('Password: ');
+    try {
+      service.login(username, password);
+      return true;
+    } catch (error) {
+      if (!(error instanceof BankError)) throw error;
+      console.log(chalk.red(error.message));
+    }
+  }
+
+  console.log(chalk.red('Too many failed login attempts.'));
+  return false;
+}
+
+async function reverseTransaction() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('All Accounts'));
+  console.log(chalk.bold('Reverse Transaction'));
 
-  if (data.accounts.length === 0) {
-    console.log(chalk.yellow('No accounts found.'));
+  const id = await ask('Transaction ID (from the history list): ');
+  const found = service.findTransaction(id.trim());
+  if (!found) {
+    console.log(chalk.red('Transaction not found.'));
+    await pause();
+    return;
+  }
+
+  const { account, transaction } = found;
+  console.log(`${transaction.type} of ${formatMoney(transaction.amount)} on ${account.id}, ${transaction.timestamp.split('T')[0]}`);
+  if (transaction.reference) {
+    console.log(`Part of ${transaction.reference}; the other leg will be reversed too.`);
+  }
+  if (service.findFees([transaction.id]).length > 0) {
+    console.log('The overdraft fee it charged will be reversed too.');
+  }
+  const reason = await ask('Reason: ');
+  const confirm = await ask('Reverse this transaction? (y/N): ');
+  if (confirm.trim().toLowerCase() !== 'y') {
+    console.log(chalk.yellow('Reversal cancelled.'));
     await pause();
     return;
   }
 
+  const result = await attempt(() => service.reverseTransaction(transaction.id, { reason }));
+  if (!result) return;
+
+  console.log(chalk.green(`Reversed. Reversal entries: ${result.reversals.map((reversal) => reversal.id).join(', ')}`));
+  await pause();
+}
+
+function describeRun(run) {
+  const detail = run.reference || run.reason;
+  return `${run.orderId} ${run.dueDate}: ${run.outcome}${detail ? ` (${detail})` : ''}`;
+}
+
+function renderStandingOrders(orders) {
+  if (orders.length === 0) {
+    console.log(chalk.yellow('No standing orders.'));
+    return;
+  }
+
   const table = new Table({
-    head: ['ID', 'Holder Name', 'Balance', 'Status'],
+    head: ['ID', 'From', 'To', 'Amount', 'Frequency', 'Next Run', 'Ends', 'Status'],
   });
-
-  data.accounts.forEach((account) => {
+  orders.forEach((order) => {
     table.push([
-      account.id,
-      account.holderName,
-      formatMoney(account.balance),
-      'ACTIVE',
+      order.id,
+      order.fromId,
+      order.toId,
+      formatMoney(order.amount),
+      order.frequency,
+      order.nextRunDate || '-',
+      order.endDate || '-',
+      order.status,
     ]);
   });
-
   console.log(table.toString());
+}
 
-  const totalBalance = data.accounts.reduce(
-    (sum, account) => sum + account.balance,
-    0
-  );
+async function createStandingOrder() {
+  const fromId = await ask('From account ID: ');
+  const from = await attempt(() => service.getAccount(fromId.trim(), 'Source account not found.'));
+  if (!from || !(await unlockAccount(from))) return;
+  const toId = await ask('To account ID: ');
+  const amountInput = await ask('Amount: ');
+  const amount = await attempt(() => service.parseAmount('transfer', amountInput));
+  if (amount === null) return;
+  const frequency = await ask('Frequency (once/daily/weekly/monthly): ');
+  const startDate = await ask('First payment date (YYYY-MM-DD, blank for today): ');
+  const endDate = await ask('Last payment date (YYYY-MM-DD, blank for none): ');
+
+  const result = await attempt(() => service.createStandingOrder({
+    fromId: from.id,
+    toId: toId.trim(),
+    amount,
+    frequency,
+    startDate,
+    endDate: endDate.trim() || undefined,
+  }));
+  if (!result) return;
+
+  console.log(chalk.green(`Standing order ${result.order.id} created; first run on ${result.order.nextRunDate}.`));
+  await pause();
+}
 
-  console.log(`Total accounts: ${data.accounts.length}`);
-  console.log(`Total balance: ${formatMoney(totalBalance)}`);
+async function cancelStandingOrder() {
+  const id = await ask('Standing order ID: ');
+  const result = await attempt(() => service.cancelStandingOrder(id.trim()));
+  if (!result) return;
 
+  console.log(chalk.green(`Standing order ${result.order.id} cancelled.`));
   await pause();
 }
 
-async function depositFunds() {
+async function runDueStandingOrders() {
+  const results = service.runStandingOrders();
+  if (results.length === 0) {
+    console.log(chalk.yellow('No standing orders are due.'));
+  } else {
+    results.forEach((run) => {
+      const colour = run.outcome === 'SUCCEEDED' ? chalk.green : chalk.yellow;
+      console.log(colour(describeRun(run)));
+    });
+  }
+  await pause();
+}
+
+const STANDING_ORDER_ACTIONS = {
+  create: createStandingOrder,
+  cancel: cancelStandingOrder,
+  run: runDueStandingOrders,
+};
+
+async function manageStandingOrders() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('Deposit Funds'));
+  console.log(chalk.bold('Standing Orders'));
 
-  const id = await ask('Account ID: ');
-  const account = findAccountById(id.trim());
+  renderStandingOrders(service.listStandingOrders());
+  const actionInput = await ask(`Action (${Object.keys(STANDING_ORDER_ACTIONS).join('/')}, blank to go back): `);
+  const actionName = actionInput.trim().toLowerCase();
+  if (actionName === '') return;
 
-  if (!account) {
-    console.log(chalk.red('Account not found.'));
+  const action = STANDING_ORDER_ACTIONS[actionName];
+  if (!action) {
+    console.log(chalk.red('Unknown action.'));
     await pause();
     return;
   }
 
-  const amountInput = await ask('Deposit amount: '); //fixed: explicit input capture retained for validation/test coverage paths; helps verify deposit prompt behavior.
-  //TP-0015, TP-0016, TP-0017 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-
-  const amount = parseFloat(amountInput);
+  await action();
+}
 
-  account.balance += amount;
+function renderBackups(backups) {
+  if (backups.length === 0) {
+    console.log(chalk.yellow('No backups yet.'));
+    return;
+  }
 
-  account.transactions.push({
-    type: 'DEPOSIT',
-    amount,
-    timestamp: new Date().toISOString(),
-    balanceAfter: account.balance,
-    description: 'Deposit',
+  const table = new Table({
+    head: ['#', 'Saved', 'Revision', 'Accounts', 'Size'],
+  });
+  backups.forEach((backup, index) => {
+    table.push([
+      index + 1,
+      backup.savedAt,
+      backup.revision,
+      backup.valid ? backup.accounts : chalk.red('unreadable'),
+      `${backup.size} B`,
+    ]);
   });
+  console.log(table.toString());
+}
 
-  saveData();
+async function backUpFromMenu() {
+  const backupPath = await attempt(() => backUpNow());
+  if (!backupPath) return;
 
-  console.log(chalk.green(`Deposit complete. New balance: ${formatMoney(account.balance)}`));
+  console.log(chalk.green(`Backup saved as ${path.basename(backupPath)}.`));
   await pause();
 }
 
-async function withdrawFunds() {
-  console.clear();
-  renderHeader();
-  console.log(chalk.bold('Withdraw Funds'));
-
-  const id = await ask('Account ID: ');
-  const account = findAccountById(id.trim());
-
-  if (!account) {
-    console.log(chalk.red('Account not found.')); 
+async function restoreFromMenu(backups) {
+  const choice = await ask('Restore which backup (number): ');
+  const backup = backups[Number(choice.trim()) - 1];
+  if (!/^\d+$/.test(choice.trim()) || !backup) {
+    console.log(chalk.red('Invalid selection.'));
     await pause();
     return;
   }
 
-  const amountInput = await ask('Withdrawal amount: '); //fixed: explicit input capture retained for validation/test coverage paths; helps verify withdrawal prompt behavior.
-  //TP-020, TP-021, TP-022 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  const amount = parseFloat(amountInput);
-
-  account.balance -= amount;
-
-  account.transactions.push({
-    type: 'WITHDRAWAL',
-    amount,
-    timestamp: new Date().toISOString(),
-    balanceAfter: account.balance,
-    description: 'Withdrawal',
-  });
+  const confirm = await ask(
+    `Replace the current data (${data.accounts.length} account(s)) with ${describeBackup(backup)}? (y/N): `
+  );
+  if (confirm.trim().toLowerCase() !== 'y') {
+    console.log(chalk.yellow('Restore cancelled.'));
+    await pause();
+    return;
+  }
 
-  saveData();
+  const restored = await attempt(() => restoreBackup(backup.path));
+  if (!restored) return;
 
-  console.log(chalk.green(`Withdrawal complete. New balance: ${formatMoney(account.balance)}`));
+  console.log(chalk.green(`Restored ${restored.accounts.length} account(s) from ${backup.file}.`));
   await pause();
 }
 
-async function transferFunds() {
+const BACKUP_ACTIONS = {
+  backup: backUpFromMenu,
+  restore: restoreFromMenu,
+};
+
+async function backupAndRestore() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('Transfer Between Accounts'));
-
-  const fromId = await ask('From Account ID: ');
-  const toId = await ask('To Account ID: ');
-  const amountInput = await ask('Transfer amount: '); //fixed: explicit input capture retained for transfer branching tests; helps verify transfer prompt behavior.
+  console.log(chalk.bold('Backup & Restore'));
 
-  const fromAccount = findAccountById(fromId.trim());
+  const backups = listDataBackups();
+  renderBackups(backups);
+  const actionInput = await ask(`Action (${Object.keys(BACKUP_ACTIONS).join('/')}, blank to go back): `);
+  const actionName = actionInput.trim().toLowerCase();
+  if (actionName === '') return;
 
-  if (!fromAccount) {
-    console.log(chalk.red('Source account not found.'));
+  const action = BACKUP_ACTIONS[actionName];
+  if (!action) {
+    console.log(chalk.red('Unknown action.'));
     await pause();
     return;
   }
 
-  const amount = parseFloat(amountInput);
-  const timestamp = new Date().toISOString();
+  await action(backups);
+}
 
-  //TP-025, TP-026, TP-027 -> Initial deposit amount must be a valid number with up to 2 decimal places and must be greater than or equal to 0, and less than or equal to 1000000, otherwise it will be rejected by the system. This is a mandatory field for account creation.
-  fromAccount.balance -= amount;
-  fromAccount.transactions.push({
-    type: 'TRANSFER_OUT',
-    amount,
-    timestamp,
-    balanceAfter: fromAccount.balance,
-    description: `To ${toId.trim()}`,
-  });
+async function askNewPassphrase() {
+  const value = await askSecret('New passphrase: ');
+  const confirm = await askSecret('Repeat new passphrase: ');
+  if (confirm !== value) {
+    console.log(chalk.red('Passphrases do not match.'));
+    await pause();
+    return null;
+  }
+  return value;
+}
 
-  let toAccount = findAccountById(toId.trim()); //fixed: trims destination ID before lookup; helps avoid mismatch from extra spaces.
+async function encryptFromMenu() {
+  const next = await askNewPassphrase();
+  if (next === null) return;
+  const result = await attempt(() => encryptDataFile(next));
+  if (!result) return;
 
-if (!toAccount) { //fixed: handles missing destination by creating account; helps transfer flow succeed without manual pre-creation.
-    toAccount = {
-      id: toId.trim(),
-      holderName: '',
-      balance: amount,
-      createdAt: timestamp,
-      transactions: [],
-    };
+  console.log(chalk.green(`Data file encrypted, along with ${result.backups} backup(s).`));
+  console.log(chalk.yellow('Keep the passphrase safe: without it the data cannot be recovered.'));
+  await pause();
+}
 
-toAccount.transactions.push({ //fixed: records inbound transfer on created account; helps preserve transaction audit trail.
-      type: 'TRANSFER_IN',
-      amount,
-      timestamp,
-      balanceAfter: toAccount.balance,
-      description: `From ${fromId.trim()}`,
-    });
+async function rotateFromMenu() {
+  const current = await askSecret('Current passphrase: ');
+  const next = await askNewPassphrase();
+  if (next === null) return;
+  const result = await attempt(() => rotatePassphrase(current, next));
+  if (!result) return;
 
-    data.accounts.push(toAccount);
-  } else { //fixed: normal existing-destination transfer path; helps keep balance/transaction updates consistent.
-    //if (!toId.trim().endsWith('7')) {  //fixed: removed ID-suffix special case; helps make transfer rules uniform for all accounts.
-      toAccount.balance += amount;
-
-    //if (amount <= 500) { //fixed: removed amount-threshold special case; helps ensure all valid transfers are recorded consistently.
-      toAccount.transactions.push({
-        type: 'TRANSFER_IN',
-        amount,
-        timestamp,
-        balanceAfter: toAccount.balance,
-        description: `From ${fromId.trim()}`,
-      });
-    }
+  console.log(chalk.green(`Passphrase changed; ${result.backups} backup(s) re-encrypted.`));
+  await pause();
+}
 
+async function decryptFromMenu() {
+  const content = await attempt(() => decryptDataFile());
+  if (content === null) return;
 
-  saveData();
+  console.log(chalk.yellow('The exported copy is not encrypted. Delete it once it has been used.'));
+  await writeExport('bank-data.decrypted.json', content);
+}
 
-  console.log(chalk.green('Transfer completed.')); 
-  await pause();
-  }
+const ENCRYPTION_ACTIONS = {
+  encrypt: encryptFromMenu,
+  rotate: rotateFromMenu,
+  decrypt: decryptFromMenu,
+};
 
-async function viewTransactionHistory() {
+async function dataEncryption() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('Transaction History'));
-
-  const id = await ask('Account ID: ');
-  const account = findAccountById(id.trim());
-
-  if (!account) {
-    console.log(chalk.red('Account not found.'));
+  console.log(chalk.bold('Data Encryption'));
+  console.log(cipher
+    ? chalk.green('The data file is encrypted (AES-256-GCM).')
+    : chalk.yellow('The data file is stored as plain JSON.'));
+
+  const actionInput = await ask(`Action (${Object.keys(ENCRYPTION_ACTIONS).join('/')}, blank to go back): `);
+  const actionName = actionInput.trim().toLowerCase();
+  if (actionName === '') return;
+
+  const action = ENCRYPTION_ACTIONS[actionName];
+  if (!action) {
+    console.log(chalk.red('Unknown action.'));
     await pause();
     return;
   }
 
-  if (account.transactions.length === 0) {
-    console.log(chalk.yellow('No transactions found.'));
+  await action();
+}
+
+// Offered at startup after a damaged data file was moved aside, before sign-in,
+// since the operator logins were in the damaged file too.
+async function offerRecovery() {
+  if (!recovery || !recovery.backup) return;
+
+  const { backup } = recovery;
+  const confirm = await ask(`Restore from the newest readable backup, ${describeBackup(backup)}? (y/N): `);
+  if (confirm.trim().toLowerCase() !== 'y') {
+    console.log(chalk.yellow('Continuing with empty data. Backups stay available under Backup & Restore.'));
     await pause();
     return;
   }
 
-  const table = new Table({
-    head: ['Date', 'Type', 'Amount', 'Balance After'],
-  });
+  const restored = await attempt(() => restoreBackup(backup.path));
+  if (!restored) return;
+  console.log(chalk.green(`Restored ${restored.accounts.length} account(s) from ${backup.file}.`));
+  await pause();
+}
 
-  account.transactions.forEach((transaction) => {
-    table.push([
-      transaction.timestamp.split('T')[0],
-      transaction.type,
-      formatMoney(transaction.amount),
-      formatMoney(transaction.balanceAfter),
-    ]);
-  });
+async function verifyAuditLog() {
+  console.clear();
+  renderHeader();
+  console.log(chalk.bold('Verify Audit Log'));
 
-  console.log(table.toString());
+  const result = verifyAudit();
+  if (result.ok) {
+    console.log(chalk.green(`Audit log intact: ${result.count} entries, hash chain unbroken.`));
+  } else {
+    console.log(chalk.red(`Audit log broken at entry ${result.seq} of ${result.count}: ${result.reason}.`));
+  }
   await pause();
 }
 
-async function deleteAccount() {
+const STATUS_ACTIONS = {
+  freeze: (id) => service.freeze(id),
+  unfreeze: (id) => service.unfreeze(id),
+  reactivate: (id) => service.reactivate(id),
+  close: (id) => service.closeAccount(id),
+};
+
+async function changeAccountStatus() {
   console.clear();
   renderHeader();
-  console.log(chalk.bold('Delete Account'));
+  console.log(chalk.bold('Change Account Status'));
 
   const id = await ask('Account ID: ');
-  const index = data.accounts.findIndex((account) => account.id === id.trim());
+  const account = await attempt(() => service.getAccount(id.trim()));
+  if (!account) return;
 
-  if (index === -1) {
-    console.log(chalk.red('Account not found.'));
+  console.log(`Current status: ${service.statusOf(account)}`);
+  const actionInput = await ask(`Action (${Object.keys(STATUS_ACTIONS).join('/')}): `);
+  const actionName = actionInput.trim().toLowerCase();
+  const action = STATUS_ACTIONS[actionName];
+
+  if (!action) {
+    console.log(chalk.red('Unknown action.'));
     await pause();
     return;
   }
 
-  data.accounts.splice(index, 1);
-  saveData();
+  if (actionName === 'close' && !(await unlockAccount(account))) return;
+  if (!(await attempt(() => action(account.id)))) return;
 
-  console.log(chalk.green('Account deleted.'));
+  console.log(chalk.green(`Account ${account.id} is now ${service.statusOf(account)}.`));
   await pause();
 }
 
+// Leaves only once the final save has landed, or with exit code 1 when the
+// operator gives up on it. A conflict cannot be retried: the file moved on.
 async function exitApp() {
   console.log(chalk.cyan('Saving and exiting...'));
   saveData();
-  rl.close();
+  while (!(await flushSaves())) {
+    const retry = !(saveError instanceof ConflictError)
+      && (await ask('The data could not be saved. Try again? (Y/n): ')).trim().toLowerCase() !== 'n';
+    if (!retry) {
+      console.log(chalk.red('Exiting without saving. Changes since the last successful save are lost.'));
+      if (rl) rl.close();
+      process.exit(1);
+      return;
+    }
+    saveData();
+  }
+  if (rl) rl.close();
   process.exit(0);
 }
 
 async function main() {
-  loadData();
+  try {
+    const options = storeOptions();
+    if (options) useStore(createStore(options));
+    if (needsPassphrase()) usePassphrase(await askSecret('Data file passphrase: '));
+    loadData();
+  } catch (error) {
+    if (!(error instanceof BankError)) throw error;
+    console.log(chalk.red(error.message));
+    if (rl) rl.close();
+    process.exit(1);
+    return;
+  }
+  await offerRecovery();
+
+  console.clear();
+  renderHeader();
+  if (!(await signIn())) {
+    await flushSaves();
+    if (rl) rl.close();
+    process.exit(1);
+    return;
+  }
+
+  const dormant = service.markDormantAccounts();
+  if (dormant.length > 0) {
+    console.log(chalk.yellow(
+      `Marked ${dormant.length} account(s) dormant after ${service.config.dormantAfterDays} days without activity.`
+    ));
+    await pause();
+  }
+
+  // Orders that fell due while the app was closed run once the operator is known.
+  const runs = service.runStandingOrders();
+  if (runs.length > 0) {
+    console.log(chalk.bold('Standing orders run:'));
+    runs.forEach((run) => console.log(describeRun(run)));
+    await pause();
+  }
+
+  const items = menuItems();
 
   while (true) {
     console.clear();
     renderHeader();
     renderMenu();
 
-    const choice = await ask('Select option (1-9): ');
-
-    switch (choice.trim()) {
-      case '1':
-        await createAccount();
-        break;
-      case '2':
-        await viewAccountDetails();
-        break;
-      case '3':
-        await listAllAccounts();
-        break;
-      case '4':
-        await depositFunds();
-        break;
-      case '5':
-        await withdrawFunds();
-        break;
-      case '6':
-        await transferFunds();
-        break;
-      case '7':
-        await viewTransactionHistory();
-        break;
-      case '8':
-        await deleteAccount();
-        break;
-      case '9':
-        await exitApp();
-        break;
-      default:
-        console.log(chalk.red('Invalid option. Please select 1-9.'));
-        await pause();
-        break;
+    const choice = await ask(`Select option (1-${items.length}): `);
+    const item = /^\d+$/.test(choice.trim()) ? items[Number(choice.trim()) - 1] : undefined;
+
+    if (!item) {
+      console.log(chalk.red(`Invalid option. Please select 1-${items.length}.`));
+      await pause();
+      continue;
     }
+
+    await item.action();
   }
 }
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n' + chalk.yellow('Exiting...'));
-  process.exit(0);
+  if (await flushSaves()) {
+    process.exit(0);
+    return;
+  }
+  console.log(chalk.red('The last changes could not be saved and are lost.'));
+  process.exit(1);
 });
 
 // Export functions for testing
@@ -524,27 +1608,74 @@ if (typeof module !== 'undefined' && module.exports) { //fixed: explicit module
     depositFunds,
     withdrawFunds,
     transferFunds,
+    payExternalBeneficiary,
     viewTransactionHistory,
+    accountStatement,
+    importExportCsv,
+    exportFinanceFile,
     deleteAccount,
+    changeAccountStatus,
+    setOverdraftLimit,
+    setAccountPin,
+    addOperator,
+    signIn,
+    reverseTransaction,
+    manageStandingOrders,
+    backupAndRestore,
+    listDataBackups,
+    backUpNow,
+    restoreBackup,
+    offerRecovery,
+    recoveryState: () => recovery,
+    dataEncryption,
+    usePassphrase,
+    isDataEncrypted: () => Boolean(cipher),
+    encryptDataFile,
+    rotatePassphrase,
+    decryptDataFile,
+    verifyAuditLog,
+    verifyAudit,
+    auditLog,
+    useStore,
+    currentStore: () => store,
     exitApp,
+    main,
     loadData,
     saveData,
+    flushSaves,
+    hasPendingSaves: () => saveQueue.pending,
+    lastSaveError: () => saveError,
+    reloadIfChanged,
+    setConflictAdvice,
     formatMoney,
     generateAccountId,
     findAccountById,
+    service,
     renderHeader,
     renderMenu,
+    menuItems,
+    renderTransactionTable,
     pause,
     ask,
     __setData: (newData) => { data = newData; }, //fixed: test hook to inject state; helps isolate scenarios quickly.
     __getData: () => ({ ...data }), //fixed: test hook to read state; helps assert post-action outcomes.
-    __setSaving: (value) => { saving = value; }, //fixed: test hook for save lock flag; helps cover saveData branches.
-    __getSaving: () => saving, //fixed: test hook to verify save lock reset; helps ensure async save behavior is correct.
+    __setDataPath: (newPath) => { useStore(new JsonFileStore(newPath)); }, //fixed: test hook to redirect the data file; keeps test writes out of the working directory.
+    askSecret,
     __setAsk: (mockFn) => { ask = mockFn; } //fixed: test hook to mock user input; helps deterministic command-flow testing.
   };
 }
 
 //main();
 if (require.main === module) { //fixed: prevents main loop from auto-running when imported by tests; helps keep tests stable.
-  main();
+  const args = process.argv.slice(2);
+  if (args.length > 0) {
+    require('./cli').run(args).then((code) => {
+      process.exitCode = code;
+    }, (error) => {
+      console.error(chalk.red(`Unexpected error: ${error.message}`));
+      process.exitCode = 1;
+    });
+  } else {
+    main();
+  }
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+const money = require('./money');
+const { SchemaError } = require('./errors');
+
+// Upgrades data files one schema version at a time. Files written before the
+// version field existed count as version 0 and run every step, so each step must
+// also be harmless on data that already has its change.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Store amounts as integer cents',
+    up: (data) => {
+      money.migrateToMinorUnits(data);
+    },
+  },
+  {
+    version: 2,
+    description: 'Give every transaction an ID',
+    up: (data, { service }) => {
+      service.assignTransactionIds();
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function schemaVersionOf(data) {
+  return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+// The steps a file still needs; refuses files from a newer app rather than
+// guessing at fields it does not know.
+function pendingMigrations(data) {
+  const version = schemaVersionOf(data);
+  if (version > SCHEMA_VERSION) {
+    throw new SchemaError(
+      `The data file uses schema version ${version}, but this version of the app only understands up to ` +
+      `${SCHEMA_VERSION}. Upgrade the app to open it.`
+    );
+  }
+  return MIGRATIONS.filter((migration) => migration.version > version);
+}
+
+// Runs the pending steps in order, stamping the version after each, and returns them.
+function migrate(data, context = {}) {
+  const steps = pendingMigrations(data);
+  steps.forEach((step) => {
+    step.up(data, context);
+    data.schemaVersion = step.version;
+  });
+  return steps;
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  schemaVersionOf,
+  pendingMigrations,
+  migrate,
+};
@@ -0,0 +1,83 @@
+const { ValidationError } = require('./errors');
+
+// All balances and amounts are stored as integer cents. This module is the only
+// place that converts between typed/displayed dollars and stored cents.
+const MINOR_UNITS_PER_UNIT = 100;
+const AMOUNT_UNIT = 'cents';
+
+const AMOUNT_PATTERN = /^([+-])?(\d+)(?:\.(\d+))?$/;
+
+const currencyFormat = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+});
+
+function parseMoney(input, label = 'Amount') {
+  const text = input === undefined || input === null ? '' : String(input).trim();
+  const match = AMOUNT_PATTERN.exec(text);
+
+  if (!match) {
+    throw new ValidationError(`${label} must be a valid number.`, 'AMOUNT_INVALID');
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > 2) {
+    throw new ValidationError(`${label} must have up to 2 decimal places.`, 'AMOUNT_PRECISION');
+  }
+
+  const cents = Number(whole) * MINOR_UNITS_PER_UNIT + Number(fraction.padEnd(2, '0'));
+  if (!Number.isSafeInteger(cents)) {
+    throw new ValidationError(`${label} must be a valid number.`, 'AMOUNT_INVALID');
+  }
+
+  return sign === '-' ? -cents : cents;
+}
+
+function formatMoney(cents) {
+  return currencyFormat.format(cents / MINOR_UNITS_PER_UNIT);
+}
+
+// Plain decimal dollars, e.g. -1234.5 -> '-1234.50', for files other programs read.
+function formatDecimal(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  const fraction = String(abs % MINOR_UNITS_PER_UNIT).padStart(2, '0');
+  return `${sign}${Math.floor(abs / MINOR_UNITS_PER_UNIT)}.${fraction}`;
+}
+
+function toMinorUnits(value) {
+  return Math.round(Number(value) * MINOR_UNITS_PER_UNIT);
+}
+
+function isMinorUnits(value) {
+  return Number.isSafeInteger(value);
+}
+
+// Converts a file written by the float-based versions of the app in place.
+function migrateToMinorUnits(data) {
+  if (data.amountUnit === AMOUNT_UNIT) {
+    return false;
+  }
+
+  data.accounts.forEach((account) => {
+    account.balance = toMinorUnits(account.balance);
+    (account.transactions || []).forEach((transaction) => {
+      transaction.amount = toMinorUnits(transaction.amount);
+      transaction.balanceAfter = toMinorUnits(transaction.balanceAfter);
+    });
+  });
+  data.amountUnit = AMOUNT_UNIT;
+
+  return true;
+}
+
+module.exports = {
+  AMOUNT_UNIT,
+  MINOR_UNITS_PER_UNIT,
+  parseMoney,
+  formatMoney,
+  formatDecimal,
+  toMinorUnits,
+  isMinorUnits,
+  migrateToMinorUnits,
+};
@@ -0,0 +1,44 @@
+// Who may do what. Tellers handle day-to-day customer business; closing
+// accounts, changing their status or limits, managing operators, checking
+// the audit log, restoring backups and managing encryption is for admins.
+const ROLES = {
+  TELLER: 'TELLER',
+  ADMIN: 'ADMIN',
+};
+
+const { TELLER, ADMIN } = ROLES;
+
+const PERMISSIONS = {
+  'account:create': [TELLER, ADMIN],
+  'account:view': [TELLER, ADMIN],
+  deposit: [TELLER, ADMIN],
+  withdraw: [TELLER, ADMIN],
+  transfer: [TELLER, ADMIN],
+  'payment:external': [TELLER, ADMIN],
+  'pin:set': [TELLER, ADMIN],
+  'transaction:reverse': [TELLER, ADMIN],
+  'standing-order:manage': [TELLER, ADMIN],
+  'backup:create': [TELLER, ADMIN],
+  'account:close': [ADMIN],
+  'account:status': [ADMIN],
+  'limits:set': [ADMIN],
+  'operator:manage': [ADMIN],
+  'audit:verify': [ADMIN],
+  'backup:restore': [ADMIN],
+  'data:encryption': [ADMIN],
+};
+
+const USERNAME_PATTERN = /^[a-z][a-z0-9._-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function canPerform(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  canPerform,
+};
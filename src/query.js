@@ -0,0 +1,224 @@
+const { ValidationError } = require('./errors');
+const { parseDate } = require('./schedule');
+const { TRANSACTION_TYPES, signedAmount } = require('./transaction-types');
+
+// Narrowing, ordering and paging long lists for display. Everything here works
+// on copies; stored data is never reordered.
+const DEFAULT_PAGE_SIZE = 20;
+
+const TRANSACTION_SORTS = {
+  'date-asc': (a, b) => a.timestamp.localeCompare(b.timestamp),
+  'date-desc': (a, b) => b.timestamp.localeCompare(a.timestamp),
+  'amount-asc': (a, b) => a.amount - b.amount,
+  'amount-desc': (a, b) => b.amount - a.amount,
+};
+
+const ACCOUNT_SORTS = {
+  'name-asc': (a, b) => a.holderName.localeCompare(b.holderName),
+  'name-desc': (a, b) => b.holderName.localeCompare(a.holderName),
+  'balance-asc': (a, b) => a.balance - b.balance,
+  'balance-desc': (a, b) => b.balance - a.balance,
+  'created-asc': (a, b) => a.createdAt.localeCompare(b.createdAt),
+  'created-desc': (a, b) => b.createdAt.localeCompare(a.createdAt),
+};
+
+function positiveInteger(value, label, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`${label} must be a whole number of 1 or more.`, 'PAGE_INVALID');
+  }
+  return number;
+}
+
+// A page past the end shows the last page rather than nothing.
+function paginate(items, { page, pageSize } = {}) {
+  const size = positiveInteger(pageSize, 'Page size', DEFAULT_PAGE_SIZE);
+  const pageCount = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(positiveInteger(page, 'Page', 1), pageCount);
+
+  return {
+    items: items.slice((current - 1) * size, current * size),
+    page: current,
+    pageSize: size,
+    pageCount,
+    total: items.length,
+  };
+}
+
+function pickSort(sorts, sort, fallback) {
+  const key = String(sort || fallback).toLowerCase();
+  if (!sorts[key]) {
+    throw new ValidationError(`Sort must be one of: ${Object.keys(sorts).join(', ')}.`, 'SORT_INVALID');
+  }
+  return sorts[key];
+}
+
+function parseTypes(types) {
+  const list = (Array.isArray(types) ? types : String(types || '').split(','))
+    .map((type) => type.trim().toUpperCase())
+    .filter((type) => type !== '');
+  const unknown = list.filter((type) => !TRANSACTION_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown transaction type ${unknown.join(', ')}. Types are: ${TRANSACTION_TYPES.join(', ')}.`,
+      'TRANSACTION_TYPE_INVALID'
+    );
+  }
+  return list;
+}
+
+// Amounts are in cents and compared without sign; dates are inclusive UTC days.
+function transactionFilter({ from, to, types, minAmount, maxAmount, text } = {}) {
+  const start = from ? parseDate(from, 'Start date') : null;
+  const end = to ? parseDate(to, 'End date') : null;
+  if (start && end && end < start) {
+    throw new ValidationError('End date must not be before the start date.', 'DATE_RANGE_INVALID');
+  }
+  if (minAmount !== undefined && maxAmount !== undefined && maxAmount < minAmount) {
+    throw new ValidationError('Maximum amount must not be less than the minimum.', 'AMOUNT_RANGE_INVALID');
+  }
+  const typeList = parseTypes(types);
+  const needle = text ? String(text).trim().toLowerCase() : '';
+
+  return (transaction) => {
+    const day = transaction.timestamp.slice(0, 10);
+    if (start && day < start) return false;
+    if (end && day > end) return false;
+    if (typeList.length > 0 && !typeList.includes(transaction.type)) return false;
+    if (minAmount !== undefined && transaction.amount < minAmount) return false;
+    if (maxAmount !== undefined && transaction.amount > maxAmount) return false;
+    if (needle) {
+      const haystack = [transaction.description, transaction.reference, transaction.id, transaction.type]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  };
+}
+
+// One page of matching transactions plus totals over every match, not just the page.
+function queryTransactions(account, query = {}) {
+  const matches = account.transactions.filter(transactionFilter(query));
+  const sorted = matches.slice().sort(pickSort(TRANSACTION_SORTS, query.sort, 'date-asc'));
+
+  const totals = { count: matches.length, moneyIn: 0, moneyOut: 0, net: 0 };
+  matches.forEach((transaction) => {
+    const amount = signedAmount(transaction, account);
+    if (amount >= 0) totals.moneyIn += amount;
+    else totals.moneyOut -= amount;
+    totals.net += amount;
+  });
+
+  return { ...paginate(sorted, query), totals };
+}
+
+// Levenshtein distance that also counts swapping two neighbouring letters as one edit.
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Typos allowed per word: none for very short words, then one, then two.
+function typoAllowance(word) {
+  if (word.length < 4) return 0;
+  return word.length < 7 ? 1 : 2;
+}
+
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (const char of haystack) {
+    if (char === needle[i]) i++;
+    if (i === needle.length) return true;
+  }
+  return false;
+}
+
+// Lower is a closer match; null is no match. IDs only match exactly or in part,
+// names also match with small typos or missing letters ("jon smth").
+function matchScore(search, account) {
+  const needle = String(search).trim().toLowerCase();
+  const id = account.id.toLowerCase();
+  const name = account.holderName.toLowerCase();
+
+  if (needle === '') return 0;
+  if (id === needle) return 0;
+  if (name === needle) return 1;
+  if (id.includes(needle) || name.includes(needle)) return 2;
+
+  const words = name.split(/[\s-]+/).filter(Boolean);
+  const needleWords = needle.split(/\s+/);
+  const close = needleWords.every((needleWord) => words.some((word) => (
+    word.startsWith(needleWord) || editDistance(needleWord, word) <= typoAllowance(needleWord)
+  )));
+  if (close) return 3;
+
+  const squeezed = needle.replace(/\s+/g, '');
+  if (squeezed.length >= 3 && isSubsequence(squeezed, name.replace(/[\s-]+/g, ''))) return 4;
+
+  return null;
+}
+
+function parseStatuses(status, statuses) {
+  const list = String(status || '')
+    .split(',')
+    .map((value) => value.trim().toUpperCase())
+    .filter((value) => value !== '');
+  const unknown = list.filter((value) => !statuses.includes(value));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Status must be one of: ${statuses.join(', ')}.`, 'STATUS_INVALID');
+  }
+  return list;
+}
+
+// Without an explicit sort, search results come closest match first and an
+// unsearched list keeps the order accounts were opened in.
+function queryAccounts(accounts, query = {}, { statusOf, statuses }) {
+  const { search, minBalance, maxBalance } = query;
+  const statusList = parseStatuses(query.status, statuses);
+  if (minBalance !== undefined && maxBalance !== undefined && maxBalance < minBalance) {
+    throw new ValidationError('Maximum balance must not be less than the minimum.', 'AMOUNT_RANGE_INVALID');
+  }
+  const compare = query.sort ? pickSort(ACCOUNT_SORTS, query.sort) : null;
+
+  const matches = accounts
+    .map((account) => ({ account, score: search ? matchScore(search, account) : 0 }))
+    .filter(({ account, score }) => (
+      score !== null
+      && (statusList.length === 0 || statusList.includes(statusOf(account)))
+      && (minBalance === undefined || account.balance >= minBalance)
+      && (maxBalance === undefined || account.balance <= maxBalance)
+    ))
+    .sort((a, b) => (compare ? compare(a.account, b.account) : a.score - b.score))
+    .map(({ account }) => account);
+
+  const totalBalance = matches.reduce((sum, account) => sum + account.balance, 0);
+  return { ...paginate(matches, query), totals: { count: matches.length, balance: totalBalance } };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  TRANSACTION_SORTS,
+  ACCOUNT_SORTS,
+  paginate,
+  pickSort,
+  transactionFilter,
+  queryTransactions,
+  matchScore,
+  queryAccounts,
+};
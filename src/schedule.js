@@ -0,0 +1,91 @@
+const { ValidationError } = require('./errors');
+
+// Calendar arithmetic for standing orders. Dates are plain 'YYYY-MM-DD' strings
+// in UTC, so a schedule never drifts with the local timezone or DST.
+const FREQUENCIES = ['ONCE', 'DAILY', 'WEEKLY', 'MONTHLY'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(input, label = 'Date') {
+  const text = input === undefined || input === null ? '' : String(input).trim();
+  const match = DATE_PATTERN.exec(text);
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+  if (!date || toDateString(date) !== text) {
+    throw new ValidationError(`${label} must be a valid date in YYYY-MM-DD format.`, 'DATE_INVALID');
+  }
+  return text;
+}
+
+function parseFrequency(input) {
+  const frequency = String(input || '').trim().toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ValidationError(
+      `Frequency must be one of: ${FREQUENCIES.join(', ').toLowerCase()}.`,
+      'FREQUENCY_INVALID'
+    );
+  }
+  return frequency;
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+// Keeps to `dayOfMonth` where the month has it and uses the last day otherwise,
+// so an order for the 31st runs on 30 April and 28/29 February.
+function addMonths(dateString, months, dayOfMonth) {
+  const [year, month] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const day = Math.min(dayOfMonth, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  target.setUTCDate(day);
+  return toDateString(target);
+}
+
+// The run after `dateString`, or null when the schedule does not repeat.
+function nextOccurrence({ frequency, dayOfMonth }, dateString) {
+  switch (frequency) {
+    case 'DAILY':
+      return addDays(dateString, 1);
+    case 'WEEKLY':
+      return addDays(dateString, 7);
+    case 'MONTHLY':
+      return addMonths(dateString, 1, dayOfMonth);
+    default:
+      return null;
+  }
+}
+
+// Every scheduled date from `order.nextRunDate` up to and including `today`.
+function dueDates(order, today) {
+  const dates = [];
+  let date = order.nextRunDate;
+
+  while (date && date <= today && (!order.endDate || date <= order.endDate)) {
+    dates.push(date);
+    date = nextOccurrence(order, date);
+  }
+
+  return { dates, next: date && (!order.endDate || date <= order.endDate) ? date : null };
+}
+
+module.exports = {
+  FREQUENCIES,
+  toDateString,
+  parseDate,
+  parseFrequency,
+  addDays,
+  addMonths,
+  nextOccurrence,
+  dueDates,
+};
@@ -0,0 +1,341 @@
+const http = require('http');
+const bank = require('./index.js');
+const {
+  BankError,
+  ValidationError,
+  NotFoundError,
+  AccountStatusError,
+  InsufficientFundsError,
+  AuthenticationError,
+  PermissionError,
+  LockError,
+  ConflictError,
+  DataFileError,
+} = require('./errors');
+const { parseAmount } = require('./validation');
+const { parseMoney } = require('./money');
+
+// Local HTTP JSON API over the same AccountService the menu and the CLI use.
+// Amounts are sent as decimal strings or numbers ("12.50") and returned in
+// cents, like `bankcli --json`. Errors come back as { error: { code, message } }.
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// The first matching class decides the status; anything else is a 500.
+const ERROR_STATUS = [
+  [ValidationError, 400],
+  [AuthenticationError, 401],
+  [PermissionError, 403],
+  [NotFoundError, 404],
+  [AccountStatusError, 409],
+  [ConflictError, 409],
+  [InsufficientFundsError, 422],
+  [LockError, 503],
+];
+
+// Problems with the request itself rather than the banking operation.
+class HttpError extends BankError {
+  constructor(status, message, code) {
+    super(message, code);
+    this.status = status;
+  }
+}
+
+function statusFor(error) {
+  if (error instanceof HttpError) return error.status;
+  const match = ERROR_STATUS.find(([ErrorClass]) => error instanceof ErrorClass);
+  return match ? match[1] : 500;
+}
+
+// Once operators exist every request signs in with HTTP Basic authentication.
+function signIn(authorization) {
+  const match = /^Basic\s+(\S+)$/i.exec(authorization || '');
+  if (!match) {
+    throw new AuthenticationError('Sign in as an operator with HTTP Basic authentication.', 'LOGIN_REQUIRED');
+  }
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  bank.service.login(colon === -1 ? decoded : decoded.slice(0, colon), colon === -1 ? '' : decoded.slice(colon + 1));
+}
+
+// Accounts with a PIN need it in the X-Account-Pin header, where the CLI asks for --pin.
+function unlock(request, id, notFoundMessage) {
+  bank.service.getAccount(id, notFoundMessage);
+  return bank.service.verifyPin(id, request.headers['x-account-pin']);
+}
+
+function amountField(body, name) {
+  return body[name] === undefined || body[name] === null ? '' : String(body[name]);
+}
+
+// Every account unless `page` or `pageSize` asks for one page, as in `bankcli list`.
+function listAccounts({ query }) {
+  const balance = (name, label) => (query[name] === undefined ? undefined : parseMoney(query[name], label));
+  const paged = query.page !== undefined || query.pageSize !== undefined;
+  const { items, page, pageCount, total } = bank.service.searchAccounts({
+    search: query.search,
+    status: query.status,
+    minBalance: balance('minBalance', 'Minimum balance'),
+    maxBalance: balance('maxBalance', 'Maximum balance'),
+    sort: query.sort,
+    page: query.page,
+    pageSize: paged ? query.pageSize : Math.max(1, bank.service.listAccounts().length),
+  });
+  return { accounts: items.map((account) => bank.service.summarize(account)), page, pageCount, total };
+}
+
+function createAccount({ body }) {
+  const { account } = bank.service.createAccount({
+    holderName: typeof body.holderName === 'string' ? body.holderName : '',
+    initialDeposit: body.initialDeposit === undefined ? '0' : String(body.initialDeposit),
+  });
+  return bank.service.summarize(account);
+}
+
+function getAccount(request) {
+  return bank.service.summarize(unlock(request, request.params.id));
+}
+
+function closeAccount(request) {
+  unlock(request, request.params.id);
+  const { account } = bank.service.closeAccount(request.params.id);
+  return bank.service.summarize(account);
+}
+
+function deposit({ params, body }) {
+  const amount = bank.service.parseAmount('deposit', amountField(body, 'amount'));
+  const { account, transaction } = bank.service.deposit(params.id, amount);
+  return { account: bank.service.summarize(account), transaction };
+}
+
+function withdraw(request) {
+  unlock(request, request.params.id);
+  const amount = bank.service.parseAmount('withdrawal', amountField(request.body, 'amount'));
+  const { account, transaction, fee } = bank.service.withdraw(request.params.id, amount);
+  return { account: bank.service.summarize(account), transaction, fee: fee || null };
+}
+
+function transfer(request) {
+  const { fromId, toId } = request.body;
+  unlock(request, fromId, 'Source account not found.');
+  const amount = bank.service.parseAmount('transfer', amountField(request.body, 'amount'));
+  const { reference, from, to } = bank.service.transfer(fromId, toId, amount);
+  return { reference, from: bank.service.summarize(from), to: bank.service.summarize(to) };
+}
+
+// The same filters as `bankcli history`; `type` takes a comma-separated list.
+function history(request) {
+  const { query } = request;
+  const amount = (name, label) => (
+    query[name] === undefined ? undefined : parseAmount(query[name], { label, allowZero: true })
+  );
+  const account = unlock(request, request.params.id);
+  const paged = query.page !== undefined || query.pageSize !== undefined;
+  const { items, page, pageCount, total, totals } = bank.service.searchHistory(account.id, {
+    from: query.from,
+    to: query.to,
+    types: query.type,
+    minAmount: amount('min', 'Minimum amount'),
+    maxAmount: amount('max', 'Maximum amount'),
+    text: query.search,
+    sort: query.sort,
+    page: query.page,
+    pageSize: paged ? query.pageSize : Math.max(1, account.transactions.length),
+  });
+  return { transactions: items, page, pageCount, total, totals };
+}
+
+function route(method, pattern, handler, status = 200) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { method, pattern: new RegExp(`^${source}/?$`), names, handler, status };
+}
+
+const ROUTES = [
+  route('GET', '/accounts', listAccounts),
+  route('POST', '/accounts', createAccount, 201),
+  route('GET', '/accounts/:id', getAccount),
+  route('DELETE', '/accounts/:id', closeAccount),
+  route('POST', '/accounts/:id/deposit', deposit),
+  route('POST', '/accounts/:id/withdraw', withdraw),
+  route('GET', '/accounts/:id/transactions', history),
+  route('POST', '/transfers', transfer, 201),
+];
+
+function findRoute(method, pathname) {
+  const matching = ROUTES.filter((candidate) => candidate.pattern.test(pathname));
+  if (matching.length === 0) {
+    throw new HttpError(404, `No endpoint at ${pathname}.`, 'ROUTE_NOT_FOUND');
+  }
+
+  const match = matching.find((candidate) => candidate.method === method);
+  if (!match) {
+    const error = new HttpError(405, `${method} is not supported on ${pathname}.`, 'METHOD_NOT_ALLOWED');
+    error.allow = matching.map((candidate) => candidate.method).join(', ');
+    throw error;
+  }
+
+  const values = match.pattern.exec(pathname).slice(1);
+  const params = {};
+  match.names.forEach((name, i) => {
+    try {
+      params[name] = decodeURIComponent(values[i]);
+    } catch (error) {
+      throw new HttpError(400, `${pathname} is not a valid URL path.`, 'INVALID_PATH');
+    }
+  });
+  return { route: match, params };
+}
+
+// The parsed JSON body; an empty body is an empty object.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request bodies are limited to ${MAX_BODY_BYTES} bytes.`, 'BODY_TOO_LARGE'));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        reject(new HttpError(400, `Request body is not valid JSON: ${error.message}`, 'INVALID_JSON'));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Request body must be a JSON object.', 'INVALID_JSON'));
+        return;
+      }
+      resolve(body);
+    });
+  });
+}
+
+// Requests run one at a time and each is answered only once its change is on
+// disk, so no request sees or builds on a change that may still fail to save.
+// Each starts from the latest data, since the CLI may have saved in between.
+let queue = Promise.resolve();
+
+function serialize(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function execute(route, request) {
+  let result;
+  let failure = null;
+  bank.reloadIfChanged();
+  try {
+    if (bank.service.hasOperators()) signIn(request.headers.authorization);
+    result = route.handler(request);
+  } catch (error) {
+    failure = error;
+  } finally {
+    bank.service.logout();
+  }
+
+  // A change that did not save is dropped by reloading, so memory matches the file.
+  if (bank.hasPendingSaves() && !(await bank.flushSaves())) {
+    const saveError = bank.lastSaveError();
+    bank.loadData();
+    if (!failure) throw saveFailure(saveError);
+  }
+  if (failure) throw failure;
+  return result;
+}
+
+// Conflicts and locks keep their own status so clients know a retry can work.
+function saveFailure(error) {
+  if (error instanceof ConflictError) {
+    return new ConflictError(
+      'The data was changed by another process, so this change was not applied. ' +
+      'The latest data has been loaded; retry the request.'
+    );
+  }
+  if (error instanceof BankError) return error;
+  return new DataFileError('The change could not be saved and was not applied.', 'SAVE_FAILED');
+}
+
+function send(res, status, body, headers = {}) {
+  const text = `${JSON.stringify(body)}\n`;
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers,
+  });
+  res.end(text);
+}
+
+function sendError(res, error) {
+  const status = statusFor(error);
+  if (status === 500 && !(error instanceof BankError)) {
+    console.error(error);
+    send(res, 500, { error: { code: 'INTERNAL_ERROR', message: 'Internal server error.' } });
+    return;
+  }
+
+  const headers = {};
+  if (error.allow) headers.Allow = error.allow;
+  if (status === 401 && /^LOGIN_/.test(error.code || '')) headers['WWW-Authenticate'] = 'Basic realm="bankcli"';
+  send(res, status, { error: { code: error.code || 'ERROR', message: error.message } }, headers);
+}
+
+async function handle(req, res) {
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const { route: match, params } = findRoute(req.method, url.pathname);
+    const body = await readBody(req);
+    const request = { params, query: Object.fromEntries(url.searchParams), body, headers: req.headers };
+    const result = await serialize(() => execute(match, request));
+    send(res, match.status, result);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+function createApiServer() {
+  bank.setConflictAdvice('The latest data is loaded before the next request.');
+  return http.createServer((req, res) => {
+    handle(req, res);
+  });
+}
+
+// Resolves with the bound address once the server accepts connections.
+function listen(server, port = DEFAULT_PORT, host = DEFAULT_HOST) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => {
+      reject(new BankError(`Cannot listen on ${host}:${port}: ${error.message}`, 'LISTEN_FAILED'));
+    };
+    server.once('error', onError);
+    server.listen(port, host, () => {
+      server.removeListener('error', onError);
+      resolve(server.address());
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  ROUTES,
+  statusFor,
+  createApiServer,
+  listen,
+};
@@ -0,0 +1,226 @@
+const { formatMoney } = require('./money');
+const { ValidationError } = require('./errors');
+const { parseDate, toDateString } = require('./schedule');
+
+// Period statements for account holders. A statement is built once as plain data
+// and then rendered to whichever format is being handed out.
+const FORMATS = {
+  text: { extension: 'txt', render: renderText },
+  markdown: { extension: 'md', render: renderMarkdown },
+  html: { extension: 'html', render: renderHtml },
+};
+
+function dayOf(transaction) {
+  return transaction.timestamp.slice(0, 10);
+}
+
+// Older entries were written without a description.
+function describe(transaction) {
+  if (transaction.description) return transaction.description;
+  const words = transaction.type.toLowerCase().split('_').join(' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// `from` and `to` are inclusive UTC dates. Money in and out is taken from the
+// change in balance, so fees and reversals land on the right side whatever their type.
+function buildStatement(account, { from, to, now = new Date() } = {}) {
+  const start = parseDate(from, 'Start date');
+  const end = parseDate(to, 'End date');
+  if (end < start) {
+    throw new ValidationError('End date must not be before the start date.', 'DATE_RANGE_INVALID');
+  }
+
+  const before = account.transactions.filter((transaction) => dayOf(transaction) < start);
+  const openingBalance = before.length > 0 ? before[before.length - 1].balanceAfter : 0;
+
+  let balance = openingBalance;
+  let totalIn = 0;
+  let totalOut = 0;
+  const lines = account.transactions
+    .filter((transaction) => dayOf(transaction) >= start && dayOf(transaction) <= end)
+    .map((transaction) => {
+      const change = transaction.balanceAfter - balance;
+      balance = transaction.balanceAfter;
+      if (change >= 0) totalIn += change;
+      else totalOut -= change;
+
+      return {
+        id: transaction.id || null,
+        date: dayOf(transaction),
+        type: transaction.type,
+        description: describe(transaction),
+        moneyIn: change >= 0 ? change : 0,
+        moneyOut: change < 0 ? -change : 0,
+        balance: transaction.balanceAfter,
+      };
+    });
+
+  return {
+    accountId: account.id,
+    holderName: account.holderName,
+    from: start,
+    to: end,
+    generatedAt: now.toISOString(),
+    openingBalance,
+    closingBalance: balance,
+    totalIn,
+    totalOut,
+    lines,
+  };
+}
+
+// The default period: statements go out monthly, for the month just ended.
+function previousMonth(now = new Date()) {
+  const firstOfThisMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const lastOfPrevious = new Date(firstOfThisMonth.getTime() - 24 * 60 * 60 * 1000);
+  return {
+    from: `${toDateString(lastOfPrevious).slice(0, 8)}01`,
+    to: toDateString(lastOfPrevious),
+  };
+}
+
+function amountOrBlank(cents) {
+  return cents ? formatMoney(cents) : '';
+}
+
+function summaryRows(statement) {
+  return [
+    ['Opening balance', formatMoney(statement.openingBalance)],
+    ['Total in', formatMoney(statement.totalIn)],
+    ['Total out', formatMoney(statement.totalOut)],
+    ['Closing balance', formatMoney(statement.closingBalance)],
+  ];
+}
+
+function renderText(statement) {
+  const columns = ['Date', 'Description', 'In', 'Out', 'Balance'];
+  const rows = statement.lines.map((line) => [
+    line.date,
+    line.description,
+    amountOrBlank(line.moneyIn),
+    amountOrBlank(line.moneyOut),
+    formatMoney(line.balance),
+  ]);
+  const widths = columns.map((column, i) => Math.max(column.length, ...rows.map((row) => row[i].length)));
+  // Text columns align left, money right.
+  const format = (row) => row
+    .map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    `Statement for ${statement.accountId} (${statement.holderName})`,
+    `Period: ${statement.from} to ${statement.to}`,
+    '',
+    `Opening balance: ${formatMoney(statement.openingBalance)}`,
+    '',
+    format(columns),
+    widths.map((width) => '-'.repeat(width)).join('  '),
+    ...(rows.length > 0 ? rows.map(format) : ['No transactions in this period.']),
+    '',
+    ...summaryRows(statement).map(([label, value]) => `${label}: ${value}`),
+    '',
+  ].join('\n');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[|\\*_`]/g, (char) => `\\${char}`);
+}
+
+function renderMarkdown(statement) {
+  return [
+    `# Statement for ${statement.accountId}`,
+    '',
+    `**Account holder:** ${escapeMarkdown(statement.holderName)}  `,
+    `**Period:** ${statement.from} to ${statement.to}`,
+    '',
+    '| Date | Description | In | Out | Balance |',
+    '| --- | --- | ---: | ---: | ---: |',
+    ...statement.lines.map((line) => `| ${[
+      line.date,
+      escapeMarkdown(line.description),
+      amountOrBlank(line.moneyIn),
+      amountOrBlank(line.moneyOut),
+      formatMoney(line.balance),
+    ].join(' | ')} |`),
+    '',
+    ...(statement.lines.length > 0 ? [] : ['_No transactions in this period._', '']),
+    '| | |',
+    '| --- | ---: |',
+    ...summaryRows(statement).map(([label, value]) => `| ${label} | ${value} |`),
+    '',
+  ].join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// One file with its styles inline, so it can be mailed or printed as is.
+function renderHtml(statement) {
+  const title = `Statement for ${escapeHtml(statement.accountId)}, ${statement.from} to ${statement.to}`;
+  const rows = statement.lines.length > 0
+    ? statement.lines.map((line) => `      <tr><td>${line.date}</td><td>${escapeHtml(line.description)}</td>`
+      + `<td class="num">${amountOrBlank(line.moneyIn)}</td><td class="num">${amountOrBlank(line.moneyOut)}</td>`
+      + `<td class="num">${formatMoney(line.balance)}</td></tr>`)
+    : ['      <tr><td colspan="5">No transactions in this period.</td></tr>'];
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${title}</title>`,
+    '  <style>',
+    '    body { font-family: sans-serif; margin: 2em; color: #222; }',
+    '    table { border-collapse: collapse; margin: 1em 0; }',
+    '    th, td { border-bottom: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }',
+    '    .num { text-align: right; font-variant-numeric: tabular-nums; }',
+    '  </style>',
+    '</head>',
+    '<body>',
+    `  <h1>Statement for ${escapeHtml(statement.accountId)}</h1>`,
+    `  <p>Account holder: ${escapeHtml(statement.holderName)}<br>Period: ${statement.from} to ${statement.to}</p>`,
+    '  <table>',
+    '    <thead>',
+    '      <tr><th>Date</th><th>Description</th><th class="num">In</th><th class="num">Out</th><th class="num">Balance</th></tr>',
+    '    </thead>',
+    '    <tbody>',
+    ...rows,
+    '    </tbody>',
+    '  </table>',
+    '  <table>',
+    ...summaryRows(statement).map(([label, value]) => `    <tr><th>${label}</th><td class="num">${value}</td></tr>`),
+    '  </table>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function renderStatement(statement, format = 'text') {
+  const entry = FORMATS[String(format).toLowerCase()];
+  if (!entry) {
+    throw new ValidationError(
+      `Statement format must be one of: ${Object.keys(FORMATS).join(', ')}.`,
+      'STATEMENT_FORMAT_INVALID'
+    );
+  }
+  return entry.render(statement);
+}
+
+function statementFileName(statement, format = 'text') {
+  const { extension } = FORMATS[String(format).toLowerCase()];
+  return `statement-${statement.accountId}-${statement.from}-to-${statement.to}.${extension}`;
+}
+
+module.exports = {
+  FORMATS,
+  buildStatement,
+  previousMonth,
+  renderStatement,
+  renderText,
+  renderMarkdown,
+  renderHtml,
+  statementFileName,
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LockError, ConflictError } = require('./errors');
+
+const DEFAULT_LOCK_OPTIONS = {
+  staleMs: 30000,
+  retries: 50,
+  retryDelayMs: 100,
+};
+
+// Writes to a temp file in the same directory, fsyncs it and renames it over the
+// target, so a crash leaves either the old file or the new one, never half of each.
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+
+  await syncDirectory(path.dirname(filePath));
+}
+
+// Persists the rename itself. Not every platform can open a directory, so this is best effort.
+async function syncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // ignored: the data file is already complete on disk
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function readLock(lockPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    // Its owner may still be writing it; judge it by age alone.
+    try {
+      const stats = await fs.promises.stat(lockPath);
+      return { acquiredAt: stats.mtime.toISOString() };
+    } catch (statError) {
+      return null;
+    }
+  }
+}
+
+// A lock is stale when its owner is gone: a dead process on this host, or any
+// owner that has held it far longer than a single write can take.
+function isStaleLock(lock, staleMs) {
+  const age = Date.now() - Date.parse(lock.acquiredAt);
+  if (!(age < staleMs)) return true;
+  return lock.hostname === os.hostname() && Number.isInteger(lock.pid) && !isProcessAlive(lock.pid);
+}
+
+async function acquireLock(lockPath, options = {}) {
+  const { staleMs, retries, retryDelayMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fs.promises.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const lock = await readLock(lockPath);
+    if (!lock) continue;
+    if (isStaleLock(lock, staleMs)) {
+      await fs.promises.unlink(lockPath).catch(() => {});
+      continue;
+    }
+
+    if (attempt >= retries) {
+      const holder = lock.pid ? ` by process ${lock.pid} on ${lock.hostname}` : '';
+      throw new LockError(`${path.basename(lockPath)} is held${holder}. Another session is saving; try again shortly.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, retryDelayMs));
+  }
+}
+
+async function releaseLock(lockPath) {
+  await fs.promises.unlink(lockPath).catch(() => {});
+}
+
+async function withFileLock(filePath, action, options) {
+  const lockPath = `${filePath}.lock`;
+  await acquireLock(lockPath, options);
+  try {
+    return await action();
+  } finally {
+    await releaseLock(lockPath);
+  }
+}
+
+function readLockSync(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    try {
+      return { acquiredAt: fs.statSync(lockPath).mtime.toISOString() };
+    } catch (statError) {
+      return null;
+    }
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// The same lock for callers that must stay synchronous, such as audit appends.
+// Blocks while it waits, so hold it only for a short write.
+function withFileLockSync(filePath, action, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  const { staleMs, retries, retryDelayMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const lock = readLockSync(lockPath);
+    if (!lock) continue;
+    if (isStaleLock(lock, staleMs)) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // someone else cleared it first
+      }
+      continue;
+    }
+
+    if (attempt >= retries) {
+      const holder = lock.pid ? ` by process ${lock.pid} on ${lock.hostname}` : '';
+      throw new LockError(`${path.basename(lockPath)} is held${holder}. Another session is writing; try again shortly.`);
+    }
+    sleepSync(retryDelayMs);
+  }
+
+  try {
+    return action();
+  } finally {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // already gone
+    }
+  }
+}
+
+async function readRevision(filePath) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+  const revision = JSON.parse(raw).revision;
+  return Number.isInteger(revision) ? revision : 0;
+}
+
+function serialize(record) {
+  return JSON.stringify(record, null, 2);
+}
+
+// Optimistic concurrency: the write only goes ahead if the file on disk is still
+// at the revision this process loaded. Returns the new revision. `encode` turns
+// the record into file contents and must keep `revision` readable at the top level.
+async function writeRevision(filePath, data, expectedRevision, { encode = serialize, lockOptions } = {}) {
+  return withFileLock(filePath, async () => {
+    const currentRevision = await readRevision(filePath);
+    if (currentRevision !== expectedRevision) {
+      throw new ConflictError(
+        `${path.basename(filePath)} was changed by another process (revision ${currentRevision}, ` +
+        `expected ${expectedRevision}).`
+      );
+    }
+
+    const revision = expectedRevision + 1;
+    await writeFileAtomic(filePath, encode({ ...data, revision }));
+    return revision;
+  }, lockOptions);
+}
+
+// Serialises writes so they never overlap. A save requested while another is
+// running is queued; further requests join that queued write instead of being
+// dropped, because it captures the latest state when it starts.
+class SaveQueue {
+  constructor(write) {
+    this.write = write;
+    this.running = null;
+    this.queued = null;
+    this.lastResult = true;
+  }
+
+  save() {
+    if (this.queued) {
+      return this.queued;
+    }
+
+    const previous = this.running || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      this.queued = null;
+      this.running = next;
+      try {
+        this.lastResult = await this.write();
+        return this.lastResult;
+      } catch (error) {
+        this.lastResult = false;
+        throw error;
+      } finally {
+        if (this.running === next) this.running = null;
+      }
+    });
+
+    this.queued = next;
+    return next;
+  }
+
+  get pending() {
+    return Boolean(this.running || this.queued);
+  }
+
+  // Resolves once every requested save has finished, with the outcome of the last one.
+  async flush() {
+    while (this.pending) {
+      await (this.queued || this.running).catch(() => {});
+    }
+    return this.lastResult;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  acquireLock,
+  releaseLock,
+  withFileLock,
+  withFileLockSync,
+  readRevision,
+  writeRevision,
+  SaveQueue,
+};
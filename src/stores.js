@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, ConflictError } = require('./errors');
+const { writeRevision, withFileLock } = require('./storage');
+const { quarantineFile } = require('./backup');
+
+// Where the data lives. Every store reads the whole data set as JSON text and
+// writes it back as the next revision, refusing the write when someone else
+// saved in between:
+//
+//   exists()                               is there anything to load?
+//   create(data)                           first write of an empty data set
+//   read()                                 the data as JSON text, with `revision`
+//   write(data, expectedRevision, options) async; resolves to the new revision
+//   quarantine()                           move damaged data aside; its new path or null
+//
+// `filePath` is null for stores with nothing on disk, and `backups`/`encryption`
+// say whether the file-level features apply.
+const STORE_TYPES = ['json', 'memory', 'eventlog'];
+
+const DEFAULT_FILES = {
+  json: 'bank-data.json',
+  eventlog: 'bank-data.jsonl',
+};
+
+// bank-data.json -> bank-data-audit.jsonl, bank-data.jsonl -> bank-data-audit.jsonl.
+function siblingPath(filePath, suffix) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}${suffix}`;
+}
+
+function conflictError(name, currentRevision, expectedRevision) {
+  return new ConflictError(
+    `${name} was changed by another process (revision ${currentRevision}, ` +
+    `expected ${expectedRevision}).`
+  );
+}
+
+// The original layout: one pretty-printed JSON document, replaced atomically on every save.
+class JsonFileStore {
+  constructor(filePath) {
+    this.type = 'json';
+    this.filePath = filePath;
+    this.name = path.basename(filePath);
+    this.backups = true;
+    this.encryption = true;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  create(data) {
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  read() {
+    return fs.readFileSync(this.filePath, 'utf8');
+  }
+
+  write(data, expectedRevision, { encode } = {}) {
+    return writeRevision(this.filePath, data, expectedRevision, { encode });
+  }
+
+  quarantine() {
+    return quarantineFile(this.filePath);
+  }
+}
+
+// Nothing touches the disk; the data is gone when the process exits. Can start
+// from a copy of an existing data file, which is never written back.
+class MemoryStore {
+  constructor(text = null) {
+    this.type = 'memory';
+    this.filePath = null;
+    this.name = 'memory';
+    this.backups = false;
+    this.encryption = false;
+    this.text = text;
+  }
+
+  exists() {
+    return this.text !== null;
+  }
+
+  create(data) {
+    this.text = JSON.stringify(data);
+  }
+
+  read() {
+    return this.text;
+  }
+
+  // Single process, so the revision can only be stale through a bug; checked anyway.
+  async write(data, expectedRevision) {
+    const current = this.text ? JSON.parse(this.text).revision || 0 : 0;
+    if (current !== expectedRevision) throw conflictError(this.name, current, expectedRevision);
+
+    const revision = expectedRevision + 1;
+    this.text = JSON.stringify({ ...data, revision });
+    return revision;
+  }
+
+  quarantine() {
+    this.text = null;
+    return null;
+  }
+}
+
+// Collections stored as keyed lists, so one changed entry is logged on its own.
+const KEYED_COLLECTIONS = {
+  accounts: 'id',
+  standingOrders: 'id',
+  operators: 'username',
+};
+
+// What changed between two saves: `put`/`remove` for entries of the keyed
+// collections, `set`/`unset` for every other top-level field.
+function diffData(previous, next) {
+  const changes = [];
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  keys.delete('revision');
+
+  keys.forEach((key) => {
+    if (!(key in next)) {
+      changes.push({ op: 'unset', key });
+      return;
+    }
+
+    const idField = KEYED_COLLECTIONS[key];
+    if (idField && Array.isArray(previous[key]) && Array.isArray(next[key])) {
+      const before = new Map(previous[key].map((item) => [item[idField], JSON.stringify(item)]));
+      const after = new Set();
+      next[key].forEach((item) => {
+        after.add(item[idField]);
+        if (before.get(item[idField]) !== JSON.stringify(item)) {
+          changes.push({ op: 'put', key, id: item[idField], value: item });
+        }
+      });
+      before.forEach((_, id) => {
+        if (!after.has(id)) changes.push({ op: 'remove', key, id });
+      });
+      return;
+    }
+
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      changes.push({ op: 'set', key, value: next[key] });
+    }
+  });
+
+  return changes;
+}
+
+function applyChanges(state, changes) {
+  changes.forEach((change) => {
+    const idField = KEYED_COLLECTIONS[change.key];
+    const list = state[change.key];
+    switch (change.op) {
+      case 'set':
+        state[change.key] = change.value;
+        break;
+      case 'unset':
+        delete state[change.key];
+        break;
+      case 'put': {
+        const index = list.findIndex((item) => item[idField] === change.id);
+        if (index === -1) list.push(change.value);
+        else list[index] = change.value;
+        break;
+      }
+      case 'remove':
+        state[change.key] = list.filter((item) => item[idField] !== change.id);
+        break;
+      default:
+        throw new SyntaxError(`Unknown change "${change.op}" in the event log.`);
+    }
+  });
+  return state;
+}
+
+// Replays the whole log. A last line without its newline is a save that was cut
+// off part way and never counted; any other unreadable line is damage and throws.
+function replay(text) {
+  const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+  let state = {};
+  let revision = 0;
+
+  complete.split('\n').filter((line) => line !== '').forEach((line) => {
+    const event = JSON.parse(line);
+    state = applyChanges(state, event.changes);
+    revision = event.revision;
+  });
+
+  return { state, revision, length: Buffer.byteLength(complete) };
+}
+
+// Append-only: each save adds one line with what changed, so the file is also
+// the full history of the data. Loading replays it from the start.
+class EventLogStore {
+  constructor(filePath) {
+    this.type = 'eventlog';
+    this.filePath = filePath;
+    this.name = path.basename(filePath);
+    this.backups = false;
+    this.encryption = false;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  create(data) {
+    const event = { revision: 0, savedAt: new Date().toISOString(), changes: diffData({}, data) };
+    fs.writeFileSync(this.filePath, `${JSON.stringify(event)}\n`);
+  }
+
+  read() {
+    const { state, revision } = replay(fs.readFileSync(this.filePath, 'utf8'));
+    return JSON.stringify({ ...state, revision });
+  }
+
+  write(data, expectedRevision) {
+    return withFileLock(this.filePath, async () => {
+      let text = '';
+      try {
+        text = await fs.promises.readFile(this.filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const { state, revision: current, length } = replay(text);
+      if (current !== expectedRevision) throw conflictError(this.name, current, expectedRevision);
+      // Drop a cut-off line so the new one starts on a line of its own.
+      if (length < Buffer.byteLength(text)) await fs.promises.truncate(this.filePath, length);
+
+      const revision = expectedRevision + 1;
+      const event = { revision, savedAt: new Date().toISOString(), changes: diffData(state, data) };
+      const handle = await fs.promises.open(this.filePath, 'a');
+      try {
+        await handle.writeFile(`${JSON.stringify(event)}\n`);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      return revision;
+    });
+  }
+
+  quarantine() {
+    return quarantineFile(this.filePath);
+  }
+}
+
+// `path` is the data file; for the memory store, an optional file to start from.
+function createStore({ type = 'json', path: location } = {}) {
+  const kind = String(type).trim().toLowerCase();
+  if (!STORE_TYPES.includes(kind)) {
+    throw new ValidationError(`Store must be one of: ${STORE_TYPES.join(', ')}.`, 'STORE_INVALID');
+  }
+
+  if (kind === 'memory') {
+    if (!location) return new MemoryStore();
+    // A .jsonl file is read as an event log, anything else as a JSON data file.
+    const filePath = path.resolve(location);
+    const source = path.extname(filePath) === '.jsonl' ? new EventLogStore(filePath) : new JsonFileStore(filePath);
+    try {
+      return new MemoryStore(source.read());
+    } catch (error) {
+      throw new ValidationError(`Cannot read ${location} to start the memory store: ${error.message}`, 'STORE_INVALID');
+    }
+  }
+  const filePath = path.resolve(location || DEFAULT_FILES[kind]);
+  return kind === 'json' ? new JsonFileStore(filePath) : new EventLogStore(filePath);
+}
+
+// --store and --data, falling back to BANKCLI_STORE and BANKCLI_DATA. Null when
+// none is given, so the caller keeps the store it has.
+function storeOptions(flags = {}, env = process.env) {
+  const type = typeof flags.store === 'string' ? flags.store : env.BANKCLI_STORE;
+  const location = typeof flags.data === 'string' ? flags.data : env.BANKCLI_DATA;
+  if (!type && !location) return null;
+  return { type: type || 'json', path: location };
+}
+
+module.exports = {
+  STORE_TYPES,
+  DEFAULT_FILES,
+  siblingPath,
+  JsonFileStore,
+  MemoryStore,
+  EventLogStore,
+  diffData,
+  applyChanges,
+  replay,
+  createStore,
+  storeOptions,
+};
@@ -0,0 +1,30 @@
+// Every type a posting can have, and which way each moves the balance.
+const TRANSACTION_TYPES = [
+  'DEPOSIT',
+  'WITHDRAWAL',
+  'TRANSFER_IN',
+  'TRANSFER_OUT',
+  'EXTERNAL_PAYMENT',
+  'CLEARING_IN',
+  'FEE',
+  'REVERSAL',
+];
+
+// Transaction types that take money out of the account they are posted to.
+const DEBIT_TYPES = ['WITHDRAWAL', 'TRANSFER_OUT', 'EXTERNAL_PAYMENT', 'FEE'];
+
+// The amount with its direction: debits are negative, and a reversal goes the
+// opposite way to the entry it undid.
+function signedAmount(transaction, account) {
+  if (transaction.type === 'REVERSAL') {
+    const original = account.transactions.find((candidate) => candidate.id === transaction.reverses);
+    return original && !DEBIT_TYPES.includes(original.type) ? -transaction.amount : transaction.amount;
+  }
+  return DEBIT_TYPES.includes(transaction.type) ? -transaction.amount : transaction.amount;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  DEBIT_TYPES,
+  signedAmount,
+};
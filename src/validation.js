@@ -0,0 +1,73 @@
+const { ValidationError } = require('./errors');
+const { parseMoney, isMinorUnits, toMinorUnits, MINOR_UNITS_PER_UNIT } = require('./money');
+
+// The checks every monetary input goes through, whichever screen or command it
+// came from. Error codes are stable; callers and scripts may branch on them.
+const AMOUNT_ERRORS = {
+  REQUIRED: 'AMOUNT_REQUIRED',
+  INVALID: 'AMOUNT_INVALID',
+  PRECISION: 'AMOUNT_PRECISION',
+  NEGATIVE: 'AMOUNT_NEGATIVE',
+  ZERO: 'AMOUNT_ZERO',
+  TOO_LARGE: 'AMOUNT_TOO_LARGE',
+};
+
+// Per-operation rules. `limit` names the config key holding the maximum, in dollars.
+const AMOUNT_RULES = {
+  initialDeposit: { label: 'Initial deposit amount', allowZero: true, limit: 'maxInitialDeposit' },
+  deposit: { limit: 'maxDeposit' },
+  withdrawal: { limit: 'maxWithdrawal' },
+  transfer: { limit: 'maxTransfer' },
+};
+
+function rulesFor(operation, config) {
+  const { limit, ...rules } = AMOUNT_RULES[operation];
+  return { ...rules, max: toMinorUnits(config[limit]) };
+}
+
+// Range checks on an amount that is already in cents.
+function checkAmount(amount, { label = 'Amount', allowZero = false, max } = {}) {
+  if (!isMinorUnits(amount)) {
+    throw new ValidationError(`${label} must be a whole number of cents.`, AMOUNT_ERRORS.INVALID);
+  }
+
+  if (amount < 0) {
+    throw new ValidationError(
+      `${label} must be greater than ${allowZero ? 'or equal to ' : ''}0.`,
+      AMOUNT_ERRORS.NEGATIVE
+    );
+  }
+
+  if (amount === 0 && !allowZero) {
+    throw new ValidationError(`${label} must be greater than 0.`, AMOUNT_ERRORS.ZERO);
+  }
+
+  if (max !== undefined && amount > max) {
+    throw new ValidationError(
+      `${label} must be less than or equal to ${max / MINOR_UNITS_PER_UNIT}.`,
+      AMOUNT_ERRORS.TOO_LARGE
+    );
+  }
+
+  return amount;
+}
+
+// Typed dollars to checked cents.
+function parseAmount(input, rules = {}) {
+  const label = rules.label || 'Amount';
+  const text = input === undefined || input === null ? '' : String(input);
+
+  if (text.trim() === '') {
+    throw new ValidationError(`${label} is required.`, AMOUNT_ERRORS.REQUIRED);
+  }
+
+  return checkAmount(parseMoney(text, label), rules);
+}
+
+module.exports = {
+  AMOUNT_ERRORS,
+  AMOUNT_RULES,
+  rulesFor,
+  checkAmount,
+  parseAmount,
+};